@@ -85,6 +85,20 @@ struct ContentView: View {
         }
         .preferredColorScheme(.dark)
         .tint(.blue)
+        .alert(
+            "Plan Changed on Another Device",
+            isPresented: .constant(viewModel.allocationPlanConflict != nil),
+            presenting: viewModel.allocationPlanConflict
+        ) { _ in
+            Button("Use Saved Plan") {
+                Task { await viewModel.resolveAllocationPlanConflict(keepSavedPlan: true) }
+            }
+            Button("Keep This Plan", role: .destructive) {
+                Task { await viewModel.resolveAllocationPlanConflict(keepSavedPlan: false) }
+            }
+        } message: { currentPlan in
+            Text("Your saved plan was changed on another device:\n\(currentPlan.summary)\n\nKeeping this plan replaces it.")
+        }
         .sheet(isPresented: $viewModel.isShowingGuidance) {
             if let alert = viewModel.currentAlert {
                 ProactiveGuidanceView(alert: alert) { action in
@@ -21,6 +21,11 @@ struct AuthResponse: Codable {
     let isNewUser: Bool
 }
 
+struct RegisterResponse: Codable {
+    let success: Bool
+    let message: String
+}
+
 struct TokenRefreshResponse: Codable {
     let accessToken: String
     let refreshToken: String
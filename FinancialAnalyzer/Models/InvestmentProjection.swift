@@ -6,6 +6,8 @@ struct InvestmentProjection: Codable {
     let lowProjection: ProjectionTimeline
     let recommendedProjection: ProjectionTimeline
     let highProjection: ProjectionTimeline
+    /// Return, inflation and volatility the projections assume (percentages)
+    var assumptions: ProjectionAssumptions? = nil
 
     /// Get projection timeline for a specific tier
     func timeline(for tier: PresetTier) -> ProjectionTimeline {
@@ -26,6 +28,22 @@ struct ProjectionTimeline: Codable {
     let year10: Double
     let year20: Double
     let year30: Double
+    /// 10th-90th percentile outcomes in today's dollars from a Monte Carlo simulation
+    var ranges: ProjectionRanges? = nil
+
+    /// Likely range for a horizon in today's dollars, when the backend simulated one
+    func range(years: Int) -> ProjectionRange? {
+        switch years {
+        case 10:
+            return ranges?.year10
+        case 20:
+            return ranges?.year20
+        case 30:
+            return ranges?.year30
+        default:
+            return nil
+        }
+    }
 
     /// Calculate the total gain from contributions and growth
     func totalGain(years: Int) -> Double {
@@ -65,3 +83,24 @@ struct ProjectionTimeline: Codable {
         return ((value - totalContributions) / totalContributions) * 100
     }
 }
+
+/// Assumptions behind a projection, as percentages
+struct ProjectionAssumptions: Codable {
+    let annualReturn: Double
+    let inflation: Double
+    let volatility: Double
+}
+
+/// Simulated outcome ranges at 10, 20, and 30 years
+struct ProjectionRanges: Codable {
+    let year10: ProjectionRange
+    let year20: ProjectionRange
+    let year30: ProjectionRange
+}
+
+/// Pessimistic (10th percentile), median and optimistic (90th percentile) outcomes
+struct ProjectionRange: Codable {
+    let p10: Double
+    let p50: Double
+    let p90: Double
+}
@@ -37,6 +37,20 @@ struct AllocationPlanResponse: Codable {
     let allocations: [StoredAllocation]
     let paycheckSchedule: StoredPaycheckSchedule?
     let hasPlan: Bool
+    let etag: String?
+
+    /// One line per bucket, e.g. "Emergency Fund: 20%"
+    var summary: String {
+        allocations
+            .map { "\($0.bucketType): \(Int($0.percentage))%" }
+            .joined(separator: "\n")
+    }
+}
+
+/// 409 body from POST /api/user/allocation-plan when the plan changed since it was loaded
+struct AllocationPlanConflictResponse: Codable {
+    let error: String
+    let currentPlan: AllocationPlanResponse
 }
 
 /// Stored allocation from backend
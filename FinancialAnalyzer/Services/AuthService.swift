@@ -81,10 +81,12 @@ final class AuthService: ObservableObject {
             "displayName": displayName ?? ""
         ]
 
-        let response: AuthResponse = try await postAuth(endpoint: "/auth/register", body: body)
-        handleAuthResponse(response)
+        // The server answers the same whether or not the email was already registered,
+        // so the account is only ours if the password then signs in
+        let _: RegisterResponse = try await postAuth(endpoint: "/auth/register", body: body)
+        try await login(email: email, password: password)
         isNewRegistration = true
-        print("✅ [AuthService] Registration successful: \(response.user.id)")
+        print("✅ [AuthService] Registration successful")
     }
 
     func clearNewRegistrationFlag() {
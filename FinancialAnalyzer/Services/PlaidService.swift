@@ -15,6 +15,9 @@ class PlaidService: ObservableObject {
     private var linkTokenExpiration: Date?
     private let linkTokenValidityDuration: TimeInterval = 20 * 60 // 20 minutes (tokens expire at 30, we refresh at 20)
 
+    // ETag of the allocation plan as last loaded or saved, sent as If-Match on save
+    private var allocationPlanETag: String?
+
     init(baseURL: String = AppConfig.baseURL) {
         self.baseURL = baseURL
     }
@@ -413,6 +416,8 @@ class PlaidService: ObservableObject {
             throw PlaidError.serverError("Failed to fetch allocation plan")
         }
 
+        allocationPlanETag = httpResponse.value(forHTTPHeaderField: "ETag")
+
         let decoder = JSONDecoder()
         let result = try decoder.decode(AllocationPlanResponse.self, from: data)
 
@@ -421,7 +426,14 @@ class PlaidService: ObservableObject {
     }
 
     /// Saves user's allocation plan to backend
-    func saveAllocationPlan(allocations: [AllocationBucket], paycheckSchedule: PaycheckSchedule?) async throws {
+    /// Throws if the plan was changed on another device since it was last loaded
+    /// - Parameter currentPlan: The plan from a conflict that the user saw and chose to replace.
+    ///   Without it, only the plan this device last loaded or saved can be overwritten
+    func saveAllocationPlan(
+        allocations: [AllocationBucket],
+        paycheckSchedule: PaycheckSchedule?,
+        overwriting currentPlan: AllocationPlanResponse? = nil
+    ) async throws {
         print("💾 [PlaidService] Saving allocation plan...")
 
         guard let url = URL(string: "\(baseURL)/api/user/allocation-plan") else {
@@ -462,6 +474,10 @@ class PlaidService: ObservableObject {
         var request = URLRequest(url: url)
         request.httpMethod = "POST"
         request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        // Only the ETag from when this plan was loaded, or from the plan the user chose to
+        // overwrite. Without one the plan was built on this device, so it may create a plan
+        // but never overwrite one saved elsewhere
+        request.setValue(currentPlan?.etag ?? allocationPlanETag ?? "\"empty\"", forHTTPHeaderField: "If-Match")
         addAuthHeader(to: &request)
 
         let encoder = JSONEncoder()
@@ -469,12 +485,23 @@ class PlaidService: ObservableObject {
 
         let (data, response) = try await URLSession.shared.data(for: request)
 
+        if let httpResponse = response as? HTTPURLResponse, httpResponse.statusCode == 409 {
+            print("⚠️ [PlaidService] Allocation plan changed on another device")
+            guard let conflict = try? JSONDecoder().decode(AllocationPlanConflictResponse.self, from: data) else {
+                throw PlaidError.serverError("Your allocation plan was changed on another device. Reload it before saving.")
+            }
+            // The stored ETag stays stale until the user reloads or chooses to overwrite,
+            // so saving again without showing them the current plan conflicts again
+            throw PlaidError.allocationPlanConflict(conflict.currentPlan)
+        }
+
         guard let httpResponse = response as? HTTPURLResponse,
               httpResponse.statusCode == 200 else {
             let errorBody = String(data: data, encoding: .utf8) ?? "Unknown error"
             throw PlaidError.serverError("Failed to save allocation plan: \(errorBody)")
         }
 
+        allocationPlanETag = httpResponse.value(forHTTPHeaderField: "ETag")
         print("✅ [PlaidService] Allocation plan saved")
     }
 
@@ -579,6 +606,7 @@ enum PlaidError: LocalizedError {
     case linkExited(String)
     case userCancelled
     case serverError(String)
+    case allocationPlanConflict(AllocationPlanResponse)
 
     var errorDescription: String? {
         switch self {
@@ -602,6 +630,8 @@ enum PlaidError: LocalizedError {
             return "User cancelled the link process"
         case .serverError(let message):
             return "Server error: \(message)"
+        case .allocationPlanConflict:
+            return "Your allocation plan was changed on another device. Review it before saving again."
         }
     }
 }
@@ -36,6 +36,10 @@ class FinancialViewModel: ObservableObject {
     @Published var scheduledAllocations: [ScheduledAllocation] = []
     @Published var allocationHistory: [AllocationExecution] = []
 
+    /// Plan saved on another device that "Confirm Plan" ran into. Shown to the user
+    /// until they reload it or overwrite it (see resolveAllocationPlanConflict)
+    @Published var allocationPlanConflict: AllocationPlanResponse?
+
     // Notification navigation
     var navigationCoordinator: NotificationNavigationCoordinator?
 
@@ -233,6 +237,37 @@ class FinancialViewModel: ObservableObject {
         }
     }
 
+    /// Settles a save conflict once the user has seen the plan saved on another device:
+    /// reload that plan, or overwrite it with the one on this device
+    func resolveAllocationPlanConflict(keepSavedPlan: Bool) async {
+        guard let currentPlan = allocationPlanConflict else { return }
+        allocationPlanConflict = nil
+
+        if keepSavedPlan {
+            // Fetching again also picks up the saved plan's ETag for the next save
+            await restoreAllocationPlanFromBackend()
+            budgetManager.generateBudgets(from: transactions)
+            saveToCache()
+            print("✅ [Confirm Plan] Reloaded the plan saved on another device")
+            return
+        }
+
+        do {
+            try await plaidService.saveAllocationPlan(
+                allocations: budgetManager.allocationBuckets,
+                paycheckSchedule: allocationScheduleConfig?.paycheckSchedule,
+                overwriting: currentPlan
+            )
+            print("✅ [Confirm Plan] Overwrote the plan saved on another device")
+        } catch PlaidError.allocationPlanConflict(let newerPlan) {
+            // Changed again since the user saw it
+            allocationPlanConflict = newerPlan
+        } catch {
+            print("⚠️ [Confirm Plan] Failed to overwrite plan in backend: \(error)")
+            self.error = error
+        }
+    }
+
     /// Restores allocation plan from backend (after cache loss)
     private func restoreAllocationPlanFromBackend() async {
         print("🔄 [Restore] Fetching allocation plan from backend...")
@@ -891,6 +926,10 @@ class FinancialViewModel: ObservableObject {
                 paycheckSchedule: allocationScheduleConfig?.paycheckSchedule
             )
             print("✅ [Confirm Plan] Allocation plan saved to backend")
+        } catch PlaidError.allocationPlanConflict(let currentPlan) {
+            // Don't overwrite a plan saved on another device without the user seeing it
+            print("⚠️ [Confirm Plan] Backend plan changed elsewhere (\(currentPlan.allocations.count) allocation(s)); not overwriting")
+            allocationPlanConflict = currentPlan
         } catch {
             print("⚠️ [Confirm Plan] Failed to save plan to backend: \(error)")
             // Continue anyway - local state is correct
@@ -33,7 +33,7 @@ struct InvestmentProjectionView: View {
             HStack(spacing: 4) {
                 Image(systemName: "info.circle")
                     .font(.caption)
-                Text("Assumes 7% annual return")
+                Text(assumptionNote)
                     .font(.caption)
             }
             .foregroundColor(.secondary)
@@ -203,9 +203,35 @@ struct InvestmentProjectionView: View {
                 RoundedRectangle(cornerRadius: 8)
                     .fill(Color.wealthPurple.opacity(0.05))
             )
+
+            // Likely range from the Monte Carlo simulation
+            if let range = timeline.range(years: 30) {
+                VStack(alignment: .leading, spacing: 4) {
+                    Text("Likely 30-Year Range (today's dollars)")
+                        .font(.caption)
+                        .foregroundColor(.secondary)
+                    Text("\(formattedAmountShort(range.p10)) – \(formattedAmountShort(range.p90))")
+                        .font(.subheadline)
+                        .fontWeight(.semibold)
+                    Text("Median outcome: \(formattedAmountShort(range.p50))")
+                        .font(.caption2)
+                        .foregroundColor(.secondary)
+                }
+            }
         }
     }
 
+    private var assumptionNote: String {
+        guard let assumptions = projection.assumptions else {
+            return "Assumes 7% annual return"
+        }
+        return "Assumes \(formattedPercent(assumptions.annualReturn)) annual return, \(formattedPercent(assumptions.inflation)) inflation"
+    }
+
+    private func formattedPercent(_ value: Double) -> String {
+        value.rounded() == value ? String(format: "%.0f%%", value) : String(format: "%.1f%%", value)
+    }
+
     private func formattedAmount(_ amount: Double) -> String {
         let formatter = NumberFormatter()
         formatter.numberStyle = .currency
@@ -6,13 +6,14 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DB_PATH = path.join(__dirname, 'app.db');
+const DEFAULT_DB_PATH = path.join(__dirname, 'app.db');
 
 let db = null;
 
 export function getDb() {
   if (!db) {
-    db = new Database(DB_PATH);
+    // Read here rather than at import so DATABASE_PATH can come from .env
+    db = new Database(process.env.DATABASE_PATH || DEFAULT_DB_PATH);
     db.pragma('journal_mode = WAL');
     db.pragma('foreign_keys = ON');
     runMigrations(db);
@@ -89,9 +90,81 @@ function runMigrations(database) {
     console.error('⚠️ Allocation plan migration warning:', err.message);
   }
 
+  // Migration: Add transactions sync cursor to plaid_items
+  try {
+    addColumnIfMissing(database, 'plaid_items', 'transactions_cursor', 'TEXT');
+  } catch (err) {
+    console.error('⚠️ Transactions cursor migration warning:', err.message);
+  }
+
+  // Migration: Add item health columns to plaid_items
+  try {
+    addColumnIfMissing(database, 'plaid_items', 'status', "TEXT DEFAULT 'active'");
+    addColumnIfMissing(database, 'plaid_items', 'last_successful_sync_at', 'TEXT');
+    addColumnIfMissing(database, 'plaid_items', 'last_error_code', 'TEXT');
+  } catch (err) {
+    console.error('⚠️ Item health migration warning:', err.message);
+  }
+
+  // Migration: Add institution metadata columns to plaid_items
+  try {
+    addColumnIfMissing(database, 'plaid_items', 'institution_id', 'TEXT');
+    addColumnIfMissing(database, 'plaid_items', 'institution_color', 'TEXT');
+    addColumnIfMissing(database, 'plaid_items', 'institution_logo', 'TEXT');
+    addColumnIfMissing(database, 'plaid_items', 'institution_url', 'TEXT');
+    addColumnIfMissing(database, 'plaid_items', 'institution_lookup_retry_at', 'TEXT');
+  } catch (err) {
+    console.error('⚠️ Institution metadata migration warning:', err.message);
+  }
+
+  // Migration: Add detection metadata columns to user_paycheck_schedules
+  try {
+    addColumnIfMissing(database, 'user_paycheck_schedules', 'source', "TEXT DEFAULT 'manual'");
+    addColumnIfMissing(database, 'user_paycheck_schedules', 'confidence', 'TEXT');
+    addColumnIfMissing(database, 'user_paycheck_schedules', 'anchor_dates', 'TEXT');
+    addColumnIfMissing(database, 'user_paycheck_schedules', 'detected_at', 'TEXT');
+  } catch (err) {
+    console.error('⚠️ Paycheck detection migration warning:', err.message);
+  }
+
+  // Migration: Add device columns to sessions
+  try {
+    addColumnIfMissing(database, 'sessions', 'ip_address', 'TEXT');
+    addColumnIfMissing(database, 'sessions', 'last_used_at', 'TEXT');
+  } catch (err) {
+    console.error('⚠️ Session device migration warning:', err.message);
+  }
+
+  // Migration: Add rotation families to sessions (existing sessions start their own family)
+  try {
+    addColumnIfMissing(database, 'sessions', 'family_id', 'TEXT');
+    addColumnIfMissing(database, 'sessions', 'replaced_by', 'TEXT');
+    database.exec(`UPDATE sessions SET family_id = id WHERE family_id IS NULL`);
+    database.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_family ON sessions(family_id)`);
+  } catch (err) {
+    console.error('⚠️ Session family migration warning:', err.message);
+  }
+
+  // Migration: Add month-only reallocations to category_budgets
+  try {
+    addColumnIfMissing(database, 'category_budgets', 'reallocated_amount', 'REAL NOT NULL DEFAULT 0');
+  } catch (err) {
+    console.error('⚠️ Budget reallocation migration warning:', err.message);
+  }
+
   console.log('✅ Database migrations complete');
 }
 
+function addColumnIfMissing(database, table, column, definition) {
+  const columns = database.pragma(`table_info(${table})`);
+  if (columns.some(c => c.name === column)) return false;
+
+  console.log(`🔄 Adding ${column} column to ${table} table...`);
+  database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`✅ Added ${table}.${column}`);
+  return true;
+}
+
 export function closeDb() {
   if (db) {
     db.close();
@@ -142,6 +215,10 @@ export function updateUser(id, updates) {
     fields.push('email_verified = ?');
     values.push(updates.emailVerified ? 1 : 0);
   }
+  if (updates.passwordHash !== undefined) {
+    fields.push('password_hash = ?');
+    values.push(updates.passwordHash);
+  }
 
   if (fields.length === 0) return findUserById(id);
 
@@ -153,12 +230,60 @@ export function updateUser(id, updates) {
 }
 
 // Session operations
-export function createSession({ id, userId, refreshTokenHash, deviceInfo, expiresAt }) {
+// A new sign-in starts its own family; createdAt carries the sign-in time over to
+// the sessions that replace it on refresh
+export function createSession({ id, userId, familyId = id, refreshTokenHash, deviceInfo, ipAddress = null, createdAt = null, expiresAt }) {
   const db = getDb();
   db.prepare(`
-    INSERT INTO sessions (id, user_id, refresh_token_hash, device_info, expires_at)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(id, userId, refreshTokenHash, deviceInfo, expiresAt);
+    INSERT INTO sessions (id, user_id, family_id, refresh_token_hash, device_info, ip_address, expires_at, last_used_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, COALESCE(?, CURRENT_TIMESTAMP))
+  `).run(id, userId, familyId, refreshTokenHash, deviceInfo, ipAddress, expiresAt, createdAt);
+}
+
+// Replace a session with the next one in its family. Returns false if it was
+// already revoked or replaced (e.g. by a concurrent refresh with the same token)
+export function rotateSession(oldSessionId, newSession) {
+  const db = getDb();
+  return db.transaction(() => {
+    const { changes } = db.prepare(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `).run(newSession.id, oldSessionId);
+    if (changes === 0) return false;
+    createSession(newSession);
+    return true;
+  })();
+}
+
+// Any session with this refresh token, including revoked and expired ones
+export function findSessionByAnyTokenHash(tokenHash) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM sessions WHERE refresh_token_hash = ?`).get(tokenHash);
+}
+
+export function revokeSessionFamily(familyId) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE family_id = ? AND revoked_at IS NULL
+  `).run(familyId).changes;
+}
+
+export function findActiveUserSessions(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `).all(userId);
+}
+
+export function findActiveUserSession(userId, id) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM sessions
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+  `).get(id, userId);
 }
 
 export function findSessionByTokenHash(tokenHash) {
@@ -179,6 +304,207 @@ export function revokeAllUserSessions(userId) {
   db.prepare(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ?`).run(userId);
 }
 
+// Two-factor operations
+export function findTwoFactor(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM user_two_factor WHERE user_id = ?').get(userId);
+}
+
+// Starting enrollment again replaces a pending secret
+export function savePendingTwoFactor(userId, secretEncrypted) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at, last_used_step, created_at, updated_at)
+    VALUES (?, ?, NULL, NULL, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      secret_encrypted = excluded.secret_encrypted,
+      enabled_at = NULL,
+      last_used_step = NULL,
+      updated_at = excluded.updated_at
+  `).run(userId, secretEncrypted, now, now);
+}
+
+export function enableTwoFactor(userId, { step, recoveryCodes }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE user_two_factor SET enabled_at = ?, last_used_step = ?, updated_at = ? WHERE user_id = ?
+    `).run(now, step, now, userId);
+    replaceRecoveryCodes(userId, recoveryCodes);
+  })();
+}
+
+export function deleteTwoFactor(userId) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM two_factor_challenges WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM user_two_factor WHERE user_id = ?').run(userId);
+  })();
+}
+
+// Returns false if this step (or a later one) was already used, so a code works once
+export function recordTwoFactorStep(userId, step) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE user_two_factor SET last_used_step = ?, updated_at = ?
+    WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+  `).run(step, new Date().toISOString(), userId, step).changes > 0;
+}
+
+// recoveryCodes: [{ id, codeHash }]
+export function replaceRecoveryCodes(userId, recoveryCodes) {
+  const db = getDb();
+  const insert = db.prepare('INSERT INTO two_factor_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(userId);
+    for (const { id, codeHash } of recoveryCodes) {
+      insert.run(id, userId, codeHash);
+    }
+  })();
+}
+
+// Returns false for an unknown or already used code
+export function useRecoveryCode(userId, codeHash) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE two_factor_recovery_codes SET used_at = ?
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(new Date().toISOString(), userId, codeHash).changes > 0;
+}
+
+export function countUnusedRecoveryCodes(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL
+  `).get(userId).count;
+}
+
+export function createTwoFactorChallenge({ id, userId, tokenHash, expiresAt }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO two_factor_challenges (id, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)
+  `).run(id, userId, tokenHash, expiresAt);
+}
+
+export function findValidTwoFactorChallenge(tokenHash, maxAttempts) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM two_factor_challenges
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ? AND attempts < ?
+  `).get(tokenHash, new Date().toISOString(), maxAttempts);
+}
+
+export function recordTwoFactorChallengeAttempt(id) {
+  const db = getDb();
+  db.prepare('UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ?').run(id);
+}
+
+// Returns false if the challenge was already exchanged
+export function markTwoFactorChallengeUsed(id) {
+  const db = getDb();
+  return db.prepare('UPDATE two_factor_challenges SET used_at = ? WHERE id = ? AND used_at IS NULL')
+    .run(new Date().toISOString(), id).changes > 0;
+}
+
+// Auth failure operations (login brute-force protection)
+export function findAuthFailure(scopeType, scopeKey) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM auth_failures WHERE scope_type = ? AND scope_key = ?').get(scopeType, scopeKey);
+}
+
+export function saveAuthFailure({ scopeType, scopeKey, failureCount, firstFailedAt, lastFailedAt, lockedUntil }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO auth_failures (scope_type, scope_key, failure_count, first_failed_at, last_failed_at, locked_until)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(scope_type, scope_key) DO UPDATE SET
+      failure_count = excluded.failure_count,
+      first_failed_at = excluded.first_failed_at,
+      last_failed_at = excluded.last_failed_at,
+      locked_until = excluded.locked_until
+  `).run(scopeType, scopeKey, failureCount, firstFailedAt, lastFailedAt, lockedUntil);
+}
+
+export function clearAuthFailure(scopeType, scopeKey) {
+  const db = getDb();
+  db.prepare('DELETE FROM auth_failures WHERE scope_type = ? AND scope_key = ?').run(scopeType, scopeKey);
+}
+
+// Security event operations
+export function createSecurityEvent({ id, userId, eventType, sessionFamilyId = null, ipAddress = null, deviceInfo = null, details = null }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO security_events (id, user_id, event_type, session_family_id, ip_address, device_info, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, eventType, sessionFamilyId, ipAddress, deviceInfo, details ? JSON.stringify(details) : null);
+}
+
+export function findSecurityEvents(userId, { limit = 50 } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM security_events WHERE user_id = ?
+    ORDER BY created_at DESC, rowid DESC LIMIT ?
+  `).all(userId, limit);
+}
+
+// One-time token operations (password reset and email verification)
+// Issuing a token retires the user's earlier unused ones, so only the newest link works
+export function createPasswordResetToken({ id, userId, tokenHash, expiresAt }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare('UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL').run(now, userId);
+    db.prepare(`
+      INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, userId, tokenHash, expiresAt, now);
+  })();
+}
+
+export function findValidPasswordResetToken(tokenHash) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM password_reset_tokens
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+  `).get(tokenHash, new Date().toISOString());
+}
+
+// Returns false if the token was already used, so two requests racing on one token can't both succeed
+export function markPasswordResetTokenUsed(id) {
+  const db = getDb();
+  return db.prepare('UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
+    .run(new Date().toISOString(), id).changes > 0;
+}
+
+export function createEmailVerificationToken({ id, userId, email, tokenHash, expiresAt }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare('UPDATE email_verification_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL').run(now, userId);
+    db.prepare(`
+      INSERT INTO email_verification_tokens (id, user_id, email, token_hash, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, userId, email, tokenHash, expiresAt, now);
+  })();
+}
+
+export function findValidEmailVerificationToken(tokenHash) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM email_verification_tokens
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+  `).get(tokenHash, new Date().toISOString());
+}
+
+export function markEmailVerificationTokenUsed(id) {
+  const db = getDb();
+  return db.prepare('UPDATE email_verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
+    .run(new Date().toISOString(), id).changes > 0;
+}
+
 // Plaid item operations
 export function createPlaidItem({ id, userId, itemId, accessTokenEncrypted, institutionName }) {
   const db = getDb();
@@ -221,3 +547,997 @@ export function updatePlaidItemToken(userId, itemId, accessTokenEncrypted) {
     WHERE user_id = ? AND item_id = ?
   `).run(accessTokenEncrypted, userId, itemId);
 }
+
+export function updatePlaidItemInstitution(itemId, { institutionId, name, primaryColor, logo, url }) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items
+    SET institution_id = ?, institution_name = ?, institution_color = ?,
+        institution_logo = ?, institution_url = ?, institution_lookup_retry_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `).run(institutionId, name, primaryColor, logo, url, itemId);
+}
+
+export function deferInstitutionLookup(itemId, retryAt) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items SET institution_lookup_retry_at = ?, updated_at = CURRENT_TIMESTAMP WHERE item_id = ?
+  `).run(retryAt, itemId);
+}
+
+export function updatePlaidItemStatus(itemId, status, lastErrorCode = null) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items
+    SET status = ?, last_error_code = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `).run(status, lastErrorCode, itemId);
+}
+
+export function recordPlaidItemError(itemId, errorCode) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items
+    SET last_error_code = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `).run(errorCode, itemId);
+}
+
+// A successful sync proves the credentials work, so it clears login/error states.
+// Other statuses (e.g. new_accounts_available) still need the user to act.
+export function recordPlaidItemSyncSuccess(itemId) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items
+    SET last_successful_sync_at = ?,
+        last_error_code = NULL,
+        status = CASE WHEN status IN ('login_required', 'error') THEN 'active' ELSE status END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `).run(new Date().toISOString(), itemId);
+}
+
+export function updatePlaidItemCursor(userId, itemId, cursor) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE plaid_items
+    SET transactions_cursor = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND item_id = ?
+  `).run(cursor, userId, itemId);
+}
+
+// Transaction operations
+function transactionCategory(transaction) {
+  const pfc = transaction.personal_finance_category;
+  if (pfc) {
+    return { primary: pfc.primary || null, detailed: pfc.detailed || null };
+  }
+  // Fall back to the legacy category hierarchy (e.g. ["Food and Drink", "Restaurants"])
+  const legacy = transaction.category || [];
+  return {
+    primary: legacy[0] || null,
+    detailed: legacy.length > 1 ? legacy[legacy.length - 1] : null,
+  };
+}
+
+// Applies one complete /transactions/sync result atomically, including the new cursor.
+// The cursor is only advanced once every page has been stored, as Plaid requires.
+export function applyTransactionSync({ userId, itemId, added, modified, removed, cursor }) {
+  const db = getDb();
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO plaid_transactions
+    (transaction_id, user_id, item_id, account_id, amount, iso_currency_code, date,
+     authorized_date, name, merchant_name, category_primary, category_detailed, pending, raw_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(transaction_id) DO UPDATE SET
+      account_id = excluded.account_id,
+      amount = excluded.amount,
+      iso_currency_code = excluded.iso_currency_code,
+      date = excluded.date,
+      authorized_date = excluded.authorized_date,
+      name = excluded.name,
+      merchant_name = excluded.merchant_name,
+      category_primary = excluded.category_primary,
+      category_detailed = excluded.category_detailed,
+      pending = excluded.pending,
+      raw_json = excluded.raw_json,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+  const deleteStmt = db.prepare(`
+    DELETE FROM plaid_transactions WHERE transaction_id = ? AND user_id = ?
+  `);
+
+  const apply = db.transaction(() => {
+    for (const transaction of [...added, ...modified]) {
+      const category = transactionCategory(transaction);
+      upsertStmt.run(
+        transaction.transaction_id,
+        userId,
+        itemId,
+        transaction.account_id,
+        transaction.amount,
+        transaction.iso_currency_code || null,
+        transaction.date,
+        transaction.authorized_date || null,
+        transaction.name || null,
+        transaction.merchant_name || null,
+        category.primary,
+        category.detailed,
+        transaction.pending ? 1 : 0,
+        JSON.stringify(transaction)
+      );
+    }
+
+    for (const { transaction_id } of removed) {
+      deleteStmt.run(transaction_id, userId);
+    }
+
+    updatePlaidItemCursor(userId, itemId, cursor);
+  });
+
+  apply();
+}
+
+export function findTransactions(userId, { itemId, accountId, category, startDate, endDate, limit, offset } = {}) {
+  const db = getDb();
+  const conditions = ['user_id = ?'];
+  const values = [userId];
+
+  if (itemId) {
+    conditions.push('item_id = ?');
+    values.push(itemId);
+  }
+  if (accountId) {
+    conditions.push('account_id = ?');
+    values.push(accountId);
+  }
+  if (category) {
+    conditions.push('(category_primary = ? OR category_detailed = ?)');
+    values.push(category, category);
+  }
+  if (startDate) {
+    conditions.push('date >= ?');
+    values.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('date <= ?');
+    values.push(endDate);
+  }
+
+  let sql = `
+    SELECT * FROM plaid_transactions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY date DESC, transaction_id
+  `;
+  if (limit !== undefined) {
+    sql += ' LIMIT ? OFFSET ?';
+    values.push(limit, offset || 0);
+  }
+
+  return db.prepare(sql).all(...values);
+}
+
+export function countTransactionsByItem(userId, itemId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM plaid_transactions WHERE user_id = ? AND item_id = ?
+  `).get(userId, itemId).count;
+}
+
+// Liability operations
+// Replaces every liability stored for an item, so accounts Plaid no longer reports are dropped
+export function replaceItemLiabilities(userId, itemId, liabilities) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const insertStmt = db.prepare(`
+    INSERT OR REPLACE INTO account_liabilities
+    (account_id, user_id, item_id, liability_type, account_name, account_subtype, current_balance,
+     apr_percentage, minimum_payment, last_statement_balance, last_statement_date,
+     next_payment_due_date, last_payment_amount, is_overdue, raw_json, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const replace = db.transaction(() => {
+    db.prepare('DELETE FROM account_liabilities WHERE user_id = ? AND item_id = ?').run(userId, itemId);
+    for (const liability of liabilities) {
+      insertStmt.run(
+        liability.accountId,
+        userId,
+        itemId,
+        liability.liabilityType,
+        liability.accountName,
+        liability.accountSubtype,
+        liability.currentBalance,
+        liability.aprPercentage,
+        liability.minimumPayment,
+        liability.lastStatementBalance,
+        liability.lastStatementDate,
+        liability.nextPaymentDueDate,
+        liability.lastPaymentAmount,
+        liability.isOverdue ? 1 : 0,
+        JSON.stringify(liability.raw),
+        now
+      );
+    }
+  });
+
+  replace();
+}
+
+export function findLiabilities(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM account_liabilities
+    WHERE user_id = ?
+    ORDER BY apr_percentage DESC, current_balance DESC
+  `).all(userId);
+}
+
+// Webhook event operations
+export function createWebhookEvent({ id, itemId, webhookType, webhookCode, payload }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO webhook_events (id, item_id, webhook_type, webhook_code, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, itemId, webhookType, webhookCode, JSON.stringify(payload));
+  return findWebhookEventById(id);
+}
+
+export function findWebhookEventById(id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM webhook_events WHERE id = ?').get(id);
+}
+
+export function findWebhookEvents({ status, itemId, limit = 100 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const values = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+  if (itemId) {
+    conditions.push('item_id = ?');
+    values.push(itemId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`
+    SELECT * FROM webhook_events ${where}
+    ORDER BY received_at DESC
+    LIMIT ?
+  `).all(...values, limit);
+}
+
+// Failed events whose backoff has elapsed, plus events a crash or restart left
+// behind: processing past its lease, or pending since before staleBefore
+export function findDueWebhookEvents(now, staleBefore) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM webhook_events
+    WHERE (status IN ('failed', 'processing') AND next_attempt_at <= ?)
+       OR (status = 'pending' AND datetime(received_at) <= datetime(?))
+    ORDER BY received_at
+  `).all(now, staleBefore);
+}
+
+// While processing, next_attempt_at is the lease: once it passes the event is
+// treated as abandoned. Returns false if another run holds an unexpired lease,
+// or the event has used up its attempts
+export function markWebhookEventProcessing(id, leaseExpiresAt, maxAttempts) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE webhook_events
+    SET status = 'processing', attempts = attempts + 1, next_attempt_at = ?
+    WHERE id = ? AND attempts < ? AND (status != 'processing' OR next_attempt_at <= ?)
+  `).run(leaseExpiresAt, id, maxAttempts, new Date().toISOString()).changes > 0;
+}
+
+// Dead-letters an event whose last allowed run was abandoned mid-processing.
+// Returns false if it isn't one
+export function markAbandonedWebhookEventFailed(id, maxAttempts, errorMessage) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE webhook_events
+    SET status = 'dead_letter', last_error = ?, next_attempt_at = NULL
+    WHERE id = ? AND status = 'processing' AND attempts >= ? AND next_attempt_at <= ?
+  `).run(errorMessage, id, maxAttempts, new Date().toISOString()).changes > 0;
+}
+
+export function markWebhookEventProcessed(id) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_events
+    SET status = 'processed', last_error = NULL, next_attempt_at = NULL, processed_at = ?
+    WHERE id = ?
+  `).run(new Date().toISOString(), id);
+}
+
+// nextAttemptAt === null dead-letters the event
+export function markWebhookEventFailed(id, errorMessage, nextAttemptAt) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_events
+    SET status = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?
+  `).run(nextAttemptAt ? 'failed' : 'dead_letter', errorMessage, nextAttemptAt, id);
+}
+
+export function resetWebhookEvent(id) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE webhook_events
+    SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NULL, processed_at = NULL
+    WHERE id = ?
+  `).run(id);
+}
+
+// Paycheck schedule operations
+export function findPaycheckSchedule(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM user_paycheck_schedules WHERE user_id = ?').get(userId);
+}
+
+// Stores an auto-detected schedule; it stays unconfirmed until the user confirms it
+export function saveDetectedPaycheckSchedule(userId, { frequency, estimatedAmount, nextPaycheckDate, employer, confidence, anchorDates }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO user_paycheck_schedules
+    (id, user_id, frequency, estimated_amount, next_paycheck_date, is_confirmed,
+     detected_employer, source, confidence, anchor_dates, detected_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?, 'detected', ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      frequency = excluded.frequency,
+      estimated_amount = excluded.estimated_amount,
+      next_paycheck_date = excluded.next_paycheck_date,
+      is_confirmed = 0,
+      detected_employer = excluded.detected_employer,
+      source = 'detected',
+      confidence = excluded.confidence,
+      anchor_dates = excluded.anchor_dates,
+      detected_at = excluded.detected_at,
+      updated_at = excluded.updated_at
+  `).run(
+    `paycheck_${userId}`,
+    userId,
+    frequency,
+    estimatedAmount,
+    nextPaycheckDate,
+    employer,
+    confidence,
+    JSON.stringify(anchorDates),
+    now,
+    now,
+    now
+  );
+  return findPaycheckSchedule(userId);
+}
+
+// Income stability override operations
+export function findIncomeStabilityOverride(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM income_stability_overrides WHERE user_id = ?').get(userId);
+}
+
+export function saveIncomeStabilityOverride(userId, stability) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO income_stability_overrides (user_id, stability, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      stability = excluded.stability,
+      updated_at = excluded.updated_at
+  `).run(userId, stability, now, now);
+  return findIncomeStabilityOverride(userId);
+}
+
+export function deleteIncomeStabilityOverride(userId) {
+  const db = getDb();
+  return db.prepare('DELETE FROM income_stability_overrides WHERE user_id = ?').run(userId).changes > 0;
+}
+
+// Allocation plan operations
+export function findAllocationPlan(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM user_allocation_plans WHERE user_id = ? ORDER BY bucket_type').all(userId);
+}
+
+// Replaces a user's plan and records it as a new version, atomically. `allocations`
+// use the request shape ({ bucketType, percentage, targetAmount, ... }) and are
+// stored as-is in the version snapshot
+export function replaceAllocationPlan(userId, allocations, { versionId, reason, restoredFromVersionId = null }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const insertStmt = db.prepare(`
+    INSERT INTO user_allocation_plans
+    (id, user_id, bucket_type, percentage, target_amount, linked_account_id,
+     linked_account_name, is_customized, preset_tier, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const replace = db.transaction(() => {
+    db.prepare('DELETE FROM user_allocation_plans WHERE user_id = ?').run(userId);
+
+    for (const allocation of allocations) {
+      insertStmt.run(
+        `alloc_${userId}_${allocation.bucketType}`,
+        userId,
+        allocation.bucketType,
+        allocation.percentage,
+        allocation.targetAmount || null,
+        allocation.linkedAccountId || null,
+        allocation.linkedAccountName || null,
+        allocation.isCustomized ? 1 : 0,
+        allocation.presetTier || null,
+        now,
+        now
+      );
+    }
+
+    db.prepare(`
+      INSERT INTO allocation_plan_versions
+      (id, user_id, version_number, reason, allocations, restored_from_version_id, created_at)
+      VALUES (?, ?, (SELECT COALESCE(MAX(version_number), 0) + 1 FROM allocation_plan_versions WHERE user_id = ?), ?, ?, ?, ?)
+    `).run(
+      versionId,
+      userId,
+      userId,
+      reason,
+      JSON.stringify(allocations.map(snapshotAllocation)),
+      restoredFromVersionId,
+      now
+    );
+  });
+
+  replace();
+  return findAllocationPlanVersion(userId, versionId);
+}
+
+function snapshotAllocation(allocation) {
+  return {
+    bucketType: allocation.bucketType,
+    percentage: allocation.percentage,
+    targetAmount: allocation.targetAmount || null,
+    linkedAccountId: allocation.linkedAccountId || null,
+    linkedAccountName: allocation.linkedAccountName || null,
+    isCustomized: Boolean(allocation.isCustomized),
+    presetTier: allocation.presetTier || null,
+  };
+}
+
+// Allocation plan version operations
+export function findAllocationPlanVersions(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM allocation_plan_versions
+    WHERE user_id = ?
+    ORDER BY version_number DESC
+  `).all(userId);
+}
+
+export function findAllocationPlanVersion(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM allocation_plan_versions WHERE user_id = ? AND id = ?').get(userId, id);
+}
+
+// Scheduled allocation operations
+export const PENDING_ALLOCATION_STATUSES = ['Upcoming', 'Reminder Sent'];
+
+export function findScheduledAllocations(userId, { startDate, endDate, statuses } = {}) {
+  const db = getDb();
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (startDate) {
+    conditions.push('paycheck_date >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('paycheck_date <= ?');
+    params.push(endDate);
+  }
+  if (statuses && statuses.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  return db.prepare(`
+    SELECT * FROM scheduled_allocations
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY paycheck_date ASC, bucket_type ASC
+  `).all(...params);
+}
+
+// Replaces the pending part of a user's schedule atomically. Pending entries that are
+// regenerated keep their id, status and reminder; completed and skipped entries are
+// never touched here except to drop those older than historyCutoff.
+export function replacePendingScheduledAllocations(userId, entries, { historyCutoff }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const pendingPlaceholders = PENDING_ALLOCATION_STATUSES.map(() => '?').join(', ');
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO scheduled_allocations
+    (id, user_id, paycheck_date, bucket_type, scheduled_amount, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'Upcoming', ?, ?)
+    ON CONFLICT(user_id, paycheck_date, bucket_type) DO UPDATE SET
+      scheduled_amount = excluded.scheduled_amount,
+      updated_at = excluded.updated_at
+    WHERE scheduled_allocations.status IN (${pendingPlaceholders})
+  `);
+
+  const replace = db.transaction(() => {
+    const keep = new Set(entries.map(entry => `${entry.paycheckDate}|${entry.bucketType}`));
+    const pending = db.prepare(`
+      SELECT id, paycheck_date, bucket_type FROM scheduled_allocations
+      WHERE user_id = ? AND status IN (${pendingPlaceholders})
+    `).all(userId, ...PENDING_ALLOCATION_STATUSES);
+
+    const deleteStmt = db.prepare('DELETE FROM scheduled_allocations WHERE id = ?');
+    for (const row of pending) {
+      if (!keep.has(`${row.paycheck_date}|${row.bucket_type}`)) {
+        deleteStmt.run(row.id);
+      }
+    }
+
+    for (const entry of entries) {
+      upsertStmt.run(
+        entry.id,
+        userId,
+        entry.paycheckDate,
+        entry.bucketType,
+        entry.scheduledAmount,
+        now,
+        now,
+        ...PENDING_ALLOCATION_STATUSES
+      );
+    }
+
+    db.prepare(`
+      DELETE FROM scheduled_allocations
+      WHERE user_id = ? AND paycheck_date < ? AND status NOT IN (${pendingPlaceholders})
+    `).run(userId, historyCutoff, ...PENDING_ALLOCATION_STATUSES);
+  });
+
+  replace();
+}
+
+export function deleteScheduledAllocations(userId) {
+  const db = getDb();
+  db.prepare('DELETE FROM scheduled_allocations WHERE user_id = ?').run(userId);
+}
+
+export function findScheduledAllocation(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM scheduled_allocations WHERE user_id = ? AND id = ?').get(userId, id);
+}
+
+// Allocation execution operations
+export function findAllocationExecution(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM allocation_executions WHERE user_id = ? AND id = ?').get(userId, id);
+}
+
+// startDate/endDate filter on completed_at (YYYY-MM-DD, inclusive)
+export function findAllocationExecutions(userId, { bucketType, startDate, endDate } = {}) {
+  const db = getDb();
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+
+  if (bucketType) {
+    conditions.push('bucket_type = ?');
+    params.push(bucketType);
+  }
+  if (startDate) {
+    conditions.push('substr(completed_at, 1, 10) >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('substr(completed_at, 1, 10) <= ?');
+    params.push(endDate);
+  }
+
+  return db.prepare(`
+    SELECT * FROM allocation_executions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY completed_at DESC
+  `).all(...params);
+}
+
+// Stores an execution and, when it came from the schedule, marks that entry completed
+export function createAllocationExecution({
+  id, userId, scheduledAllocationId, bucketType, scheduledAmount, actualAmount,
+  paycheckDate, completedAt, wasAutomatic, notes,
+}) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const create = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO allocation_executions
+      (id, user_id, scheduled_allocation_id, bucket_type, scheduled_amount, actual_amount,
+       paycheck_date, completed_at, was_automatic, notes, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      userId,
+      scheduledAllocationId || null,
+      bucketType,
+      scheduledAmount,
+      actualAmount,
+      paycheckDate,
+      completedAt,
+      wasAutomatic ? 1 : 0,
+      notes || null,
+      now,
+      now
+    );
+
+    if (scheduledAllocationId) {
+      db.prepare(`
+        UPDATE scheduled_allocations
+        SET status = 'Completed', linked_execution_id = ?, updated_at = ?
+        WHERE user_id = ? AND id = ?
+      `).run(id, now, userId, scheduledAllocationId);
+    }
+  });
+
+  create();
+  return findAllocationExecution(userId, id);
+}
+
+export function updateAllocationExecution(userId, id, updates) {
+  const db = getDb();
+  const fields = [];
+  const values = [];
+
+  if (updates.actualAmount !== undefined) {
+    fields.push('actual_amount = ?');
+    values.push(updates.actualAmount);
+  }
+  if (updates.completedAt !== undefined) {
+    fields.push('completed_at = ?');
+    values.push(updates.completedAt);
+  }
+  if (updates.wasAutomatic !== undefined) {
+    fields.push('was_automatic = ?');
+    values.push(updates.wasAutomatic ? 1 : 0);
+  }
+  if (updates.notes !== undefined) {
+    fields.push('notes = ?');
+    values.push(updates.notes);
+  }
+
+  if (fields.length === 0) return findAllocationExecution(userId, id);
+
+  fields.push('updated_at = ?');
+  values.push(new Date().toISOString());
+  values.push(userId, id);
+
+  db.prepare(`UPDATE allocation_executions SET ${fields.join(', ')} WHERE user_id = ? AND id = ?`).run(...values);
+  return findAllocationExecution(userId, id);
+}
+
+// Deleting an execution puts its scheduled entry back to Upcoming; if that paycheck
+// has passed, the next schedule regeneration prunes it
+export function deleteAllocationExecution(userId, id) {
+  const db = getDb();
+
+  const remove = db.transaction(() => {
+    db.prepare(`
+      UPDATE scheduled_allocations
+      SET status = 'Upcoming', linked_execution_id = NULL, updated_at = ?
+      WHERE user_id = ? AND linked_execution_id = ?
+    `).run(new Date().toISOString(), userId, id);
+
+    return db.prepare('DELETE FROM allocation_executions WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+  });
+
+  return remove();
+}
+
+// Goal operations
+export function findGoals(userId, { includeInactive = false } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM goals
+    WHERE user_id = ? ${includeInactive ? '' : 'AND is_active = 1'}
+    ORDER BY created_at ASC
+  `).all(userId);
+}
+
+export function findGoal(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM goals WHERE user_id = ? AND id = ?').get(userId, id);
+}
+
+export function createGoal({
+  id, userId, name, targetAmount, currentAmount, targetDate, goalType,
+  priority, iconName, colorHex, notes,
+}) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO goals
+    (id, user_id, name, target_amount, current_amount, target_date, goal_type,
+     priority, icon_name, color_hex, is_active, notes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+  `).run(
+    id,
+    userId,
+    name,
+    targetAmount,
+    currentAmount || 0,
+    targetDate || null,
+    goalType,
+    priority,
+    iconName,
+    colorHex,
+    notes || null,
+    now,
+    now
+  );
+  return findGoal(userId, id);
+}
+
+const GOAL_COLUMNS = {
+  name: 'name',
+  targetAmount: 'target_amount',
+  targetDate: 'target_date',
+  goalType: 'goal_type',
+  priority: 'priority',
+  iconName: 'icon_name',
+  colorHex: 'color_hex',
+  isActive: 'is_active',
+  notes: 'notes',
+};
+
+export function updateGoal(userId, id, updates) {
+  const db = getDb();
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(GOAL_COLUMNS)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(key === 'isActive' ? (updates[key] ? 1 : 0) : updates[key]);
+    }
+  }
+
+  if (fields.length === 0) return findGoal(userId, id);
+
+  fields.push('updated_at = ?');
+  values.push(new Date().toISOString());
+  values.push(userId, id);
+
+  db.prepare(`UPDATE goals SET ${fields.join(', ')} WHERE user_id = ? AND id = ?`).run(...values);
+  return findGoal(userId, id);
+}
+
+export function deleteGoal(userId, id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM goals WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+// Records a contribution or withdrawal and moves current_amount in the same transaction
+export function recordGoalTransaction({ id, goalId, userId, type, amount, note, occurredAt }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const delta = type === 'withdrawal' ? -amount : amount;
+
+  const record = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO goal_transactions (id, goal_id, user_id, type, amount, note, occurred_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, goalId, userId, type, amount, note || null, occurredAt, now);
+
+    db.prepare(`
+      UPDATE goals SET current_amount = current_amount + ?, updated_at = ?
+      WHERE user_id = ? AND id = ?
+    `).run(delta, now, userId, goalId);
+  });
+
+  record();
+  return findGoal(userId, goalId);
+}
+
+export function findGoalTransactions(userId, goalIds) {
+  if (goalIds.length === 0) return [];
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM goal_transactions
+    WHERE user_id = ? AND goal_id IN (${goalIds.map(() => '?').join(', ')})
+    ORDER BY occurred_at DESC
+  `).all(userId, ...goalIds);
+}
+
+// Category budget operations
+export function findCategoryBudgets(userId, month) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM category_budgets
+    WHERE user_id = ? AND month = ?
+    ORDER BY monthly_limit DESC
+  `).all(userId, month);
+}
+
+export function findCategoryBudget(userId, month, categoryName) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM category_budgets WHERE user_id = ? AND month = ? AND category_name = ?
+  `).get(userId, month, categoryName);
+}
+
+// Most recent month before `month` that has any budgets
+export function findLatestBudgetMonthBefore(userId, month) {
+  const db = getDb();
+  const row = db.prepare(`
+    SELECT MAX(month) AS month FROM category_budgets WHERE user_id = ? AND month < ?
+  `).get(userId, month);
+  return row?.month || null;
+}
+
+// Inserts or updates budgets by (month, category). Fields left undefined keep their stored value
+export function upsertCategoryBudgets(userId, budgets) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO category_budgets
+    (id, user_id, category_name, month, monthly_limit, rollover_policy, rollover_amount,
+     reallocated_amount, is_auto_generated, created_at, updated_at)
+    VALUES (@id, @userId, @categoryName, @month, @monthlyLimit, COALESCE(@rolloverPolicy, 'reset'),
+            COALESCE(@rolloverAmount, 0), COALESCE(@reallocatedAmount, 0), @isAutoGenerated, @now, @now)
+    ON CONFLICT(user_id, month, category_name) DO UPDATE SET
+      monthly_limit = excluded.monthly_limit,
+      rollover_policy = COALESCE(@rolloverPolicy, category_budgets.rollover_policy),
+      rollover_amount = COALESCE(@rolloverAmount, category_budgets.rollover_amount),
+      reallocated_amount = COALESCE(@reallocatedAmount, category_budgets.reallocated_amount),
+      is_auto_generated = excluded.is_auto_generated,
+      updated_at = excluded.updated_at
+  `);
+
+  const upsert = db.transaction(() => {
+    for (const budget of budgets) {
+      upsertStmt.run({
+        id: budget.id,
+        userId,
+        categoryName: budget.categoryName,
+        month: budget.month,
+        monthlyLimit: budget.monthlyLimit,
+        rolloverPolicy: budget.rolloverPolicy ?? null,
+        rolloverAmount: budget.rolloverAmount ?? null,
+        reallocatedAmount: budget.reallocatedAmount ?? null,
+        isAutoGenerated: budget.isAutoGenerated ? 1 : 0,
+        now,
+      });
+    }
+  });
+
+  upsert();
+}
+
+export function updateCategoryBudgetRollover(id, rolloverAmount) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE category_budgets SET rollover_amount = ?, updated_at = ? WHERE id = ?
+  `).run(rolloverAmount, new Date().toISOString(), id);
+}
+
+export function deleteCategoryBudget(userId, month, categoryName) {
+  const db = getDb();
+  return db.prepare(`
+    DELETE FROM category_budgets WHERE user_id = ? AND month = ? AND category_name = ?
+  `).run(userId, month, categoryName).changes > 0;
+}
+
+// Category bucket mapping operations
+export function findCategoryBucketMappings(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM category_bucket_mappings
+    WHERE user_id = ?
+    ORDER BY match_type ASC, match_value ASC
+  `).all(userId);
+}
+
+export function findCategoryBucketMapping(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM category_bucket_mappings WHERE user_id = ? AND id = ?').get(userId, id);
+}
+
+export function findCategoryBucketMappingByMatch(userId, matchType, matchValue) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM category_bucket_mappings
+    WHERE user_id = ? AND match_type = ? AND match_value = ?
+  `).get(userId, matchType, matchValue);
+}
+
+export function createCategoryBucketMapping({ id, userId, matchType, matchValue, bucketType }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO category_bucket_mappings
+    (id, user_id, match_type, match_value, bucket_type, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, userId, matchType, matchValue, bucketType, now, now);
+  return findCategoryBucketMapping(userId, id);
+}
+
+export function updateCategoryBucketMapping(userId, id, bucketType) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE category_bucket_mappings SET bucket_type = ?, updated_at = ?
+    WHERE user_id = ? AND id = ?
+  `).run(bucketType, new Date().toISOString(), userId, id);
+  return findCategoryBucketMapping(userId, id);
+}
+
+export function deleteCategoryBucketMapping(userId, id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM category_bucket_mappings WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+// Alert operations
+export function findAlerts(userId, { includeDismissed = false, limit = 50 } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM alerts
+    WHERE user_id = ? ${includeDismissed ? '' : 'AND dismissed_at IS NULL'}
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).all(userId, limit);
+}
+
+// Alerts whose dedupe_key already exists for the user are skipped; returns the ones stored
+export function insertAlerts(userId, alerts) {
+  const db = getDb();
+  const now = new Date().toISOString();
+
+  const insertStmt = db.prepare(`
+    INSERT OR IGNORE INTO alerts
+    (id, user_id, type, severity, title, message, impact_summary, action_options,
+     related_budget_id, related_goal_id, transaction_id, dedupe_key, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const insert = db.transaction(() => alerts.filter(alert =>
+    insertStmt.run(
+      alert.id,
+      userId,
+      alert.type,
+      alert.severity,
+      alert.title,
+      alert.message,
+      JSON.stringify(alert.impactSummary),
+      JSON.stringify(alert.actionOptions),
+      alert.relatedBudgetId || null,
+      alert.relatedGoalId || null,
+      alert.transactionId || null,
+      alert.dedupeKey,
+      now
+    ).changes > 0
+  ));
+
+  return insert();
+}
+
+export function dismissAlert(userId, id) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE alerts SET dismissed_at = COALESCE(dismissed_at, ?) WHERE user_id = ? AND id = ?
+  `).run(new Date().toISOString(), userId, id).changes > 0;
+}
+
+export function findAlert(userId, id) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM alerts WHERE user_id = ? AND id = ?').get(userId, id);
+}
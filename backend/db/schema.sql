@@ -18,21 +18,79 @@ CREATE TABLE IF NOT EXISTS plaid_items (
     user_id TEXT NOT NULL,
     item_id TEXT NOT NULL,
     access_token_encrypted TEXT NOT NULL,
+    institution_id TEXT,
     institution_name TEXT,
+    institution_color TEXT,
+    institution_logo TEXT, -- base64-encoded PNG
+    institution_url TEXT,
+    institution_lookup_retry_at TEXT, -- set after a failed or empty lookup; no new lookup before then
+    status TEXT DEFAULT 'active', -- active, login_required, pending_expiration, new_accounts_available, error
+    last_successful_sync_at TEXT,
+    last_error_code TEXT,
+    transactions_cursor TEXT,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
     updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     UNIQUE(user_id, item_id)
 );
 
--- Sessions (refresh tokens)
+-- Plaid transactions (kept current via /transactions/sync deltas)
+CREATE TABLE IF NOT EXISTS plaid_transactions (
+    transaction_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    amount REAL NOT NULL,
+    iso_currency_code TEXT,
+    date TEXT NOT NULL,
+    authorized_date TEXT,
+    name TEXT,
+    merchant_name TEXT,
+    category_primary TEXT,
+    category_detailed TEXT,
+    pending INTEGER DEFAULT 0,
+    raw_json TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id, item_id) REFERENCES plaid_items(user_id, item_id) ON DELETE CASCADE
+);
+
+-- Per-account debt details from Plaid /liabilities/get (credit cards, student loans,
+-- mortgages). Replaced wholesale for an item on each refresh
+CREATE TABLE IF NOT EXISTS account_liabilities (
+    account_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    liability_type TEXT NOT NULL, -- credit, student, mortgage
+    account_name TEXT,
+    account_subtype TEXT,
+    current_balance REAL,
+    apr_percentage REAL,
+    minimum_payment REAL,
+    last_statement_balance REAL,
+    last_statement_date TEXT,
+    next_payment_due_date TEXT,
+    last_payment_amount REAL,
+    is_overdue INTEGER DEFAULT 0,
+    raw_json TEXT NOT NULL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id, item_id) REFERENCES plaid_items(user_id, item_id) ON DELETE CASCADE
+);
+
+-- Sessions (refresh tokens). Refreshing replaces a session with a new one in
+-- the same family (family_id is the id of the sign-in's first session);
+-- replaced_by marks a rotated-out token, so presenting it again is reuse
 CREATE TABLE IF NOT EXISTS sessions (
     id TEXT PRIMARY KEY,
     user_id TEXT NOT NULL,
+    family_id TEXT,
     refresh_token_hash TEXT NOT NULL,
     device_info TEXT,
+    ip_address TEXT,
     expires_at TEXT NOT NULL,
     revoked_at TEXT,
+    replaced_by TEXT,
+    last_used_at TEXT,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
@@ -48,6 +106,19 @@ CREATE TABLE IF NOT EXISTS password_reset_tokens (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Email verification tokens. email is the address the link was sent to, so a
+-- link for an address the user has since changed can't verify the new one
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- User allocation plans (bucket configuration)
 CREATE TABLE IF NOT EXISTS user_allocation_plans (
     id TEXT PRIMARY KEY,
@@ -74,17 +145,259 @@ CREATE TABLE IF NOT EXISTS user_paycheck_schedules (
     next_paycheck_date TEXT,
     is_confirmed INTEGER DEFAULT 0,
     detected_employer TEXT,
+    source TEXT DEFAULT 'manual',
+    confidence TEXT,
+    anchor_dates TEXT,
+    detected_at TEXT,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
     updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id),
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Per-paycheck allocation schedule generated from the allocation plan and paycheck schedule.
+-- Status values match the iOS AllocationStatus raw values
+CREATE TABLE IF NOT EXISTS scheduled_allocations (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    paycheck_date TEXT NOT NULL,
+    bucket_type TEXT NOT NULL,
+    scheduled_amount REAL NOT NULL,
+    status TEXT NOT NULL DEFAULT 'Upcoming',
+    reminder_sent_at TEXT,
+    linked_execution_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, paycheck_date, bucket_type),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Money the user actually moved into a bucket (iOS AllocationExecution).
+-- scheduled_allocation_id is kept after the scheduled entry itself is pruned
+CREATE TABLE IF NOT EXISTS allocation_executions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    scheduled_allocation_id TEXT,
+    bucket_type TEXT NOT NULL,
+    scheduled_amount REAL NOT NULL,
+    actual_amount REAL NOT NULL,
+    paycheck_date TEXT NOT NULL,
+    completed_at TEXT NOT NULL,
+    was_automatic INTEGER DEFAULT 0,
+    notes TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Savings goals (iOS Goal). goal_type and priority use the GoalType and GoalPriority raw values
+CREATE TABLE IF NOT EXISTS goals (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    target_amount REAL NOT NULL,
+    current_amount REAL NOT NULL DEFAULT 0,
+    target_date TEXT,
+    goal_type TEXT NOT NULL DEFAULT 'Other',
+    priority TEXT NOT NULL DEFAULT 'Medium',
+    icon_name TEXT,
+    color_hex TEXT,
+    is_active INTEGER DEFAULT 1,
+    notes TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Contributions to and withdrawals from a goal; amount is always positive
+CREATE TABLE IF NOT EXISTS goal_transactions (
+    id TEXT PRIMARY KEY,
+    goal_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    amount REAL NOT NULL,
+    note TEXT,
+    occurred_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Monthly spending limit per category (iOS Budget). month is YYYY-MM.
+-- rollover_amount is what the rollover policy carried in from the previous month
+CREATE TABLE IF NOT EXISTS category_budgets (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    category_name TEXT NOT NULL COLLATE NOCASE,
+    month TEXT NOT NULL,
+    monthly_limit REAL NOT NULL,
+    rollover_policy TEXT NOT NULL DEFAULT 'reset',
+    rollover_amount REAL NOT NULL DEFAULT 0,
+    reallocated_amount REAL NOT NULL DEFAULT 0, -- moved in (+) or out (-) this month only; not rolled forward
+    is_auto_generated INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, month, category_name),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Proactive alerts raised by the rules engine (iOS ProactiveAlert). dedupe_key stops
+-- the same condition (e.g. one category going over budget in a month) alerting twice
+CREATE TABLE IF NOT EXISTS alerts (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    severity TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    impact_summary TEXT,
+    action_options TEXT,
+    related_budget_id TEXT,
+    related_goal_id TEXT,
+    transaction_id TEXT,
+    dedupe_key TEXT NOT NULL,
+    dismissed_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, dedupe_key),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Every saved allocation plan, kept so users can see and restore earlier plans.
+-- Rows are never updated; allocations is a JSON snapshot of the plan's buckets
+CREATE TABLE IF NOT EXISTS allocation_plan_versions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    version_number INTEGER NOT NULL,
+    reason TEXT NOT NULL, -- ai_recommendation, manual_edit, preset_tier_change, restore
+    allocations TEXT NOT NULL,
+    restored_from_version_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, version_number),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- The income stability a user chose over the one classified from their deposits
+CREATE TABLE IF NOT EXISTS income_stability_overrides (
+    user_id TEXT PRIMARY KEY,
+    stability TEXT NOT NULL, -- stable, variable, inconsistent
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Per-user overrides of which allocation bucket a spending category or merchant
+-- counts toward. Categories without an override use the defaults for their Plaid
+-- personal_finance_category. match_value is upper-cased for categories (a Plaid
+-- primary/detailed value or a legacy category name) and lower-cased for merchants
+CREATE TABLE IF NOT EXISTS category_bucket_mappings (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    match_type TEXT NOT NULL, -- category, merchant
+    match_value TEXT NOT NULL,
+    bucket_type TEXT NOT NULL, -- AllocationBucketType raw value: Essential Spending, Discretionary Spending
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, match_type, match_value),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- TOTP two-factor authentication. A row with enabled_at NULL is an enrollment
+-- waiting for its first code; last_used_step stops a code being replayed
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id TEXT PRIMARY KEY,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TEXT,
+    last_used_step INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Two-factor recovery codes (hashed, each usable once)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Login challenges: a correct password with 2FA on gets one of these instead of
+-- tokens, to exchange together with a code
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    used_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Failed sign-in attempts, per account (scope_type 'account', keyed by the
+-- normalized email whether or not it's registered) and per client IP
+CREATE TABLE IF NOT EXISTS auth_failures (
+    scope_type TEXT NOT NULL,
+    scope_key TEXT NOT NULL,
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TEXT NOT NULL,
+    last_failed_at TEXT NOT NULL,
+    locked_until TEXT,
+    PRIMARY KEY (scope_type, scope_key)
+);
+
+-- Security events (e.g. a refresh token used again after rotation)
+CREATE TABLE IF NOT EXISTS security_events (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    session_family_id TEXT,
+    ip_address TEXT,
+    device_info TEXT,
+    details TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Plaid webhook event log (every verified webhook, with processing state)
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id TEXT PRIMARY KEY,
+    item_id TEXT,
+    webhook_type TEXT,
+    webhook_code TEXT,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    processed_at TEXT
+);
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_plaid_items_user_id ON plaid_items(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_hash ON two_factor_challenges(token_hash);
+CREATE INDEX IF NOT EXISTS idx_security_events_user ON security_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_hash ON password_reset_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_hash ON email_verification_tokens(token_hash);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_apple_id ON users(apple_user_id);
 CREATE INDEX IF NOT EXISTS idx_allocation_plans_user ON user_allocation_plans(user_id);
 CREATE INDEX IF NOT EXISTS idx_paycheck_schedules_user ON user_paycheck_schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_allocations_user_date ON scheduled_allocations(user_id, paycheck_date);
+CREATE INDEX IF NOT EXISTS idx_allocation_executions_user_completed ON allocation_executions(user_id, completed_at);
+CREATE INDEX IF NOT EXISTS idx_goals_user ON goals(user_id);
+CREATE INDEX IF NOT EXISTS idx_goal_transactions_goal ON goal_transactions(goal_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_category_budgets_user_month ON category_budgets(user_id, month);
+CREATE INDEX IF NOT EXISTS idx_alerts_user_created ON alerts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_account_liabilities_user ON account_liabilities(user_id, item_id);
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_user_date ON plaid_transactions(user_id, date);
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_item ON plaid_transactions(user_id, item_id);
+CREATE INDEX IF NOT EXISTS idx_plaid_transactions_account ON plaid_transactions(account_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_item ON webhook_events(item_id);
@@ -12,6 +12,7 @@ export function requireAuth(req, res, next) {
   try {
     const payload = verifyAccessToken(token);
     req.userId = payload.sub;
+    req.sessionId = payload.sid;
     req.userEmail = payload.email;
     req.userDisplayName = payload.displayName;
     next();
@@ -36,6 +37,7 @@ export function optionalAuth(req, res, next) {
   try {
     const payload = verifyAccessToken(token);
     req.userId = payload.sub;
+    req.sessionId = payload.sid;
     req.userEmail = payload.email;
     req.userDisplayName = payload.displayName;
   } catch {
@@ -1,5 +1,6 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import { v4 as uuidv4 } from 'uuid';
 import * as jose from 'jose';
 import {
@@ -9,19 +10,121 @@ import {
   findUserById,
   createSession,
   findSessionByTokenHash,
+  findActiveUserSessions,
+  findActiveUserSession,
+  findSessionByAnyTokenHash,
+  rotateSession,
+  revokeSessionFamily,
+  createSecurityEvent,
+  findSecurityEvents,
+  findTwoFactor,
+  savePendingTwoFactor,
+  enableTwoFactor,
+  deleteTwoFactor,
+  recordTwoFactorStep,
+  replaceRecoveryCodes,
+  useRecoveryCode,
+  countUnusedRecoveryCodes,
+  createTwoFactorChallenge,
+  findValidTwoFactorChallenge,
+  recordTwoFactorChallengeAttempt,
+  markTwoFactorChallengeUsed,
   revokeSession,
   revokeAllUserSessions,
+  updateUser,
+  createPasswordResetToken,
+  findValidPasswordResetToken,
+  markPasswordResetTokenUsed,
+  createEmailVerificationToken,
+  findValidEmailVerificationToken,
+  markEmailVerificationTokenUsed,
 } from '../db/database.js';
 import {
   generateAccessToken,
   generateRefreshToken,
   hashRefreshToken,
   getRefreshTokenExpiry,
+  generateOneTimeToken,
+  hashOneTimeToken,
+  getOneTimeTokenExpiry,
+  PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+  EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS,
+  TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES,
 } from '../services/token.js';
+import { encrypt, decrypt } from '../services/encryption.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotpCode,
+  isTotpCode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../services/twoFactor.js';
+import { createMailer } from '../services/mailer.js';
+import { passwordResetEmail, emailVerificationEmail, accountExistsEmail } from '../services/emailTemplates.js';
+import {
+  loginScopes,
+  checkLoginAllowed,
+  recordLoginFailure,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  clearAccountLoginFailures,
+  LOCKOUT_MINUTES,
+} from '../services/loginProtection.js';
 import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 const BCRYPT_ROUNDS = 12;
+// Wrong codes allowed per two-factor login challenge before it stops working
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Created on first use: this module is imported before dotenv loads the MAIL_* settings
+let mailer = null;
+function getMailer() {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+  return mailer;
+}
+
+// Rate limiting for endpoints that send email, keyed by the address rather than
+// the IP so one inbox can't be flooded from many clients
+function createEmailRateLimiter(emailFor) {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minute window
+    max: 3, // Up to 3 emails per address per window
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => emailFor(req) || ipKeyGenerator(req.ip),
+    handler: (req, res) => {
+      console.log(`⚠️ [Auth] Email rate limit exceeded for: ${emailFor(req) || req.ip}`);
+      res.status(429).json({
+        error: 'Too many emails requested for this address, please try again later.',
+      });
+    },
+  });
+}
+
+const forgotPasswordRateLimiter = createEmailRateLimiter((req) => normalizeEmail(req.body?.email));
+const verificationRateLimiter = createEmailRateLimiter((req) => normalizeEmail(req.userEmail));
+// Signups email the address whether or not it's registered
+const registrationRateLimiter = createEmailRateLimiter((req) => normalizeEmail(req.body?.email));
+
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.toLowerCase().trim() : null;
+}
+
+// Links in emails open these backend pages unless PASSWORD_RESET_URL /
+// EMAIL_VERIFICATION_URL point somewhere else (e.g. a universal link into the app)
+function publicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+function linkWithToken(baseUrl, token) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
 
 // Apple's public keys cache
 let applePublicKeys = null;
@@ -50,12 +153,226 @@ function formatUserResponse(user) {
   };
 }
 
+// A session for this device and the tokens that go with it. When rotating,
+// pass the replaced session's family and sign-in time
+function buildSession(req, user, { familyId = null, createdAt = null } = {}) {
+  const sessionId = uuidv4();
+  const refreshToken = generateRefreshToken();
+
+  return {
+    session: {
+      id: sessionId,
+      userId: user.id,
+      familyId: familyId || sessionId,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      deviceInfo: req.headers['user-agent'],
+      ipAddress: req.ip,
+      createdAt,
+      expiresAt: getRefreshTokenExpiry(),
+    },
+    tokens: { accessToken: generateAccessToken(user, sessionId), refreshToken },
+  };
+}
+
+// Create a session for a new sign-in and issue its tokens
+function startSession(req, user) {
+  const { session, tokens } = buildSession(req, user);
+  createSession(session);
+  return tokens;
+}
+
+function recordSecurityEvent(req, userId, eventType, { sessionFamilyId = null, details = null } = {}) {
+  createSecurityEvent({
+    id: uuidv4(),
+    userId,
+    eventType,
+    sessionFamilyId,
+    ipAddress: req.ip,
+    deviceInfo: req.headers['user-agent'],
+    details,
+  });
+}
+
+function handleRefreshTokenReuse(req, rotatedSession) {
+  const revokedSessions = revokeSessionFamily(rotatedSession.family_id);
+
+  recordSecurityEvent(req, rotatedSession.user_id, 'refresh_token_reuse', {
+    sessionFamilyId: rotatedSession.family_id,
+    details: {
+      sessionId: rotatedSession.id,
+      rotatedAt: rotatedSession.revoked_at,
+      revokedSessions,
+    },
+  });
+
+  console.log(`⚠️ [Auth] Refresh token reuse for user ${rotatedSession.user_id}: revoked session family ${rotatedSession.family_id}`);
+}
+
+// Compared against when there's no password to check, so an unknown email
+// takes as long to reject as a wrong password
+let dummyPasswordHash = null;
+function getDummyPasswordHash() {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(generateOneTimeToken(), BCRYPT_ROUNDS);
+  }
+  return dummyPasswordHash;
+}
+
+function rejectTooManyAttempts(res, blocked) {
+  res.set('Retry-After', String(blocked.retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many sign-in attempts, please try again later.',
+    retryAfterSeconds: blocked.retryAfterSeconds,
+  });
+}
+
+function recordFailedSignIn(req, scopes, user = null) {
+  reportLockouts(req, recordLoginFailure(scopes), user);
+}
+
+// Logs the scopes a failure locked, and records account_locked for an existing account
+function reportLockouts(req, locked, user = null) {
+  for (const scope of locked) {
+    console.log(`⚠️ [Auth] Sign-in locked for ${LOCKOUT_MINUTES} minutes: ${scope.type} ${scope.key}`);
+  }
+  if (user && locked.some(scope => scope.type === 'account')) {
+    recordSecurityEvent(req, user.id, 'account_locked', { details: { lockoutMinutes: LOCKOUT_MINUTES } });
+  }
+}
+
+function isTwoFactorEnabled(userId) {
+  return Boolean(findTwoFactor(userId)?.enabled_at);
+}
+
+// Sent instead of tokens when the first factor checks out and 2FA is on
+function issueTwoFactorChallenge(user) {
+  const challengeToken = generateOneTimeToken();
+  const expiresAt = getOneTimeTokenExpiry(TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES);
+
+  createTwoFactorChallenge({
+    id: uuidv4(),
+    userId: user.id,
+    tokenHash: hashOneTimeToken(challengeToken),
+    expiresAt,
+  });
+
+  return { twoFactorRequired: true, challengeToken, expiresAt };
+}
+
+// A six-digit code is checked as TOTP (each step works once), anything else as a
+// recovery code. Returns 'totp', 'recovery_code', or null when neither matches
+function checkSecondFactor(userId, twoFactor, code) {
+  if (!code || typeof code !== 'string') return null;
+
+  if (isTotpCode(code)) {
+    const step = verifyTotpCode(decrypt(twoFactor.secret_encrypted), code);
+    return step !== null && recordTwoFactorStep(userId, step) ? 'totp' : null;
+  }
+
+  return useRecoveryCode(userId, hashRecoveryCode(code)) ? 'recovery_code' : null;
+}
+
+function newRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return {
+    codes,
+    rows: codes.map(code => ({ id: uuidv4(), codeHash: hashRecoveryCode(code) })),
+  };
+}
+
+function formatSecurityEvent(event) {
+  return {
+    id: event.id,
+    eventType: event.event_type,
+    approximateIp: approximateIp(event.ip_address),
+    deviceInfo: event.device_info,
+    details: event.details ? JSON.parse(event.details) : null,
+    createdAt: event.created_at,
+  };
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    deviceInfo: session.device_info,
+    approximateIp: approximateIp(session.ip_address),
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at || session.created_at,
+    current: session.id === currentSessionId,
+  };
+}
+
+// Network part only: 203.0.113.42 -> 203.0.113.x, IPv6 to its /48 prefix
+function approximateIp(ip) {
+  if (!ip) return null;
+  const address = ip.replace(/^::ffff:/, '');
+  if (address.includes('.')) {
+    return `${address.split('.').slice(0, 3).join('.')}.x`;
+  }
+  const groups = address.split(':').filter(Boolean).slice(0, 3);
+  return `${groups.join(':')}::`;
+}
+
+async function sendVerificationEmail(user) {
+  const token = generateOneTimeToken();
+  createEmailVerificationToken({
+    id: uuidv4(),
+    userId: user.id,
+    email: user.email,
+    tokenHash: hashOneTimeToken(token),
+    expiresAt: getOneTimeTokenExpiry(EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60),
+  });
+
+  const link = linkWithToken(process.env.EMAIL_VERIFICATION_URL || `${publicBaseUrl()}/auth/verify-email`, token);
+  await getMailer().send({
+    to: user.email,
+    ...emailVerificationEmail({
+      displayName: user.display_name,
+      link,
+      expiresInHours: EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS,
+    }),
+  });
+}
+
+// Returns the verified user, or null when the token is unknown, used, expired,
+// or was sent to an address the account no longer has
+function consumeEmailVerificationToken(token) {
+  const verificationToken = findValidEmailVerificationToken(hashOneTimeToken(token));
+  if (!verificationToken) return null;
+
+  const user = findUserById(verificationToken.user_id);
+  if (!user || user.email !== verificationToken.email) return null;
+
+  if (!markEmailVerificationTokenUsed(verificationToken.id)) return null;
+  return updateUser(user.id, { emailVerified: true });
+}
+
+// Minimal pages for links opened in a browser
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: -apple-system, sans-serif; max-width: 420px; margin: 48px auto; padding: 0 16px;">
+<h1 style="font-size: 22px;">${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // POST /auth/register - Email/password signup
-router.post('/register', async (req, res) => {
+router.post('/register', registrationRateLimiter, async (req, res) => {
   try {
     const { email, password, displayName } = req.body;
 
-    if (!email || !password) {
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
@@ -64,40 +381,46 @@ router.post('/register', async (req, res) => {
     }
 
     const emailLower = email.toLowerCase().trim();
-    const existingUser = findUserByEmail(emailLower);
-    if (existingUser) {
-      return res.status(409).json({ error: 'Email already registered' });
+    const blocked = checkLoginAllowed(loginScopes({ account: emailLower, ip: req.ip }));
+    if (blocked) {
+      return rejectTooManyAttempts(res, blocked);
     }
 
+    // Hashed before the lookup, so an existing email takes as long as a new one.
+    // The lookup and insert then run without an await between them
     const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
-    const userId = uuidv4();
-    const user = createUser({
-      id: userId,
-      email: emailLower,
-      passwordHash,
-      appleUserId: null,
-      displayName: displayName || emailLower.split('@')[0],
-    });
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken();
-    const sessionId = uuidv4();
-
-    createSession({
-      id: sessionId,
-      userId: user.id,
-      refreshTokenHash: hashRefreshToken(refreshToken),
-      deviceInfo: req.headers['user-agent'],
-      expiresAt: getRefreshTokenExpiry(),
-    });
+    // Emails aren't awaited: a slow or failing mail server would otherwise show which path ran
+    const existingUser = findUserByEmail(emailLower);
+    if (existingUser) {
+      getMailer().send({
+        to: existingUser.email,
+        ...accountExistsEmail({ displayName: existingUser.display_name }),
+      }).catch(error => {
+        console.error(`❌ [Auth] Account exists email to ${emailLower} failed:`, error);
+      });
+      console.log(`📝 [Auth] Registration attempted for existing account: ${emailLower}`);
+    } else {
+      const user = createUser({
+        id: uuidv4(),
+        email: emailLower,
+        passwordHash,
+        appleUserId: null,
+        displayName: displayName || emailLower.split('@')[0],
+      });
 
-    console.log(`✅ [Auth] User registered: ${emailLower}`);
+      // Best effort: the account works without it, and /auth/send-verification can resend
+      sendVerificationEmail(user).catch(error => {
+        console.error('❌ [Auth] Verification email error:', error);
+      });
+      console.log(`✅ [Auth] User registered: ${emailLower}`);
+    }
 
+    // Same answer whether or not the email was already registered. The app signs
+    // in with /auth/login next
     res.json({
-      accessToken,
-      refreshToken,
-      user: formatUserResponse(user),
-      isNewUser: true,
+      success: true,
+      message: 'Check your email to confirm your address, then sign in with your password.',
     });
   } catch (error) {
     console.error('❌ [Auth] Registration error:', error);
@@ -115,28 +438,32 @@ router.post('/login', async (req, res) => {
     }
 
     const emailLower = email.toLowerCase().trim();
-    const user = findUserByEmail(emailLower);
-
-    if (!user || !user.password_hash) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const scopes = loginScopes({ account: emailLower, ip: req.ip });
+    // Counted as a failure until the password checks out (see reserveLoginAttempt)
+    const attempt = reserveLoginAttempt(scopes);
+    if (attempt.blocked) {
+      return rejectTooManyAttempts(res, attempt.blocked);
     }
 
-    const validPassword = await bcrypt.compare(password, user.password_hash);
-    if (!validPassword) {
+    // Unknown emails and Sign in with Apple accounts (no password) get the same
+    // bcrypt compare and the same answer as a wrong password
+    const user = findUserByEmail(emailLower);
+    const validPassword = await bcrypt.compare(password, user?.password_hash || await getDummyPasswordHash());
+    if (!user || !user.password_hash || !validPassword) {
+      reportLockouts(req, attempt.locked, user);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
+    releaseLoginAttempt(scopes);
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken();
-    const sessionId = uuidv4();
+    // With 2FA on, the password only earns a challenge to exchange at /auth/2fa/challenge.
+    // Earlier failures aren't cleared yet, so wrong codes keep adding to them
+    if (isTwoFactorEnabled(user.id)) {
+      console.log(`✅ [Auth] Password accepted, two-factor code required: ${emailLower}`);
+      return res.json(issueTwoFactorChallenge(user));
+    }
 
-    createSession({
-      id: sessionId,
-      userId: user.id,
-      refreshTokenHash: hashRefreshToken(refreshToken),
-      deviceInfo: req.headers['user-agent'],
-      expiresAt: getRefreshTokenExpiry(),
-    });
+    clearAccountLoginFailures(emailLower);
+    const { accessToken, refreshToken } = startSession(req, user);
 
     console.log(`✅ [Auth] User logged in: ${emailLower}`);
 
@@ -199,21 +526,14 @@ router.post('/apple', async (req, res) => {
       });
 
       console.log(`✅ [Auth] Apple user created: ${user.id}`);
+    } else if (isTwoFactorEnabled(user.id)) {
+      console.log(`✅ [Auth] Apple identity accepted, two-factor code required: ${user.id}`);
+      return res.json(issueTwoFactorChallenge(user));
     } else {
       console.log(`✅ [Auth] Apple user logged in: ${user.id}`);
     }
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken();
-    const sessionId = uuidv4();
-
-    createSession({
-      id: sessionId,
-      userId: user.id,
-      refreshTokenHash: hashRefreshToken(refreshToken),
-      deviceInfo: req.headers['user-agent'],
-      expiresAt: getRefreshTokenExpiry(),
-    });
+    const { accessToken, refreshToken } = startSession(req, user);
 
     res.json({
       accessToken,
@@ -243,6 +563,13 @@ router.post('/refresh', async (req, res) => {
     const session = findSessionByTokenHash(tokenHash);
 
     if (!session) {
+      // A token that was already rotated out means someone else holds a copy of
+      // it, so nothing issued from that sign-in can be trusted any more
+      const rotatedSession = findSessionByAnyTokenHash(tokenHash);
+      if (rotatedSession?.replaced_by) {
+        handleRefreshTokenReuse(req, rotatedSession);
+        return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'REFRESH_TOKEN_REUSED' });
+      }
       return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
 
@@ -251,24 +578,20 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Rotate refresh token
-    revokeSession(session.id);
-
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = generateRefreshToken();
-    const newSessionId = uuidv4();
-
-    createSession({
-      id: newSessionId,
-      userId: user.id,
-      refreshTokenHash: hashRefreshToken(newRefreshToken),
-      deviceInfo: req.headers['user-agent'],
-      expiresAt: getRefreshTokenExpiry(),
+    // Rotate refresh token. The replacement session stays in the family, keeps
+    // the device's sign-in time, and its last_used_at records this refresh
+    const { session: nextSession, tokens } = buildSession(req, user, {
+      familyId: session.family_id,
+      createdAt: session.created_at,
     });
+    if (!rotateSession(session.id, nextSession)) {
+      // A concurrent refresh with the same token got there first
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
     res.json({
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
     });
   } catch (error) {
     console.error('❌ [Auth] Token refresh error:', error);
@@ -310,6 +633,448 @@ router.post('/logout-all', requireAuth, async (req, res) => {
   }
 });
 
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password', forgotPasswordRateLimiter, async (req, res) => {
+  try {
+    const emailLower = normalizeEmail(req.body.email);
+    if (!emailLower) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    // Sign in with Apple accounts have no password to reset
+    const user = findUserByEmail(emailLower);
+    if (user && user.password_hash) {
+      const token = generateOneTimeToken();
+      createPasswordResetToken({
+        id: uuidv4(),
+        userId: user.id,
+        tokenHash: hashOneTimeToken(token),
+        expiresAt: getOneTimeTokenExpiry(PASSWORD_RESET_TOKEN_EXPIRY_MINUTES),
+      });
+
+      // Whoever asked for the reset may be locking out someone with a stolen session
+      revokeAllUserSessions(user.id);
+
+      const link = linkWithToken(process.env.PASSWORD_RESET_URL || `${publicBaseUrl()}/auth/reset-password`, token);
+      // Not awaited: a slow or failing mail server would otherwise show which emails have accounts
+      getMailer().send({
+        to: user.email,
+        ...passwordResetEmail({
+          displayName: user.display_name,
+          link,
+          expiresInMinutes: PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+        }),
+      }).catch(error => {
+        console.error(`❌ [Auth] Password reset email to ${emailLower} failed:`, error);
+      });
+
+      console.log(`✅ [Auth] Password reset requested: ${emailLower}`);
+    }
+
+    // Same answer whether or not the account exists, so this can't be used to find accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, we sent a link to reset the password.',
+    });
+  } catch (error) {
+    console.error('❌ [Auth] Forgot password error:', error);
+    res.status(500).json({ error: 'Password reset request failed' });
+  }
+});
+
+// GET /auth/reset-password - Form for the emailed reset link
+router.get('/reset-password', (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  if (!token) {
+    return res.status(400).send(renderPage('Reset password', '<p>This reset link is missing its token. Request a new one from the app.</p>'));
+  }
+
+  res.send(renderPage('Reset password', `<form method="post" action="reset-password">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<p><label>New password<br><input type="password" name="password" minlength="8" required autocomplete="new-password"></label></p>
+<p><button type="submit">Set password</button></p>
+</form>`));
+});
+
+// POST /auth/reset-password - Set a new password with a reset token
+// Accepts JSON from the app or the form above
+router.post('/reset-password', async (req, res) => {
+  const fromForm = req.is('application/x-www-form-urlencoded');
+  const fail = (status, error) => fromForm
+    ? res.status(status).send(renderPage('Reset password', `<p>${escapeHtml(error)}</p>`))
+    : res.status(status).json({ error });
+
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+      return fail(400, 'Token and password required');
+    }
+
+    if (password.length < 8) {
+      return fail(400, 'Password must be at least 8 characters');
+    }
+
+    const resetToken = findValidPasswordResetToken(hashOneTimeToken(token));
+    if (!resetToken || !findUserById(resetToken.user_id)) {
+      return fail(400, 'Invalid or expired reset token');
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Checked again after hashing: another request may have used the token meanwhile
+    if (!markPasswordResetTokenUsed(resetToken.id)) {
+      return fail(400, 'Invalid or expired reset token');
+    }
+
+    // Receiving the link proves the address, so it counts as verified too
+    updateUser(resetToken.user_id, { passwordHash, emailVerified: true });
+    revokeAllUserSessions(resetToken.user_id);
+
+    console.log(`✅ [Auth] Password reset for user: ${resetToken.user_id}`);
+
+    if (fromForm) {
+      return res.send(renderPage('Password updated', '<p>Your password has been changed. Sign in to the app with your new password.</p>'));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ [Auth] Reset password error:', error);
+    fail(500, 'Password reset failed');
+  }
+});
+
+// POST /auth/send-verification - Email a new verification link to the current user
+router.post('/send-verification', requireAuth, verificationRateLimiter, async (req, res) => {
+  try {
+    const user = findUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({ error: 'No email address on this account' });
+    }
+
+    if (user.email_verified) {
+      return res.json({ success: true, alreadyVerified: true });
+    }
+
+    await sendVerificationEmail(user);
+    console.log(`✅ [Auth] Verification email sent: ${user.email}`);
+
+    res.json({ success: true, alreadyVerified: false });
+  } catch (error) {
+    console.error('❌ [Auth] Send verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// POST /auth/verify-email - Verify an email address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Token required' });
+    }
+
+    const user = consumeEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    console.log(`✅ [Auth] Email verified: ${user.email}`);
+
+    res.json({ success: true, user: formatUserResponse(user) });
+  } catch (error) {
+    console.error('❌ [Auth] Verify email error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// GET /auth/verify-email - The emailed verification link, opened in a browser
+router.get('/verify-email', (req, res) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    const user = token ? consumeEmailVerificationToken(token) : null;
+    if (!user) {
+      return res.status(400).send(renderPage('Link expired', '<p>This verification link is invalid or has expired. Request a new one from the app.</p>'));
+    }
+
+    console.log(`✅ [Auth] Email verified: ${user.email}`);
+
+    res.send(renderPage('Email confirmed', `<p>${escapeHtml(user.email)} is confirmed. You can return to the app.</p>`));
+  } catch (error) {
+    console.error('❌ [Auth] Verify email error:', error);
+    res.status(500).send(renderPage('Something went wrong', '<p>We couldn\'t verify your email. Please try again.</p>'));
+  }
+});
+
+// POST /auth/2fa/challenge - Exchange a login challenge and a code for tokens
+router.post('/2fa/challenge', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (typeof challengeToken !== 'string' || !challengeToken || typeof code !== 'string' || !code) {
+      return res.status(400).json({ error: 'Challenge token and code required' });
+    }
+
+    const challenge = findValidTwoFactorChallenge(hashOneTimeToken(challengeToken), MAX_TWO_FACTOR_ATTEMPTS);
+    const twoFactor = challenge && findTwoFactor(challenge.user_id);
+    if (!challenge || !twoFactor?.enabled_at) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const user = findUserById(challenge.user_id);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const account = user.email || user.id;
+    const scopes = loginScopes({ account, ip: req.ip });
+    const blocked = checkLoginAllowed(scopes);
+    if (blocked) {
+      return rejectTooManyAttempts(res, blocked);
+    }
+
+    const method = checkSecondFactor(user.id, twoFactor, code);
+    if (!method) {
+      recordTwoFactorChallengeAttempt(challenge.id);
+      recordFailedSignIn(req, scopes, user);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    if (!markTwoFactorChallengeUsed(challenge.id)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    clearAccountLoginFailures(account);
+
+    if (method === 'recovery_code') {
+      recordSecurityEvent(req, user.id, 'recovery_code_used', {
+        details: { recoveryCodesRemaining: countUnusedRecoveryCodes(user.id) },
+      });
+    }
+
+    const { accessToken, refreshToken } = startSession(req, user);
+
+    console.log(`✅ [Auth] Two-factor login (${method}): ${user.id}`);
+
+    res.json({
+      accessToken,
+      refreshToken,
+      user: formatUserResponse(user),
+      isNewUser: false,
+    });
+  } catch (error) {
+    console.error('❌ [Auth] Two-factor challenge error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
+});
+
+// GET /auth/2fa - Two-factor status for the current user
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const twoFactor = findTwoFactor(req.userId);
+    const enabled = Boolean(twoFactor?.enabled_at);
+    res.json({
+      enabled,
+      enrollmentPending: Boolean(twoFactor) && !enabled,
+      enabledAt: twoFactor?.enabled_at || null,
+      recoveryCodesRemaining: enabled ? countUnusedRecoveryCodes(req.userId) : 0,
+    });
+  } catch (error) {
+    console.error('❌ [Auth] Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// POST /auth/2fa/enroll - Start enrollment: a new secret for the authenticator app
+router.post('/2fa/enroll', requireAuth, async (req, res) => {
+  try {
+    const user = findUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (isTwoFactorEnabled(user.id)) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    savePendingTwoFactor(user.id, encrypt(secret));
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email || user.display_name || user.id }),
+    });
+  } catch (error) {
+    console.error('❌ [Auth] Two-factor enroll error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+  }
+});
+
+// POST /auth/2fa/verify - Finish enrollment with a code from the app
+router.post('/2fa/verify', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+
+    const twoFactor = findTwoFactor(req.userId);
+    if (!twoFactor) {
+      return res.status(400).json({ error: 'Start enrollment with /auth/2fa/enroll first' });
+    }
+
+    if (twoFactor.enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const step = verifyTotpCode(decrypt(twoFactor.secret_encrypted), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = newRecoveryCodes();
+    enableTwoFactor(req.userId, { step, recoveryCodes: recoveryCodes.rows });
+    recordSecurityEvent(req, req.userId, 'two_factor_enabled');
+
+    console.log(`✅ [Auth] Two-factor enabled for user: ${req.userId}`);
+
+    // The only time the recovery codes are shown
+    res.json({ enabled: true, recoveryCodes: recoveryCodes.codes });
+  } catch (error) {
+    console.error('❌ [Auth] Two-factor verify error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor code' });
+  }
+});
+
+// POST /auth/2fa/recovery-codes - Replace the recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = findUserById(req.userId);
+    const twoFactor = findTwoFactor(req.userId);
+    if (!user || !twoFactor?.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Wrong codes count like failed sign-ins, so a stolen session can't be used to guess them
+    const account = user.email || user.id;
+    const scopes = loginScopes({ account, ip: req.ip });
+    const blocked = checkLoginAllowed(scopes);
+    if (blocked) {
+      return rejectTooManyAttempts(res, blocked);
+    }
+
+    if (!checkSecondFactor(user.id, twoFactor, code)) {
+      recordFailedSignIn(req, scopes, user);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+    clearAccountLoginFailures(account);
+
+    const recoveryCodes = newRecoveryCodes();
+    replaceRecoveryCodes(req.userId, recoveryCodes.rows);
+    recordSecurityEvent(req, req.userId, 'recovery_codes_regenerated');
+
+    res.json({ recoveryCodes: recoveryCodes.codes });
+  } catch (error) {
+    console.error('❌ [Auth] Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// POST /auth/2fa/disable - Turn 2FA off (needs a code, and the password if the account has one)
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    const user = findUserById(req.userId);
+    const twoFactor = findTwoFactor(req.userId);
+    if (!user || !twoFactor) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // A pending enrollment can be abandoned without a code
+    if (twoFactor.enabled_at) {
+      // Wrong passwords and codes count like failed sign-ins (see /2fa/recovery-codes)
+      const account = user.email || user.id;
+      const scopes = loginScopes({ account, ip: req.ip });
+      // Reserved before the password compare is awaited, like /auth/login
+      const attempt = reserveLoginAttempt(scopes);
+      if (attempt.blocked) {
+        return rejectTooManyAttempts(res, attempt.blocked);
+      }
+
+      if (user.password_hash && !(typeof password === 'string' && await bcrypt.compare(password, user.password_hash))) {
+        reportLockouts(req, attempt.locked, user);
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      if (!checkSecondFactor(user.id, twoFactor, code)) {
+        reportLockouts(req, attempt.locked, user);
+        return res.status(401).json({ error: 'Invalid code' });
+      }
+      releaseLoginAttempt(scopes);
+      clearAccountLoginFailures(account);
+    }
+
+    deleteTwoFactor(user.id);
+    if (twoFactor.enabled_at) {
+      recordSecurityEvent(req, user.id, 'two_factor_disabled');
+      console.log(`✅ [Auth] Two-factor disabled for user: ${user.id}`);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ [Auth] Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// GET /auth/sessions - List the devices signed in to this account
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = findActiveUserSessions(req.userId);
+    res.json({ sessions: sessions.map(session => formatSession(session, req.sessionId)) });
+  } catch (error) {
+    console.error('❌ [Auth] List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// DELETE /auth/sessions/:id - Sign out one device
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const session = findActiveUserSession(req.userId, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    revokeSessionFamily(session.family_id);
+    console.log(`✅ [Auth] Session ${session.id} revoked for user: ${req.userId}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ [Auth] Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// GET /auth/security-events - Recent security events on this account, newest first
+router.get('/security-events', requireAuth, async (req, res) => {
+  try {
+    const events = findSecurityEvents(req.userId);
+    res.json({ events: events.map(formatSecurityEvent) });
+  } catch (error) {
+    console.error('❌ [Auth] List security events error:', error);
+    res.status(500).json({ error: 'Failed to list security events' });
+  }
+});
+
 // GET /auth/me - Get current user
 router.get('/me', requireAuth, async (req, res) => {
   try {
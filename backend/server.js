@@ -3,8 +3,6 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
 import rateLimit from 'express-rate-limit';
-import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
-import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -14,8 +12,27 @@ import * as jose from 'jose';
 import { v4 as uuidv4 } from 'uuid';
 
 // Auth imports
-import { getDb, createUser, createPlaidItem, findPlaidItemsByUserId, findPlaidItemByItemId, findPlaidItemByItemIdOnly, deletePlaidItem, deletePlaidItemByItemId, updatePlaidItemToken } from './db/database.js';
+import { getDb, createUser, createPlaidItem, findPlaidItemsByUserId, findPlaidItemByItemId, findPlaidItemByItemIdOnly, deletePlaidItem, deletePlaidItemByItemId, updatePlaidItemToken, findTransactions, countTransactionsByItem, findWebhookEvents, updatePlaidItemStatus, findPaycheckSchedule, deleteScheduledAllocations, findScheduledAllocation, findAllocationExecution, findAllocationExecutions, createAllocationExecution, updateAllocationExecution, deleteAllocationExecution, findGoals, findGoal, createGoal, updateGoal, deleteGoal, recordGoalTransaction, findCategoryBudget, upsertCategoryBudgets, deleteCategoryBudget, findAlerts, findAlert, dismissAlert, findCategoryBucketMappings, findCategoryBucketMapping, findCategoryBucketMappingByMatch, createCategoryBucketMapping, updateCategoryBucketMapping, deleteCategoryBucketMapping, findLiabilities, saveIncomeStabilityOverride, deleteIncomeStabilityOverride, findAllocationPlan, replaceAllocationPlan, findAllocationPlanVersions, findAllocationPlanVersion } from './db/database.js';
 import { encrypt, decrypt } from './services/encryption.js';
+import { createPlaidProvider } from './services/plaidProvider.js';
+import { createLLMProvider, renderTemplate } from './services/llmProvider.js';
+import { syncItemTransactions } from './services/transactionSync.js';
+import { ensureInstitutionMetadata } from './services/institutions.js';
+import { fetchUserAccounts } from './services/accounts.js';
+import { analysisWindow, generateAnalysisSnapshot, shouldExcludeFromBudget } from './services/transactionAnalyzer.js';
+import { detectUserPaycheckSchedule } from './services/paycheckDetection.js';
+import { INCOME_STABILITY_LEVELS, DEFAULT_INCOME_STABILITY, getUserIncomeStability } from './services/incomeStability.js';
+import { getAllocationProgressSummary, calculateOverallStats } from './services/allocationExecutions.js';
+import { GOAL_TYPES, GOAL_PRIORITIES, withGoalPace, goalsForPrompt } from './services/goals.js';
+import { ROLLOVER_POLICIES, generateBudgetsFromHistory, getBudgetsForMonth, reallocateBudget } from './services/budgets.js';
+import { evaluateUserAlerts } from './services/alertRules.js';
+import { ESSENTIAL_BUCKET, DISCRETIONARY_BUCKET, SPENDING_BUCKETS, MAPPING_MATCH_TYPES, DEFAULT_BUCKET_CATEGORY_NAMES, normalizeMatchValue, loadBucketResolver, bucketCategoryBreakdown, summarizeSpendingCategories } from './services/categoryBuckets.js';
+import { refreshItemLiabilities, refreshUserLiabilities, liabilityDebts } from './services/liabilities.js';
+import { simulateDebtPayoff, simulateMinimumPayments, weightedAverageApr, totalMinimumPayment, compareDebtPayoffStrategies } from './services/debtPayoff.js';
+import { DEFAULT_PROJECTION_ASSUMPTIONS, MAX_PROJECTION_YEARS, MAX_SIMULATIONS, MAX_SIMULATED_YEARS, projectInvestmentGrowth, simulateInvestmentGrowth } from './services/investmentProjections.js';
+import { CLIENT_PLAN_VERSION_REASONS, diffAllocationPlans } from './services/allocationPlanVersions.js';
+import { regenerateAllocationSchedule, getAllocationSchedule, DEFAULT_MONTHS_AHEAD, MAX_MONTHS_AHEAD } from './services/allocationScheduler.js';
+import { recordWebhookEvent, processWebhookEvent, retryDueWebhookEvents, replayWebhookEvent } from './services/webhookProcessor.js';
 import { requireAuth, optionalAuth } from './middleware/auth.js';
 import authRoutes from './routes/auth.js';
 
@@ -74,24 +91,25 @@ const webhookRateLimiter = rateLimit({
   },
 });
 
-// Plaid client configuration
-const configuration = new Configuration({
-  basePath: PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
-  baseOptions: {
-    headers: {
-      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
-      'PLAID-SECRET': process.env.PLAID_SECRET,
-    },
+// Rate limiting for investment projections: Monte Carlo runs are CPU-bound
+const projectionRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute window
+  max: 20, // Limit each IP to 20 projections per minute
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.log(`⚠️ [Planning] Projection rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many projection requests from this IP, please try again in a minute.',
+    });
   },
 });
 
-const plaidClient = new PlaidApi(configuration);
+// Plaid provider (PLAID_PROVIDER=fake serves fixture data without network access)
+const plaidProvider = createPlaidProvider();
 
-// OpenAI client configuration
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 30000, // 30 second timeout for API calls
-});
+// LLM provider (LLM_PROVIDER=stub answers from templates without an API key)
+const llmProvider = createLLMProvider();
 
 // Token storage is now SQLite-only (see db/database.js)
 
@@ -117,7 +135,7 @@ app.use('/auth', authRoutes);
 app.get('/api/debug/items', (req, res) => {
   try {
     const db = getDb();
-    const items = db.prepare('SELECT item_id, user_id, institution_name, created_at FROM plaid_items').all();
+    const items = db.prepare('SELECT item_id, user_id, institution_id, institution_name, status, created_at FROM plaid_items').all();
     res.json({
       count: items.length,
       items: items
@@ -215,29 +233,103 @@ app.post('/api/dev/reset-item/:itemId', (req, res) => {
   }
 });
 
+// List stored webhook events (filter with ?status=dead_letter, ?item_id=...)
+app.get('/api/dev/webhooks', (req, res) => {
+  try {
+    const events = findWebhookEvents({
+      status: req.query.status,
+      itemId: req.query.item_id,
+    });
+
+    res.json({
+      count: events.length,
+      events: events.map(formatWebhookEvent),
+    });
+  } catch (error) {
+    console.error('❌ [Dev] Error listing webhook events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replay a stored webhook event through its handler (works for dead-lettered events)
+app.post('/api/dev/webhooks/:eventId/replay', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    console.log(`🔄 [Dev] Replaying webhook event: ${eventId}`);
+
+    const event = await replayWebhookEvent(plaidProvider, eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook event ${eventId} not found`
+      });
+    }
+
+    res.json({
+      success: event.status === 'processed',
+      event: formatWebhookEvent(event)
+    });
+  } catch (error) {
+    console.error('❌ [Dev] Error replaying webhook event:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ========== END DEVELOPER ENDPOINTS ==========
 
 // Create Link Token
+// Pass item_id (authenticated) to get an update-mode token that repairs an existing connection
 app.post('/api/plaid/create_link_token', optionalAuth, async (req, res) => {
   try {
     // Use authenticated userId or fallback to legacy 'user-id' for backwards compatibility
     const userId = req.userId || 'user-id';
+    const { item_id } = req.body;
 
     const configs = {
       user: {
         client_user_id: userId,
       },
       client_name: 'Financial Analyzer',
-      products: ['transactions'],
-      transactions: {
-        days_requested: 90, // 3 months for faster sync
-      },
       country_codes: ['US'],
       language: 'en',
     };
 
-    const createTokenResponse = await plaidClient.linkTokenCreate(configs);
-    res.json({ link_token: createTokenResponse.data.link_token });
+    if (item_id) {
+      if (!req.userId) {
+        return res.status(401).json({ error: 'Authentication required for update mode' });
+      }
+
+      const plaidItem = findPlaidItemByItemId(req.userId, item_id);
+      if (!plaidItem) {
+        return res.status(404).json({ error: 'Plaid item not found' });
+      }
+
+      // Update mode: no products, the item's access token instead
+      configs.access_token = decrypt(plaidItem.access_token_encrypted);
+      if (plaidItem.status === 'new_accounts_available') {
+        configs.update = { account_selection_enabled: true };
+      }
+
+      console.log(`🔧 [Link] Creating update-mode link token for item ${item_id} (status: ${plaidItem.status})`);
+    } else {
+      configs.products = ['transactions'];
+      // Real APRs and minimum payments where the institution supports it, without
+      // blocking institutions that don't
+      configs.optional_products = ['liabilities'];
+      configs.transactions = {
+        days_requested: 90, // 3 months for faster sync
+      };
+    }
+
+    const createTokenResponse = await plaidProvider.createLinkToken(configs);
+    res.json({
+      link_token: createTokenResponse.link_token,
+      mode: item_id ? 'update' : 'create',
+    });
   } catch (error) {
     console.error('Error creating link token:', error);
     res.status(500).json({ error: error.message });
@@ -257,12 +349,10 @@ app.post('/api/plaid/exchange_public_token', requireAuth, async (req, res) => {
     }
 
     console.log(`🔄 [Token Exchange] Calling Plaid itemPublicTokenExchange...`);
-    const response = await plaidClient.itemPublicTokenExchange({
-      public_token,
-    });
+    const response = await plaidProvider.exchangePublicToken(public_token);
 
-    const accessToken = response.data.access_token;
-    const itemId = response.data.item_id;
+    const accessToken = response.access_token;
+    const itemId = response.item_id;
 
     console.log(`🔄 [Token Exchange] Exchange successful! ItemId: ${itemId}`);
 
@@ -277,8 +367,19 @@ app.post('/api/plaid/exchange_public_token', requireAuth, async (req, res) => {
     });
     console.log(`🔄 [Token Exchange] Token saved to SQLite for user: ${req.userId}`);
 
+    // Institution lookup is best-effort; the link itself already succeeded
+    const [plaidItem] = await ensureInstitutionMetadata(plaidProvider, [findPlaidItemByItemId(req.userId, itemId)]);
+
+    // Same for liabilities; a LIABILITIES webhook or GET /api/liabilities?refresh=true fills them in later
+    try {
+      await refreshItemLiabilities(plaidProvider, plaidItem);
+    } catch (error) {
+      console.warn(`⚠️ [Token Exchange] Could not load liabilities for item ${itemId}: ${error.response?.data?.error_code || error.message}`);
+    }
+
     res.json({
       item_id: itemId,
+      institution: formatInstitution(plaidItem),
     });
   } catch (error) {
     console.error('❌ [Token Exchange] Error exchanging public token:', error);
@@ -287,11 +388,35 @@ app.post('/api/plaid/exchange_public_token', requireAuth, async (req, res) => {
   }
 });
 
+// Mark an item repaired after the user completes Link update mode
+app.post('/api/plaid/item/update-complete', requireAuth, async (req, res) => {
+  try {
+    const { item_id } = req.body;
+
+    if (!item_id) {
+      return res.status(400).json({ error: 'item_id is required' });
+    }
+
+    const plaidItem = findPlaidItemByItemId(req.userId, item_id);
+    if (!plaidItem) {
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    updatePlaidItemStatus(item_id, 'active');
+    console.log(`✅ [Link] Item ${item_id} repaired via update mode (was ${plaidItem.status})`);
+
+    res.json({ item_id, status: 'active' });
+  } catch (error) {
+    console.error('❌ [Link] Error completing update mode:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get user's Plaid items (for iOS to enumerate linked accounts)
 app.get('/api/plaid/items', requireAuth, async (req, res) => {
   try {
     const db = getDb();
-    const items = findPlaidItemsByUserId(req.userId);
+    const items = await ensureInstitutionMetadata(plaidProvider, findPlaidItemsByUserId(req.userId));
     console.log(`📋 [Items] Found ${items.length} item(s) for user: ${req.userId}`);
 
     // Get user's onboarding status
@@ -302,11 +427,7 @@ app.get('/api/plaid/items', requireAuth, async (req, res) => {
     `).get(req.userId);
 
     res.json({
-      items: items.map(item => ({
-        itemId: item.item_id,
-        institutionName: item.institution_name,
-        createdAt: item.created_at,
-      })),
+      items: items.map(formatPlaidItem),
       onboardingCompleted: user?.onboarding_completed === 1,
       onboardingCompletedAt: user?.onboarding_completed_at || null,
     });
@@ -316,6 +437,22 @@ app.get('/api/plaid/items', requireAuth, async (req, res) => {
   }
 });
 
+// Institution logo for an item (PNG)
+app.get('/api/plaid/items/:itemId/institution-logo', requireAuth, async (req, res) => {
+  try {
+    const plaidItem = findPlaidItemByItemId(req.userId, req.params.itemId);
+    if (!plaidItem?.institution_logo) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type('png').send(Buffer.from(plaidItem.institution_logo, 'base64'));
+  } catch (error) {
+    console.error('❌ [Items] Error serving institution logo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Mark onboarding as complete
 app.post('/api/user/complete-onboarding', requireAuth, async (req, res) => {
   try {
@@ -356,7 +493,7 @@ app.get('/api/user/status', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const items = findPlaidItemsByUserId(req.userId);
+    const items = await ensureInstitutionMetadata(plaidProvider, findPlaidItemsByUserId(req.userId));
 
     res.json({
       userId: user.id,
@@ -364,6 +501,7 @@ app.get('/api/user/status', requireAuth, async (req, res) => {
       onboardingCompleted: user.onboarding_completed === 1,
       onboardingCompletedAt: user.onboarding_completed_at,
       connectedAccountsCount: items.length,
+      items: items.map(formatPlaidItem),
       createdAt: user.created_at,
     });
   } catch (error) {
@@ -377,44 +515,11 @@ app.get('/api/user/status', requireAuth, async (req, res) => {
 // ============================================================================
 
 // Get user's allocation plan
+// The ETag header (also in the body as `etag`) must be sent back as If-Match when saving
 app.get('/api/user/allocation-plan', requireAuth, async (req, res) => {
   try {
-    const db = getDb();
-
-    const allocations = db.prepare(`
-      SELECT * FROM user_allocation_plans
-      WHERE user_id = ?
-      ORDER BY bucket_type
-    `).all(req.userId);
-
-    const paycheck = db.prepare(`
-      SELECT * FROM user_paycheck_schedules
-      WHERE user_id = ?
-    `).get(req.userId);
-
-    res.json({
-      allocations: allocations.map(a => ({
-        id: a.id,
-        bucketType: a.bucket_type,
-        percentage: a.percentage,
-        targetAmount: a.target_amount,
-        linkedAccountId: a.linked_account_id,
-        linkedAccountName: a.linked_account_name,
-        isCustomized: a.is_customized === 1,
-        presetTier: a.preset_tier,
-        createdAt: a.created_at,
-        updatedAt: a.updated_at
-      })),
-      paycheckSchedule: paycheck ? {
-        id: paycheck.id,
-        frequency: paycheck.frequency,
-        estimatedAmount: paycheck.estimated_amount,
-        nextPaycheckDate: paycheck.next_paycheck_date,
-        isConfirmed: paycheck.is_confirmed === 1,
-        detectedEmployer: paycheck.detected_employer
-      } : null,
-      hasPlan: allocations.length > 0
-    });
+    const plan = buildAllocationPlanResponse(req.userId);
+    res.set('ETag', plan.etag).json(plan);
   } catch (error) {
     console.error('Error fetching allocation plan:', error);
     res.status(500).json({ error: 'Failed to fetch allocation plan' });
@@ -422,10 +527,11 @@ app.get('/api/user/allocation-plan', requireAuth, async (req, res) => {
 });
 
 // Save/update user's allocation plan
+// Requires If-Match with the ETag from GET; a stale ETag gets a 409 with the current plan
 app.post('/api/user/allocation-plan', requireAuth, async (req, res) => {
   try {
     const db = getDb();
-    const { allocations, paycheckSchedule } = req.body;
+    const { allocations, paycheckSchedule, reason } = req.body;
     const now = new Date().toISOString();
 
     // Validate allocations sum to ~100%
@@ -438,35 +544,21 @@ app.post('/api/user/allocation-plan', requireAuth, async (req, res) => {
       }
     }
 
+    if (reason !== undefined && !CLIENT_PLAN_VERSION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${CLIENT_PLAN_VERSION_REASONS.join(', ')}` });
+    }
+
+    // Checked and saved without an await in between, so no other save can slip in
+    const conflict = allocationPlanPreconditionFailure(req, { required: true });
+    if (conflict) {
+      return res.status(conflict.status).json(conflict.body);
+    }
+
     // Transaction for atomic updates
+    let version;
     const saveAllocations = db.transaction(() => {
-      // Clear existing allocations for this user
-      db.prepare('DELETE FROM user_allocation_plans WHERE user_id = ?').run(req.userId);
-
-      // Insert new allocations
-      const insertStmt = db.prepare(`
-        INSERT INTO user_allocation_plans
-        (id, user_id, bucket_type, percentage, target_amount, linked_account_id,
-         linked_account_name, is_customized, preset_tier, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      for (const allocation of allocations) {
-        const id = `alloc_${req.userId}_${allocation.bucketType}`;
-        insertStmt.run(
-          id,
-          req.userId,
-          allocation.bucketType,
-          allocation.percentage,
-          allocation.targetAmount || null,
-          allocation.linkedAccountId || null,
-          allocation.linkedAccountName || null,
-          allocation.isCustomized ? 1 : 0,
-          allocation.presetTier || null,
-          now,
-          now
-        );
-      }
+      // Replace existing allocations and record them as a new plan version
+      version = replaceAllocationPlan(req.userId, allocations, { versionId: uuidv4(), reason: reason || 'manual_edit' });
 
       // Save paycheck schedule if provided
       if (paycheckSchedule) {
@@ -493,13 +585,18 @@ app.post('/api/user/allocation-plan', requireAuth, async (req, res) => {
     });
 
     saveAllocations();
+    const scheduledCount = regenerateAllocationSchedule(req.userId);
 
-    console.log(`✅ [AllocationPlan] Saved ${allocations.length} allocations for user ${req.userId}`);
+    console.log(`✅ [AllocationPlan] Saved ${allocations.length} allocations for user ${req.userId} as version ${version.version_number} (${scheduledCount} scheduled allocations)`);
 
-    res.json({
+    const etag = allocationPlanETag(req.userId);
+    res.set('ETag', etag).json({
       success: true,
       savedAt: now,
-      allocationCount: allocations.length
+      allocationCount: allocations.length,
+      versionId: version.id,
+      versionNumber: version.version_number,
+      etag
     });
   } catch (error) {
     console.error('Error saving allocation plan:', error);
@@ -507,12 +604,18 @@ app.post('/api/user/allocation-plan', requireAuth, async (req, res) => {
   }
 });
 
-// Delete user's allocation plan (for testing/reset)
+// Delete user's allocation plan (for testing/reset). If-Match is checked when sent
 app.delete('/api/user/allocation-plan', requireAuth, async (req, res) => {
   try {
+    const conflict = allocationPlanPreconditionFailure(req, { required: false });
+    if (conflict) {
+      return res.status(conflict.status).json(conflict.body);
+    }
+
     const db = getDb();
     db.prepare('DELETE FROM user_allocation_plans WHERE user_id = ?').run(req.userId);
     db.prepare('DELETE FROM user_paycheck_schedules WHERE user_id = ?').run(req.userId);
+    deleteScheduledAllocations(req.userId);
 
     console.log(`🗑️ [AllocationPlan] Deleted plan for user ${req.userId}`);
 
@@ -523,119 +626,1225 @@ app.delete('/api/user/allocation-plan', requireAuth, async (req, res) => {
   }
 });
 
-// Get Accounts
-app.post('/api/plaid/accounts', requireAuth, async (req, res) => {
+// List every saved version of the user's plan, newest first
+app.get('/api/user/allocation-plan/versions', requireAuth, async (req, res) => {
   try {
-    const { item_id } = req.body;
+    const versions = findAllocationPlanVersions(req.userId);
+    const currentId = currentPlanVersionId(req.userId, versions);
+    res.json({ versions: versions.map(version => formatAllocationPlanVersion(version, version.id === currentId)) });
+  } catch (error) {
+    console.error('Error fetching allocation plan versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`📊 [Accounts] Request received for user: ${req.userId}`);
+// Compare two versions bucket by bucket
+// Query: from (version id), to (version id, defaults to the current plan's version)
+app.get('/api/user/allocation-plan/versions/diff', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'from is required' });
+    }
 
-    if (!item_id) {
-      console.error('❌ [Accounts] Missing item_id in request');
-      return res.status(400).json({ error: 'item_id is required' });
+    const versions = findAllocationPlanVersions(req.userId);
+    const currentId = currentPlanVersionId(req.userId, versions);
+    if (!to && !currentId) {
+      return res.status(400).json({ error: 'There is no current plan; pass to' });
     }
 
-    // Get token from SQLite
-    const plaidItem = findPlaidItemByItemId(req.userId, item_id);
-    if (!plaidItem) {
-      console.error(`❌ [Accounts] No Plaid item found for user ${req.userId}, item ${item_id}`);
-      return res.status(404).json({ error: 'Plaid item not found' });
+    const fromVersion = versions.find(version => version.id === from);
+    const toVersion = versions.find(version => version.id === (to || currentId));
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Plan version not found' });
     }
 
-    const access_token = decrypt(plaidItem.access_token_encrypted);
-    console.log(`📊 [Accounts] Decrypted token for item: ${item_id}`);
+    const buckets = diffAllocationPlans(JSON.parse(fromVersion.allocations), JSON.parse(toVersion.allocations));
 
-    console.log(`📊 [Accounts] Calling Plaid accountsGet...`);
-    const response = await plaidClient.accountsGet({
-      access_token,
+    res.json({
+      from: formatAllocationPlanVersion(fromVersion, fromVersion.id === currentId),
+      to: formatAllocationPlanVersion(toVersion, toVersion.id === currentId),
+      hasChanges: buckets.some(bucket => bucket.change !== 'unchanged'),
+      buckets,
+    });
+  } catch (error) {
+    console.error('Error comparing allocation plan versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/user/allocation-plan/versions/:id', requireAuth, async (req, res) => {
+  try {
+    const version = findAllocationPlanVersion(req.userId, req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Plan version not found' });
+    }
+
+    const currentId = currentPlanVersionId(req.userId, findAllocationPlanVersions(req.userId));
+    res.json(formatAllocationPlanVersion(version, version.id === currentId));
+  } catch (error) {
+    console.error('Error fetching allocation plan version:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an earlier version the current plan. The restore is saved as a new version,
+// so history is never rewritten. The paycheck schedule is left as it is. If-Match is checked when sent
+app.post('/api/user/allocation-plan/versions/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const source = findAllocationPlanVersion(req.userId, req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Plan version not found' });
+    }
+
+    const conflict = allocationPlanPreconditionFailure(req, { required: false });
+    if (conflict) {
+      return res.status(conflict.status).json(conflict.body);
+    }
+
+    const version = replaceAllocationPlan(req.userId, JSON.parse(source.allocations), {
+      versionId: uuidv4(),
+      reason: 'restore',
+      restoredFromVersionId: source.id,
     });
+    const scheduledCount = regenerateAllocationSchedule(req.userId);
 
-    console.log(`📊 [Accounts] Plaid returned ${response.data.accounts.length} account(s)`);
+    console.log(`⏪ [AllocationPlan] Restored version ${source.version_number} for user ${req.userId} as version ${version.version_number} (${scheduledCount} scheduled allocations)`);
 
-    // Inject item_id into each account object so iOS can decode it
-    const accountsWithItemId = response.data.accounts.map(account => ({
-      ...account,
-      item_id: item_id
-    }));
+    res.set('ETag', allocationPlanETag(req.userId)).json(formatAllocationPlanVersion(version, true));
+  } catch (error) {
+    console.error('Error restoring allocation plan version:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user's upcoming per-paycheck allocations
+// Query: months_ahead (1-12, default 3), include_history=true adds completed and skipped entries from the past year
+app.get('/api/user/allocation-schedule', requireAuth, async (req, res) => {
+  try {
+    const { months_ahead, include_history } = req.query;
+
+    const monthsAhead = months_ahead === undefined ? DEFAULT_MONTHS_AHEAD : Number(months_ahead);
+    if (!Number.isInteger(monthsAhead) || monthsAhead < 1 || monthsAhead > MAX_MONTHS_AHEAD) {
+      return res.status(400).json({ error: `months_ahead must be an integer between 1 and ${MAX_MONTHS_AHEAD}` });
+    }
+
+    // Rolls the schedule forward so paychecks that have passed are pruned and new ones appear
+    regenerateAllocationSchedule(req.userId);
+
+    const schedule = getAllocationSchedule(req.userId, {
+      monthsAhead,
+      includeHistory: include_history === 'true',
+    });
+
+    const paychecks = [];
+    for (const row of schedule.allocations) {
+      let paycheck = paychecks[paychecks.length - 1];
+      if (!paycheck || paycheck.paycheckDate !== row.paycheck_date) {
+        paycheck = { paycheckDate: row.paycheck_date, totalScheduledAmount: 0, allocations: [] };
+        paychecks.push(paycheck);
+      }
+      paycheck.totalScheduledAmount = Math.round((paycheck.totalScheduledAmount + row.scheduled_amount) * 100) / 100;
+      paycheck.allocations.push(formatScheduledAllocation(row));
+    }
+
+    res.json({
+      startDate: schedule.startDate,
+      endDate: schedule.endDate,
+      monthsAhead,
+      paychecks,
+    });
+  } catch (error) {
+    console.error('Error fetching allocation schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// ALLOCATION EXECUTION ENDPOINTS
+// ============================================================================
+
+// List recorded allocations, newest first
+// Query: bucket_type, start_date and end_date (YYYY-MM-DD, on the completion date)
+app.get('/api/user/allocation-executions', requireAuth, async (req, res) => {
+  try {
+    const { bucket_type, start_date, end_date } = req.query;
+
+    for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+      if (value !== undefined && !ISO_DATE_PATTERN.test(value)) {
+        return res.status(400).json({ error: `${name} must be formatted as YYYY-MM-DD` });
+      }
+    }
+
+    const executions = findAllocationExecutions(req.userId, {
+      bucketType: bucket_type,
+      startDate: start_date,
+      endDate: end_date,
+    });
+
+    res.json({
+      executions: executions.map(formatAllocationExecution),
+      stats: calculateOverallStats(executions),
+    });
+  } catch (error) {
+    console.error('Error fetching allocation executions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Progress toward each bucket's target, on-time consistency and this month's contributions
+app.get('/api/user/allocation-executions/progress', requireAuth, async (req, res) => {
+  try {
+    const { as_of } = req.query;
+
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const summary = await getAllocationProgressSummary(plaidProvider, req.userId, { asOf: as_of });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error calculating allocation progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/user/allocation-executions/:id', requireAuth, async (req, res) => {
+  try {
+    const execution = findAllocationExecution(req.userId, req.params.id);
+    if (!execution) {
+      return res.status(404).json({ error: 'Allocation execution not found' });
+    }
+    res.json(formatAllocationExecution(execution));
+  } catch (error) {
+    console.error('Error fetching allocation execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record money moved into a bucket
+// Body: { scheduledAllocationId, actualAmount, completedAt?, wasAutomatic?, notes? }
+// Without scheduledAllocationId, bucketType and paycheckDate are required (scheduledAmount defaults to actualAmount)
+app.post('/api/user/allocation-executions', requireAuth, async (req, res) => {
+  try {
+    const { scheduledAllocationId, actualAmount, completedAt, wasAutomatic = false, notes } = req.body;
+
+    if (actualAmount === undefined) {
+      return res.status(400).json({ error: 'actualAmount is required' });
+    }
+    const validationError = validateExecutionFields({ actualAmount, completedAt, wasAutomatic, notes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let source;
+    if (scheduledAllocationId) {
+      const scheduled = findScheduledAllocation(req.userId, scheduledAllocationId);
+      if (!scheduled) {
+        return res.status(404).json({ error: 'Scheduled allocation not found' });
+      }
+      if (scheduled.status === 'Completed') {
+        return res.status(409).json({
+          error: 'Scheduled allocation is already completed',
+          linkedExecutionId: scheduled.linked_execution_id,
+        });
+      }
+      source = {
+        bucketType: scheduled.bucket_type,
+        scheduledAmount: scheduled.scheduled_amount,
+        paycheckDate: scheduled.paycheck_date,
+      };
+    } else {
+      const { bucketType, paycheckDate, scheduledAmount = actualAmount } = req.body;
+      if (typeof bucketType !== 'string' || !bucketType) {
+        return res.status(400).json({ error: 'bucketType is required without scheduledAllocationId' });
+      }
+      if (typeof paycheckDate !== 'string' || !ISO_DATE_PATTERN.test(paycheckDate)) {
+        return res.status(400).json({ error: 'paycheckDate must be formatted as YYYY-MM-DD' });
+      }
+      if (typeof scheduledAmount !== 'number' || !Number.isFinite(scheduledAmount) || scheduledAmount < 0) {
+        return res.status(400).json({ error: 'scheduledAmount must be a non-negative number' });
+      }
+      source = { bucketType, scheduledAmount, paycheckDate };
+    }
+
+    const execution = createAllocationExecution({
+      id: uuidv4(),
+      userId: req.userId,
+      scheduledAllocationId: scheduledAllocationId || null,
+      ...source,
+      actualAmount,
+      completedAt: completedAt ? new Date(completedAt).toISOString() : new Date().toISOString(),
+      wasAutomatic,
+      notes,
+    });
+
+    console.log(`✅ [Execution] Recorded ${execution.bucket_type}, $${Math.round(execution.actual_amount)} for user ${req.userId}`);
+
+    res.status(201).json(formatAllocationExecution(execution));
+  } catch (error) {
+    console.error('Error recording allocation execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: any of { actualAmount, completedAt, wasAutomatic, notes }
+app.patch('/api/user/allocation-executions/:id', requireAuth, async (req, res) => {
+  try {
+    const { actualAmount, completedAt, wasAutomatic, notes } = req.body;
+
+    const validationError = validateExecutionFields({ actualAmount, completedAt, wasAutomatic, notes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!findAllocationExecution(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Allocation execution not found' });
+    }
+
+    const execution = updateAllocationExecution(req.userId, req.params.id, {
+      actualAmount,
+      completedAt: completedAt ? new Date(completedAt).toISOString() : undefined,
+      wasAutomatic,
+      notes,
+    });
+
+    res.json(formatAllocationExecution(execution));
+  } catch (error) {
+    console.error('Error updating allocation execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deleting an execution reopens its scheduled allocation
+app.delete('/api/user/allocation-executions/:id', requireAuth, async (req, res) => {
+  try {
+    if (!deleteAllocationExecution(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Allocation execution not found' });
+    }
+
+    console.log(`🗑️ [Execution] Deleted ${req.params.id} for user ${req.userId}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting allocation execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// GOAL ENDPOINTS
+// ============================================================================
+
+// List goals with progress and pace
+// Query: include_inactive=true also returns archived goals
+app.get('/api/user/goals', requireAuth, async (req, res) => {
+  try {
+    const goals = findGoals(req.userId, { includeInactive: req.query.include_inactive === 'true' });
+    res.json({
+      goals: withGoalPace(req.userId, goals).map(({ goal, pace }) => formatGoal(goal, pace)),
+    });
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one goal with its contribution and withdrawal history
+app.get('/api/user/goals/:id', requireAuth, async (req, res) => {
+  try {
+    const goal = findGoal(req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const [{ transactions, pace }] = withGoalPace(req.userId, [goal]);
+    res.json({
+      ...formatGoal(goal, pace),
+      transactions: transactions.map(formatGoalTransaction),
+    });
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, targetAmount, currentAmount?, targetDate?, goalType?, priority?, iconName?, colorHex?, notes? }
+// iconName and colorHex default to the goal type's icon and color
+app.post('/api/user/goals', requireAuth, async (req, res) => {
+  try {
+    const { name, targetAmount, currentAmount = 0, targetDate, goalType = 'Other', priority = 'Medium', iconName, colorHex, notes } = req.body;
+
+    if (name === undefined || targetAmount === undefined) {
+      return res.status(400).json({ error: 'name and targetAmount are required' });
+    }
+    const validationError = validateGoalFields({ name, targetAmount, targetDate, goalType, priority, iconName, colorHex, notes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (typeof currentAmount !== 'number' || !Number.isFinite(currentAmount) || currentAmount < 0) {
+      return res.status(400).json({ error: 'currentAmount must be a non-negative number' });
+    }
+
+    const goal = createGoal({
+      id: uuidv4(),
+      userId: req.userId,
+      name: name.trim(),
+      targetAmount,
+      currentAmount,
+      targetDate,
+      goalType,
+      priority,
+      iconName: iconName || GOAL_TYPES[goalType].icon,
+      colorHex: colorHex || GOAL_TYPES[goalType].color,
+      notes,
+    });
+
+    console.log(`🎯 [Goals] Created "${goal.name}" ($${goal.target_amount}) for user ${req.userId}`);
+
+    const [{ pace }] = withGoalPace(req.userId, [goal]);
+    res.status(201).json(formatGoal(goal, pace));
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: any of { name, targetAmount, targetDate, goalType, priority, iconName, colorHex, notes, isActive }
+// The saved amount only changes through contributions and withdrawals
+app.patch('/api/user/goals/:id', requireAuth, async (req, res) => {
+  try {
+    const { name, targetAmount, targetDate, goalType, priority, iconName, colorHex, notes, isActive } = req.body;
+
+    const validationError = validateGoalFields({ name, targetAmount, targetDate, goalType, priority, iconName, colorHex, notes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean' });
+    }
+
+    if (!findGoal(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const goal = updateGoal(req.userId, req.params.id, {
+      name: typeof name === 'string' ? name.trim() : undefined,
+      targetAmount,
+      targetDate,
+      goalType,
+      priority,
+      iconName,
+      colorHex,
+      notes,
+      isActive,
+    });
+
+    const [{ pace }] = withGoalPace(req.userId, [goal]);
+    res.json(formatGoal(goal, pace));
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/user/goals/:id', requireAuth, async (req, res) => {
+  try {
+    if (!deleteGoal(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    console.log(`🗑️ [Goals] Deleted ${req.params.id} for user ${req.userId}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { amount, note?, occurredAt? }
+app.post('/api/user/goals/:id/contributions', requireAuth, (req, res) => {
+  handleGoalTransaction(req, res, 'contribution');
+});
+
+// Body: { amount, note?, occurredAt? }; can't take out more than is saved
+app.post('/api/user/goals/:id/withdrawals', requireAuth, (req, res) => {
+  handleGoalTransaction(req, res, 'withdrawal');
+});
+
+async function handleGoalTransaction(req, res, type) {
+  try {
+    const { amount, note, occurredAt } = req.body;
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    if (occurredAt !== undefined && (typeof occurredAt !== 'string' || Number.isNaN(Date.parse(occurredAt)))) {
+      return res.status(400).json({ error: 'occurredAt must be an ISO 8601 timestamp' });
+    }
+
+    const existing = findGoal(req.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    if (type === 'withdrawal' && amount > existing.current_amount + 0.005) {
+      return res.status(400).json({ error: `Cannot withdraw more than the $${existing.current_amount} saved` });
+    }
+
+    const goal = recordGoalTransaction({
+      id: uuidv4(),
+      goalId: existing.id,
+      userId: req.userId,
+      type,
+      amount,
+      note,
+      occurredAt: occurredAt ? new Date(occurredAt).toISOString() : new Date().toISOString(),
+    });
+
+    console.log(`🎯 [Goals] ${type === 'withdrawal' ? 'Withdrew' : 'Contributed'} $${amount} ${type === 'withdrawal' ? 'from' : 'to'} "${goal.name}" for user ${req.userId}`);
+
+    const [{ pace }] = withGoalPace(req.userId, [goal]);
+    res.status(201).json(formatGoal(goal, pace));
+  } catch (error) {
+    console.error(`Error recording goal ${type}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ============================================================================
+// BUDGET ENDPOINTS
+// ============================================================================
+
+// Category budgets for a month with spend progress from stored transactions
+// Query: month (YYYY-MM, defaults to the current month)
+app.get('/api/user/budgets', requireAuth, async (req, res) => {
+  try {
+    const month = req.query.month || currentMonth();
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+    }
+
+    const budgets = getBudgetsForMonth(req.userId, month);
+
+    res.json({
+      month,
+      budgets: budgets.map(formatCategoryBudget),
+      totalLimit: budgets.reduce((sum, budget) => sum + budget.effective_limit, 0),
+      totalSpent: budgets.reduce((sum, budget) => sum + budget.current_spent, 0),
+    });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate starting budgets from the last few months of spending
+// Body: { months?: 3, as_of?: 'YYYY-MM-DD' }. Budgets for as_of's month are created
+// or updated; categories the user set by hand are left alone
+app.post('/api/user/budgets/generate', requireAuth, async (req, res) => {
+  try {
+    const { months = 3, as_of } = req.body;
+
+    if (!Number.isInteger(months) || months < 1 || months > 12) {
+      return res.status(400).json({ error: 'months must be an integer between 1 and 12' });
+    }
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const asOf = as_of || new Date().toISOString().slice(0, 10);
+    const month = asOf.slice(0, 7);
+    const transactions = findTransactions(req.userId, { endDate: asOf }).map(row => JSON.parse(row.raw_json));
+    const generated = generateBudgetsFromHistory(transactions, { months, asOf });
+
+    const manual = generated.filter(budget => findCategoryBudget(req.userId, month, budget.categoryName)?.is_auto_generated === 0);
+    const toSave = generated.filter(budget => !manual.includes(budget));
+
+    upsertCategoryBudgets(req.userId, toSave.map(budget => ({
+      id: uuidv4(),
+      categoryName: budget.categoryName,
+      month,
+      monthlyLimit: budget.monthlyLimit,
+      isAutoGenerated: true,
+    })));
+
+    console.log(`💰 [Budgets] Generated ${toSave.length} budgets for user ${req.userId} (${manual.length} manual kept)`);
+
+    const budgets = getBudgetsForMonth(req.userId, month);
+    res.json({
+      month,
+      generated,
+      skippedCategories: manual.map(budget => budget.categoryName),
+      budgets: budgets.map(formatCategoryBudget),
+    });
+  } catch (error) {
+    console.error('Error generating budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move part of one category's limit to another
+// Body: { fromCategory, toCategory, amount, month? }
+app.post('/api/user/budgets/reallocate', requireAuth, async (req, res) => {
+  try {
+    const { fromCategory, toCategory, amount, month = currentMonth() } = req.body;
+
+    if (typeof fromCategory !== 'string' || !fromCategory.trim() || typeof toCategory !== 'string' || !toCategory.trim()) {
+      return res.status(400).json({ error: 'fromCategory and toCategory are required' });
+    }
+    if (fromCategory.trim().toLowerCase() === toCategory.trim().toLowerCase()) {
+      return res.status(400).json({ error: 'fromCategory and toCategory must differ' });
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+    }
+
+    const result = reallocateBudget(req.userId, {
+      month,
+      fromCategory: fromCategory.trim(),
+      toCategory: toCategory.trim(),
+      amount,
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ month, budgets: result.budgets.map(formatCategoryBudget) });
+  } catch (error) {
+    console.error('Error reallocating budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a category's limit and/or rollover policy
+// Body: { monthlyLimit?, rolloverPolicy?, month? }. monthlyLimit is required for a new budget
+app.put('/api/user/budgets/:categoryName', requireAuth, async (req, res) => {
+  try {
+    const { monthlyLimit, rolloverPolicy, month = currentMonth() } = req.body;
+    const categoryName = req.params.categoryName.trim();
+
+    if (!categoryName || categoryName.length > 100) {
+      return res.status(400).json({ error: 'categoryName must be 1-100 characters' });
+    }
+    if (monthlyLimit !== undefined && (typeof monthlyLimit !== 'number' || !Number.isFinite(monthlyLimit) || monthlyLimit < 0)) {
+      return res.status(400).json({ error: 'monthlyLimit must be a non-negative number' });
+    }
+    if (rolloverPolicy !== undefined && !ROLLOVER_POLICIES.includes(rolloverPolicy)) {
+      return res.status(400).json({ error: `rolloverPolicy must be one of: ${ROLLOVER_POLICIES.join(', ')}` });
+    }
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+    }
+
+    // Roll earlier budgets into this month first so the edit isn't overwritten by them
+    getBudgetsForMonth(req.userId, month);
+    const existing = findCategoryBudget(req.userId, month, categoryName);
+    if (!existing && monthlyLimit === undefined) {
+      return res.status(400).json({ error: 'monthlyLimit is required for a new budget' });
+    }
+
+    upsertCategoryBudgets(req.userId, [{
+      id: existing?.id || uuidv4(),
+      categoryName: existing?.category_name || categoryName,
+      month,
+      monthlyLimit: monthlyLimit ?? existing.monthly_limit,
+      rolloverPolicy,
+      isAutoGenerated: monthlyLimit === undefined ? existing.is_auto_generated === 1 : false,
+    }]);
+
+    const budget = getBudgetsForMonth(req.userId, month)
+      .find(candidate => candidate.category_name.toLowerCase() === categoryName.toLowerCase());
+    res.json(formatCategoryBudget(budget));
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Query: month (YYYY-MM, defaults to the current month)
+app.delete('/api/user/budgets/:categoryName', requireAuth, async (req, res) => {
+  try {
+    const month = req.query.month || currentMonth();
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ error: 'month must be formatted as YYYY-MM' });
+    }
+
+    if (!deleteCategoryBudget(req.userId, month, req.params.categoryName.trim())) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CATEGORY BUCKET MAPPING ENDPOINTS
+// ============================================================================
+
+// The user's overrides plus every category they spend in (last six months) with the bucket it counts toward
+// Query: as_of=YYYY-MM-DD ends the six-month window early
+app.get('/api/user/category-buckets', requireAuth, async (req, res) => {
+  try {
+    const { as_of } = req.query;
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const { startDate, endDate } = analysisWindow(as_of);
+    const expenses = findTransactions(req.userId, { startDate, endDate })
+      .map(row => JSON.parse(row.raw_json))
+      .filter(txn => !txn.pending && txn.amount > 0 && !shouldExcludeFromBudget(txn));
+
+    res.json({
+      buckets: SPENDING_BUCKETS,
+      mappings: findCategoryBucketMappings(req.userId).map(formatCategoryBucketMapping),
+      categories: summarizeSpendingCategories(expenses, loadBucketResolver(req.userId)),
+    });
+  } catch (error) {
+    console.error('Error fetching category buckets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { matchType: 'category' | 'merchant', matchValue, bucketType }
+// A category is a Plaid personal_finance_category primary or detailed value, or a category name
+app.post('/api/user/category-buckets', requireAuth, async (req, res) => {
+  try {
+    const { matchType, matchValue, bucketType } = req.body;
+
+    if (!MAPPING_MATCH_TYPES.includes(matchType)) {
+      return res.status(400).json({ error: `matchType must be one of: ${MAPPING_MATCH_TYPES.join(', ')}` });
+    }
+    if (typeof matchValue !== 'string' || matchValue.trim().length === 0 || matchValue.length > 100) {
+      return res.status(400).json({ error: 'matchValue must be a non-empty string of 100 characters or less' });
+    }
+    if (!SPENDING_BUCKETS.includes(bucketType)) {
+      return res.status(400).json({ error: `bucketType must be one of: ${SPENDING_BUCKETS.join(', ')}` });
+    }
+
+    const normalizedValue = normalizeMatchValue(matchType, matchValue);
+    const existing = findCategoryBucketMappingByMatch(req.userId, matchType, normalizedValue);
+    if (existing) {
+      return res.status(409).json({
+        error: `A mapping for ${matchType} "${normalizedValue}" already exists`,
+        mapping: formatCategoryBucketMapping(existing),
+      });
+    }
+
+    const mapping = createCategoryBucketMapping({
+      id: uuidv4(),
+      userId: req.userId,
+      matchType,
+      matchValue: normalizedValue,
+      bucketType,
+    });
+
+    console.log(`🗂️ [Buckets] User ${req.userId} mapped ${matchType} "${normalizedValue}" to ${bucketType}`);
+
+    res.status(201).json(formatCategoryBucketMapping(mapping));
+  } catch (error) {
+    console.error('Error creating category bucket mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { bucketType }
+app.patch('/api/user/category-buckets/:id', requireAuth, async (req, res) => {
+  try {
+    const { bucketType } = req.body;
+    if (!SPENDING_BUCKETS.includes(bucketType)) {
+      return res.status(400).json({ error: `bucketType must be one of: ${SPENDING_BUCKETS.join(', ')}` });
+    }
+
+    if (!findCategoryBucketMapping(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+
+    res.json(formatCategoryBucketMapping(updateCategoryBucketMapping(req.userId, req.params.id, bucketType)));
+  } catch (error) {
+    console.error('Error updating category bucket mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Removing an override puts the category or merchant back on its default bucket
+app.delete('/api/user/category-buckets/:id', requireAuth, async (req, res) => {
+  try {
+    if (!deleteCategoryBucketMapping(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting category bucket mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// ALERT ENDPOINTS
+// ============================================================================
+
+// Alerts raised by the rules engine after transaction syncs, newest first
+// Query: include_dismissed=true also returns dismissed alerts
+app.get('/api/alerts', requireAuth, async (req, res) => {
+  try {
+    const alerts = findAlerts(req.userId, { includeDismissed: req.query.include_dismissed === 'true' });
+    res.json({ alerts: alerts.map(formatAlert) });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the rules now instead of waiting for the next sync
+// Body: { as_of?: 'YYYY-MM-DD' } evaluates the week of transactions ending on as_of
+app.post('/api/alerts/evaluate', requireAuth, async (req, res) => {
+  try {
+    const { as_of } = req.body;
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const created = await evaluateUserAlerts(plaidProvider, req.userId, { asOf: as_of });
+    const alerts = created.map(alert => findAlert(req.userId, alert.id));
+
+    res.json({ alerts: alerts.map(formatAlert) });
+  } catch (error) {
+    console.error('Error evaluating alerts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/alerts/:id/dismiss', requireAuth, async (req, res) => {
+  try {
+    if (!dismissAlert(req.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json(formatAlert(findAlert(req.userId, req.params.id)));
+  } catch (error) {
+    console.error('Error dismissing alert:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// LIABILITY ENDPOINTS
+// ============================================================================
+
+// Credit card, student loan and mortgage details from Plaid Liabilities
+// Query: refresh=true fetches them from Plaid first (otherwise the stored copy is returned)
+app.get('/api/liabilities', requireAuth, async (req, res) => {
+  try {
+    let unavailableItems = [];
+    if (req.query.refresh === 'true') {
+      ({ unavailableItems } = await refreshUserLiabilities(plaidProvider, req.userId));
+    }
+
+    const liabilities = findLiabilities(req.userId);
+    const debts = liabilityDebts(req.userId);
+    const averageApr = weightedAverageApr(debts);
+
+    res.json({
+      liabilities: liabilities.map(formatLiability),
+      totalBalance: Math.round(debts.reduce((sum, debt) => sum + debt.balance, 0) * 100) / 100,
+      totalMinimumPayment: Math.round(liabilities.reduce((sum, liability) => sum + (liability.minimum_payment || 0), 0) * 100) / 100,
+      averageApr: averageApr !== null ? Math.round(averageApr * 10000) / 100 : null,
+      unavailableItems,
+    });
+  } catch (error) {
+    console.error('Error fetching liabilities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// PLANNING ENDPOINTS
+// ============================================================================
+
+// Compare avalanche, snowball and a custom payoff order for several debts
+// Body: { debts: [{ accountId, name, balance, apr (percent), minimumPayment }], monthlyBudget, customOrder: [accountId], startMonth: 'YYYY-MM' }
+// Signed-in users can leave out debts to plan over their stored liabilities
+app.post('/api/planning/debt-payoff', optionalAuth, async (req, res) => {
+  try {
+    const { monthlyBudget, customOrder = [], startMonth = nextMonth() } = req.body;
+
+    let debts;
+    if (req.body.debts !== undefined) {
+      const validationError = validatePayoffDebts(req.body.debts);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      debts = req.body.debts.map((debt, index) => ({
+        accountId: debt.accountId ?? `debt-${index + 1}`,
+        name: debt.name ?? null,
+        balance: debt.balance,
+        apr: debt.apr !== undefined ? debt.apr / 100 : undefined,
+        minimumPayment: debt.minimumPayment,
+      }));
+    } else if (req.userId) {
+      debts = liabilityDebts(req.userId);
+    } else {
+      return res.status(400).json({ error: 'debts is required' });
+    }
+
+    if (debts.length === 0) {
+      return res.status(400).json({ error: 'There are no debts to plan' });
+    }
+    if (typeof monthlyBudget !== 'number' || !Number.isFinite(monthlyBudget) || monthlyBudget <= 0) {
+      return res.status(400).json({ error: 'monthlyBudget must be a positive number' });
+    }
+    if (!Array.isArray(customOrder) || customOrder.some(id => !debts.some(debt => debt.accountId === id))) {
+      return res.status(400).json({ error: 'customOrder must be an array of accountIds from debts' });
+    }
+    if (typeof startMonth !== 'string' || !MONTH_PATTERN.test(startMonth)) {
+      return res.status(400).json({ error: 'startMonth must be formatted as YYYY-MM' });
+    }
+
+    const minimums = totalMinimumPayment(debts);
+    if (monthlyBudget < minimums) {
+      return res.status(400).json({ error: `monthlyBudget must cover the minimum payments ($${minimums.toFixed(2)})` });
+    }
+
+    const comparison = compareDebtPayoffStrategies(debts, monthlyBudget, { customOrder, startMonth });
+
+    console.log(`📉 [Planning] Compared ${comparison.strategies.length} payoff strategies over ${debts.length} debts; ${comparison.recommendedStrategy} costs least`);
+
+    res.json({ monthlyBudget, ...comparison });
+  } catch (error) {
+    console.error('Error planning debt payoff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Grow an investment balance under the caller's assumptions, nominal and in today's dollars
+// Body: { currentBalance, monthlyContribution, annualReturn, inflation, contributionGrowth (percents), years,
+//         monteCarlo: { simulations, volatility (percent), seed } } (monteCarlo adds 10th/50th/90th percentile bands)
+app.post('/api/planning/investment-projection', projectionRateLimiter, optionalAuth, async (req, res) => {
+  try {
+    const {
+      currentBalance = 0,
+      monthlyContribution = 0,
+      annualReturn = toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.annualReturn),
+      inflation = toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.inflation),
+      contributionGrowth = toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.contributionGrowth),
+      years = DEFAULT_PROJECTION_ASSUMPTIONS.years,
+      monteCarlo,
+    } = req.body;
+
+    for (const [field, value] of [['currentBalance', currentBalance], ['monthlyContribution', monthlyContribution]]) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative number` });
+      }
+    }
+    for (const [field, value] of [['annualReturn', annualReturn], ['inflation', inflation], ['contributionGrowth', contributionGrowth]]) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= -100 || value > 100) {
+        return res.status(400).json({ error: `${field} must be a percentage between -100 and 100` });
+      }
+    }
+    if (!Number.isInteger(years) || years < 1 || years > MAX_PROJECTION_YEARS) {
+      return res.status(400).json({ error: `years must be a whole number from 1 to ${MAX_PROJECTION_YEARS}` });
+    }
+
+    const inputs = {
+      currentBalance,
+      monthlyContribution,
+      annualReturn: annualReturn / 100,
+      inflation: inflation / 100,
+      contributionGrowth: contributionGrowth / 100,
+      years,
+    };
+
+    const response = {
+      assumptions: { currentBalance, monthlyContribution, annualReturn, inflation, contributionGrowth, years },
+      projection: projectInvestmentGrowth(inputs),
+    };
+
+    if (monteCarlo !== undefined) {
+      const {
+        simulations = DEFAULT_PROJECTION_ASSUMPTIONS.simulations,
+        volatility = toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.volatility),
+        seed = crypto.randomInt(2 ** 31),
+      } = monteCarlo || {};
+
+      if (!Number.isInteger(simulations) || simulations < 10 || simulations > MAX_SIMULATIONS) {
+        return res.status(400).json({ error: `monteCarlo.simulations must be a whole number from 10 to ${MAX_SIMULATIONS}` });
+      }
+      if (simulations * years > MAX_SIMULATED_YEARS) {
+        return res.status(400).json({
+          error: `monteCarlo.simulations × years must be at most ${MAX_SIMULATED_YEARS} (up to ${Math.floor(MAX_SIMULATED_YEARS / years)} simulations over ${years} years)`,
+        });
+      }
+      if (typeof volatility !== 'number' || !Number.isFinite(volatility) || volatility < 0 || volatility > 100) {
+        return res.status(400).json({ error: 'monteCarlo.volatility must be a percentage between 0 and 100' });
+      }
+      if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+        return res.status(400).json({ error: 'monteCarlo.seed must be a non-negative 32-bit integer' });
+      }
+
+      response.monteCarlo = {
+        volatility,
+        ...simulateInvestmentGrowth({ ...inputs, volatility: volatility / 100, simulations, seed }),
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error projecting investments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How steady the user's income is, classified from stored deposits unless they've overridden it
+// Query: as_of=YYYY-MM-DD ends the six-month window early
+app.get('/api/user/income-stability', requireAuth, async (req, res) => {
+  try {
+    const { as_of } = req.query;
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    res.json(getUserIncomeStability(req.userId, { asOf: as_of }));
+  } catch (error) {
+    console.error('Error classifying income stability:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { stability } overrides the classification until the override is deleted
+app.put('/api/user/income-stability', requireAuth, async (req, res) => {
+  try {
+    const { stability } = req.body;
+    if (!INCOME_STABILITY_LEVELS.includes(stability)) {
+      return res.status(400).json({ error: `stability must be one of: ${INCOME_STABILITY_LEVELS.join(', ')}` });
+    }
+
+    saveIncomeStabilityOverride(req.userId, stability);
+    console.log(`💵 [Income] User ${req.userId} set income stability to ${stability}`);
+
+    res.json(getUserIncomeStability(req.userId));
+  } catch (error) {
+    console.error('Error overriding income stability:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Go back to the classification from deposits
+app.delete('/api/user/income-stability', requireAuth, async (req, res) => {
+  try {
+    deleteIncomeStabilityOverride(req.userId);
+    res.json(getUserIncomeStability(req.userId));
+  } catch (error) {
+    console.error('Error clearing income stability override:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Detect paycheck schedules from stored income transactions
+// Body: { persist: true } saves the best candidate as an unconfirmed, detected schedule
+app.post('/api/user/paycheck-schedule/detect', requireAuth, async (req, res) => {
+  try {
+    const { persist = false, as_of } = req.body;
+
+    if (typeof persist !== 'boolean') {
+      return res.status(400).json({ error: 'persist must be a boolean' });
+    }
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const result = detectUserPaycheckSchedule(req.userId, { asOf: as_of, persist });
+
+    console.log(`💵 [Paycheck] Detection for user ${req.userId}: ${result.candidates.length} candidate(s)${result.persisted ? ', best saved' : ''}`);
+
+    const stored = findPaycheckSchedule(req.userId);
+    res.json({
+      candidates: result.candidates,
+      bestCandidate: result.schedule,
+      confidence: result.confidence,
+      message: result.message,
+      persisted: result.persisted,
+      paycheckSchedule: stored ? formatPaycheckSchedule(stored) : null,
+    });
+  } catch (error) {
+    console.error('Error detecting paycheck schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Accounts
+app.post('/api/plaid/accounts', requireAuth, async (req, res) => {
+  try {
+    const { item_id } = req.body;
+
+    console.log(`📊 [Accounts] Request received for user: ${req.userId}`);
+
+    if (!item_id) {
+      console.error('❌ [Accounts] Missing item_id in request');
+      return res.status(400).json({ error: 'item_id is required' });
+    }
+
+    // Get token from SQLite
+    const plaidItem = findPlaidItemByItemId(req.userId, item_id);
+    if (!plaidItem) {
+      console.error(`❌ [Accounts] No Plaid item found for user ${req.userId}, item ${item_id}`);
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    const access_token = decrypt(plaidItem.access_token_encrypted);
+    console.log(`📊 [Accounts] Decrypted token for item: ${item_id}`);
+
+    console.log(`📊 [Accounts] Calling Plaid accountsGet...`);
+    const response = await plaidProvider.getAccounts(access_token);
+
+    console.log(`📊 [Accounts] Plaid returned ${response.accounts.length} account(s)`);
+
+    // Inject item_id into each account object so iOS can decode it
+    const accountsWithItemId = response.accounts.map(account => ({
+      ...account,
+      item_id: item_id
+    }));
+
+    console.log(`📊 [Accounts] Returning ${accountsWithItemId.length} account(s) with itemId injected`);
+
+    res.json({
+      accounts: accountsWithItemId,
+      item: response.item,
+    });
+  } catch (error) {
+    console.error('❌ [Accounts] Error fetching accounts:', error);
+    console.error('❌ [Accounts] Error details:', error.response?.data || error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Transactions
+app.post('/api/plaid/transactions', requireAuth, async (req, res) => {
+  try {
+    const { item_id, start_date, end_date, account_id, category } = req.body;
+
+    console.log(`[Transactions] Request: ${start_date} to ${end_date} for user: ${req.userId}`);
+
+    if (!item_id || !start_date || !end_date) {
+      return res.status(400).json({
+        error: 'item_id, start_date, and end_date are required',
+      });
+    }
+
+    // Get token from SQLite
+    const plaidItem = findPlaidItemByItemId(req.userId, item_id);
+    if (!plaidItem) {
+      console.error(`❌ [Transactions] No Plaid item found for user ${req.userId}, item ${item_id}`);
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    // Pull any new deltas from Plaid, then answer from the local store
+    const syncResult = await syncItemTransactions(plaidProvider, plaidItem);
+    console.log(`[Transactions] Synced item ${item_id}: +${syncResult.added} ~${syncResult.modified} -${syncResult.removed}`);
+
+    const transactions = findTransactions(req.userId, {
+      itemId: item_id,
+      accountId: account_id,
+      category,
+      startDate: start_date,
+      endDate: end_date,
+    }).map(formatStoredTransaction);
 
-    console.log(`📊 [Accounts] Returning ${accountsWithItemId.length} account(s) with itemId injected`);
+    console.log(`[Transactions] FINAL: Returning ${transactions.length} transactions`);
 
     res.json({
-      accounts: accountsWithItemId,
-      item: response.data.item,
+      transactions,
+      total_transactions: transactions.length,
+      accounts: [], // Optionally include accounts
     });
   } catch (error) {
-    console.error('❌ [Accounts] Error fetching accounts:', error);
-    console.error('❌ [Accounts] Error details:', error.response?.data || error.message);
+    console.error('[Transactions] Error:', error.message, error.response?.data || '');
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get Transactions
-app.post('/api/plaid/transactions', requireAuth, async (req, res) => {
-  try {
-    const { item_id, start_date, end_date } = req.body;
-
-    console.log(`[Transactions] Request: ${start_date} to ${end_date} for user: ${req.userId}`);
+// Sync Transactions - applies pending /transactions/sync deltas to the local store
+app.post('/api/plaid/transactions/sync', requireAuth, async (req, res) => {
+  const { item_id } = req.body;
 
-    if (!item_id || !start_date || !end_date) {
-      return res.status(400).json({
-        error: 'item_id, start_date, and end_date are required',
-      });
-    }
+  if (!item_id) {
+    return res.status(400).json({ error: 'Missing item_id' });
+  }
 
-    // Get token from SQLite
+  try {
     const plaidItem = findPlaidItemByItemId(req.userId, item_id);
     if (!plaidItem) {
-      console.error(`❌ [Transactions] No Plaid item found for user ${req.userId}, item ${item_id}`);
       return res.status(404).json({ error: 'Plaid item not found' });
     }
 
-    const access_token = decrypt(plaidItem.access_token_encrypted);
-    console.log(`[Transactions] Decrypted token for item: ${item_id}`);
-
-    let allTransactions = [];
-    let hasMore = true;
-    let offset = 0;
-    const count = 500; // Max transactions per request
-    let pageNum = 0;
-
-    // Plaid returns transactions in pages, so we need to fetch all pages
-    while (hasMore) {
-      pageNum++;
-      console.log(`[Transactions] Fetching page ${pageNum}, offset=${offset}`);
-
-      const response = await plaidClient.transactionsGet({
-        access_token,
-        start_date,
-        end_date,
-        options: {
-          count,
-          offset,
-        },
-      });
+    const result = await syncItemTransactions(plaidProvider, plaidItem);
+
+    res.json({
+      item_id,
+      added: result.added,
+      modified: result.modified,
+      removed: result.removed,
+      total_transactions: countTransactionsByItem(req.userId, item_id),
+    });
+  } catch (error) {
+    if (error.response?.data?.error_code === 'PRODUCT_NOT_READY') {
+      return res.status(409).json({ error: 'Transactions are not ready yet', error_code: 'PRODUCT_NOT_READY' });
+    }
+    console.error('[Sync] Error:', error.message, error.response?.data || '');
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const pageTxs = response.data.transactions;
-      const totalReported = response.data.total_transactions;
+// Query stored transactions across all of the user's items (no Plaid call)
+app.get('/api/transactions', requireAuth, async (req, res) => {
+  try {
+    const { start_date, end_date, item_id, account_id, category } = req.query;
 
-      console.log(`[Transactions] Page ${pageNum}: got ${pageTxs.length} txs, total_transactions=${totalReported}`);
+    for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+      if (value !== undefined && !ISO_DATE_PATTERN.test(value)) {
+        return res.status(400).json({ error: `${name} must be formatted as YYYY-MM-DD` });
+      }
+    }
 
-      allTransactions = allTransactions.concat(pageTxs);
-      hasMore = allTransactions.length < totalReported;
-      offset += count;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : TRANSACTION_QUERY_DEFAULT_LIMIT;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
 
-      console.log(`[Transactions] Cumulative: ${allTransactions.length}/${totalReported}, hasMore=${hasMore}`);
+    if (!Number.isInteger(limit) || limit < 1 || limit > TRANSACTION_QUERY_MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${TRANSACTION_QUERY_MAX_LIMIT}` });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
     }
 
-    console.log(`[Transactions] FINAL: Returning ${allTransactions.length} transactions`);
+    const transactions = findTransactions(req.userId, {
+      itemId: item_id,
+      accountId: account_id,
+      category,
+      startDate: start_date,
+      endDate: end_date,
+      limit,
+      offset,
+    }).map(formatStoredTransaction);
 
     res.json({
-      transactions: allTransactions,
-      total_transactions: allTransactions.length,
-      accounts: [], // Optionally include accounts
+      transactions,
+      count: transactions.length,
+      limit,
+      offset,
     });
   } catch (error) {
-    console.error('[Transactions] Error:', error.message, error.response?.data || '');
+    console.error('[Transactions] Query error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -656,9 +1865,9 @@ app.post('/api/plaid/transactions/refresh', requireAuth, async (req, res) => {
     }
 
     const access_token = decrypt(plaidItem.access_token_encrypted);
-    const response = await plaidClient.transactionsRefresh({ access_token });
-    console.log('[Plaid] Transactions refresh triggered:', response.data.request_id);
-    res.status(202).json({ success: true, request_id: response.data.request_id });
+    const response = await plaidProvider.refreshTransactions(access_token);
+    console.log('[Plaid] Transactions refresh triggered:', response.request_id);
+    res.status(202).json({ success: true, request_id: response.request_id });
   } catch (error) {
     console.error('[Plaid] Transactions refresh error:', error.message, error.response?.data || '');
     res.status(500).json({ success: false, error: error.message });
@@ -680,20 +1889,16 @@ app.post('/api/plaid/sync-status', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Plaid item not found' });
     }
 
-    const access_token = decrypt(plaidItem.access_token_encrypted);
-
-    // Try transactionsSync with count:1 to check if transactions are available
-    const response = await plaidClient.transactionsSync({
-      access_token,
-      count: 1,
-    });
-
-    const hasTransactions = response.data.added.length > 0 || response.data.modified.length > 0;
+    // Answer from the local store; only go to Plaid while nothing has been synced yet
+    let storedCount = countTransactionsByItem(req.userId, item_id);
+    if (storedCount === 0) {
+      await syncItemTransactions(plaidProvider, plaidItem);
+      storedCount = countTransactionsByItem(req.userId, item_id);
+    }
 
     res.json({
-      status: hasTransactions ? 'ready' : 'syncing',
-      transactions_available: response.data.added.length + response.data.modified.length,
-      has_more: response.data.has_more,
+      status: storedCount > 0 ? 'ready' : 'syncing',
+      transactions_available: storedCount,
     });
   } catch (error) {
     // PRODUCT_NOT_READY means Plaid is still syncing
@@ -722,12 +1927,10 @@ app.post('/api/plaid/balance', requireAuth, async (req, res) => {
 
     const access_token = decrypt(plaidItem.access_token_encrypted);
 
-    const response = await plaidClient.accountsBalanceGet({
-      access_token,
-    });
+    const response = await plaidProvider.getBalance(access_token);
 
     res.json({
-      accounts: response.data.accounts,
+      accounts: response.accounts,
     });
   } catch (error) {
     console.error('Error fetching balance:', error);
@@ -758,9 +1961,7 @@ app.post('/api/plaid/item/remove', requireAuth, async (req, res) => {
 
     // Remove from Plaid
     console.log('🗑️ [Backend] Calling Plaid itemRemove API...');
-    await plaidClient.itemRemove({
-      access_token,
-    });
+    await plaidProvider.removeItem(access_token);
     console.log('✅ [Backend] Plaid itemRemove successful');
 
     // Remove from SQLite
@@ -781,6 +1982,37 @@ app.post('/api/plaid/item/remove', requireAuth, async (req, res) => {
   }
 });
 
+// MARK: - Analysis Endpoints
+
+// Financial analysis snapshot computed from stored transactions and live account balances
+// Pass ?as_of=YYYY-MM-DD to end the six-month window on a given date (defaults to today)
+app.get('/api/analysis/snapshot', requireAuth, async (req, res) => {
+  try {
+    const { as_of } = req.query;
+
+    if (as_of !== undefined && !ISO_DATE_PATTERN.test(as_of)) {
+      return res.status(400).json({ error: 'as_of must be formatted as YYYY-MM-DD' });
+    }
+
+    const { startDate, endDate } = analysisWindow(as_of);
+    const transactions = findTransactions(req.userId, { startDate, endDate }).map(formatStoredTransaction);
+    const { accounts, unavailableItems } = await fetchUserAccounts(plaidProvider, req.userId);
+
+    const snapshot = generateAnalysisSnapshot(transactions, accounts, {
+      asOf: endDate,
+      isEssential: loadBucketResolver(req.userId).isEssential,
+    });
+    snapshot.metadata.unavailableItems = unavailableItems;
+
+    console.log(`📊 [Analysis] Snapshot for user ${req.userId}: income $${Math.round(snapshot.monthlyFlow.income)}/mo, expenses $${Math.round(snapshot.monthlyFlow.essentialExpenses)}/mo over ${snapshot.metadata.monthsAnalyzed} month(s)`);
+
+    res.json(snapshot);
+  } catch (error) {
+    console.error('❌ [Analysis] Error generating snapshot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // MARK: - Webhook Endpoint
 
 // Plaid Webhook Handler with Signature Validation
@@ -813,11 +2045,9 @@ app.post('/api/plaid/webhook', webhookRateLimiter, async (req, res) => {
 
     // Get verification key from Plaid
     console.log('🔑 [Webhook] Fetching verification key from Plaid...');
-    const keyResponse = await plaidClient.webhookVerificationKeyGet({
-      key_id: decodedHeader.header.kid
-    });
+    const keyResponse = await plaidProvider.getWebhookVerificationKey(decodedHeader.header.kid);
 
-    const jwk = keyResponse.data.key;
+    const jwk = keyResponse.key;
 
     // Convert JWK to public key format using jose library
     const publicKey = await jose.importJWK(jwk, 'ES256');
@@ -853,50 +2083,16 @@ app.post('/api/plaid/webhook', webhookRateLimiter, async (req, res) => {
 
     console.log(`📨 [Webhook] Type: ${webhook_type}, Code: ${webhook_code}, Item: ${item_id}`);
 
-    // Handle different webhook types
-    switch (webhook_code) {
-      case 'DEFAULT_UPDATE':
-        console.log(`📊 [Webhook] New transactions available for item ${item_id}`);
-        // TODO: Trigger transaction refresh in iOS app
-        // Could store event in database or send push notification to iOS
-        break;
-
-      case 'SYNC_UPDATES_AVAILABLE':
-        console.log(`📊 [Webhook] Transaction sync available for item ${item_id}`);
-        // TODO: Call /transactions/sync endpoint
-        break;
-
-      case 'ITEM_LOGIN_REQUIRED':
-        console.log(`⚠️ [Webhook] Item ${item_id} requires re-authentication`);
-        // TODO: Notify user to reconnect account
-        // Could send push notification via iOS
-        break;
-
-      case 'NEW_ACCOUNTS_AVAILABLE':
-        console.log(`✨ [Webhook] New accounts available for item ${item_id}`);
-        // TODO: Prompt user to connect additional accounts
-        break;
-
-      case 'USER_PERMISSION_REVOKED':
-        console.log(`🚫 [Webhook] User revoked permission for item ${item_id}`);
-        // Remove item from storage
-        if (accessTokens.has(item_id)) {
-          accessTokens.delete(item_id);
-          saveTokens(accessTokens);
-          console.log(`✅ [Webhook] Removed item ${item_id} from storage`);
-        }
-        break;
-
-      case 'LOGIN_REPAIRED':
-        console.log(`✅ [Webhook] Item ${item_id} login repaired automatically`);
-        break;
+    // Persist first so nothing is lost if a handler fails or the process restarts
+    const event = recordWebhookEvent(req.body);
 
-      default:
-        console.log(`📝 [Webhook] Unhandled webhook code: ${webhook_code}`);
-    }
+    // Handlers run after we acknowledge; failures are retried by the webhook retry loop
+    processWebhookEvent(plaidProvider, event.id).catch(error => {
+      console.error(`❌ [Webhook] Processing error for event ${event.id}:`, error);
+    });
 
     // Always respond with 200 to acknowledge receipt
-    res.json({ status: 'webhook received' });
+    res.json({ status: 'webhook received', event_id: event.id });
 
   } catch (error) {
     console.error('❌ [Webhook] Validation error:', error);
@@ -911,7 +2107,7 @@ app.post('/api/plaid/webhook', webhookRateLimiter, async (req, res) => {
 app.post('/api/plaid/sandbox/create-transaction', async (req, res) => {
   try {
     // Validate sandbox environment
-    if (process.env.PLAID_ENV !== 'sandbox') {
+    if (!isSandboxAvailable()) {
       return res.status(403).json({
         error: 'Sandbox endpoints only available in sandbox environment',
         current_env: process.env.PLAID_ENV
@@ -935,11 +2131,23 @@ app.post('/api/plaid/sandbox/create-transaction', async (req, res) => {
       });
     }
 
+    // The fake provider stores the transaction for the next sync
+    if (plaidProvider.addSandboxTransactions) {
+      const [transaction] = plaidProvider.addSandboxTransactions(access_token, [{
+        amount,
+        date: date || new Date().toISOString().slice(0, 10),
+        description: merchant_name,
+      }]);
+      console.log(`✅ [Sandbox] Fake transaction ${transaction.transaction_id} added`);
+      return res.json({
+        success: true,
+        message: 'Transaction added to the fake provider. Sync the item to pick it up.',
+        transaction
+      });
+    }
+
     // Create transaction (only works with user_transactions_dynamic)
-    const response = await plaidClient.sandboxItemFireWebhook({
-      access_token,
-      webhook_code: 'DEFAULT_UPDATE'
-    });
+    await plaidProvider.fireSandboxWebhook(access_token, 'DEFAULT_UPDATE');
 
     console.log(`✅ [Sandbox] Test transaction created successfully`);
     console.log(`✅ [Sandbox] DEFAULT_UPDATE webhook will fire automatically`);
@@ -966,11 +2174,36 @@ app.post('/api/plaid/sandbox/create-transaction', async (req, res) => {
   }
 });
 
+// Create a sandbox public token without going through Plaid Link
+app.post('/api/plaid/sandbox/public-token', async (req, res) => {
+  try {
+    if (!isSandboxAvailable()) {
+      return res.status(403).json({
+        error: 'Sandbox endpoints only available in sandbox environment',
+        current_env: process.env.PLAID_ENV
+      });
+    }
+
+    const { institution_id } = req.body;
+
+    // Each provider falls back to its own default institution
+    const response = await plaidProvider.createSandboxPublicToken(institution_id || undefined);
+
+    console.log(`🧪 [Sandbox] Created public token for ${institution_id || 'default institution'}`);
+
+    res.json({ public_token: response.public_token });
+  } catch (error) {
+    console.error('❌ [Sandbox] Error creating public token:', error);
+    console.error('❌ [Sandbox] Error details:', error.response?.data || error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manually fire webhook for testing
 app.post('/api/plaid/sandbox/fire-webhook', async (req, res) => {
   try {
     // Validate sandbox environment
-    if (process.env.PLAID_ENV !== 'sandbox') {
+    if (!isSandboxAvailable()) {
       return res.status(403).json({
         error: 'Sandbox endpoints only available in sandbox environment',
         current_env: process.env.PLAID_ENV
@@ -988,10 +2221,7 @@ app.post('/api/plaid/sandbox/fire-webhook', async (req, res) => {
     }
 
     // Valid webhook codes: DEFAULT_UPDATE, SYNC_UPDATES_AVAILABLE, etc.
-    await plaidClient.sandboxItemFireWebhook({
-      access_token,
-      webhook_code
-    });
+    await plaidProvider.fireSandboxWebhook(access_token, webhook_code);
 
     console.log(`✅ [Sandbox] Webhook ${webhook_code} fired successfully`);
 
@@ -1020,7 +2250,7 @@ app.post('/api/plaid/sandbox/fire-webhook', async (req, res) => {
 app.post('/api/plaid/sandbox/reset-login', async (req, res) => {
   try {
     // Validate sandbox environment
-    if (process.env.PLAID_ENV !== 'sandbox') {
+    if (!isSandboxAvailable()) {
       return res.status(403).json({
         error: 'Sandbox endpoints only available in sandbox environment',
         current_env: process.env.PLAID_ENV
@@ -1035,9 +2265,7 @@ app.post('/api/plaid/sandbox/reset-login', async (req, res) => {
       return res.status(400).json({ error: 'access_token is required' });
     }
 
-    await plaidClient.sandboxItemResetLogin({
-      access_token
-    });
+    await plaidProvider.resetSandboxLogin(access_token);
 
     console.log(`✅ [Sandbox] Item reset successfully`);
     console.log(`✅ [Sandbox] ITEM_LOGIN_REQUIRED webhook will fire (if webhook configured)`);
@@ -1066,7 +2294,7 @@ app.post('/api/plaid/sandbox/reset-login', async (req, res) => {
 // MARK: - AI Insights Routes
 
 // Generate AI insights for a purchase decision
-app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
+app.post('/api/ai/purchase-insight', aiRateLimiter, optionalAuth, async (req, res) => {
   try {
     const {
       amount,
@@ -1074,7 +2302,6 @@ app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
       category,
       budgetStatus,
       spendingPattern,
-      goals,
     } = req.body;
 
     // Validate required fields
@@ -1115,6 +2342,9 @@ app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
     const sanitizedMerchantName = merchantName.trim().substring(0, 100);
     const sanitizedCategory = category.trim().substring(0, 50);
 
+    // Goals come from the signed-in user's stored goals; any goals in the body are ignored
+    const goals = req.userId ? goalsForPrompt(req.userId) : [];
+
     // Build context for AI using sanitized values
     const context = buildPurchaseContext({
       amount,
@@ -1125,9 +2355,8 @@ app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
       goals,
     });
 
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llmProvider.complete({
+      useCase: 'purchaseInsight',
       messages: [
         {
           role: 'system',
@@ -1138,19 +2367,17 @@ app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
           content: context,
         },
       ],
-      max_tokens: 150,
-      temperature: 0.7,
+      variables: {
+        amount,
+        merchantName: sanitizedMerchantName,
+        category: sanitizedCategory,
+        budgetStatus,
+      },
     });
 
-    const insight = completion.choices[0].message.content.trim();
-
     res.json({
-      insight,
-      usage: {
-        prompt_tokens: completion.usage.prompt_tokens,
-        completion_tokens: completion.usage.completion_tokens,
-        total_tokens: completion.usage.total_tokens,
-      },
+      insight: completion.content,
+      usage: completion.usage,
     });
   } catch (error) {
     console.error('Error generating AI insight:', error);
@@ -1159,12 +2386,11 @@ app.post('/api/ai/purchase-insight', aiRateLimiter, async (req, res) => {
 });
 
 // Generate AI recommendation for savings allocation
-app.post('/api/ai/savings-recommendation', aiRateLimiter, async (req, res) => {
+app.post('/api/ai/savings-recommendation', aiRateLimiter, optionalAuth, async (req, res) => {
   try {
     const {
       surplusAmount,
       budgetStatus,
-      goals,
       monthlyExpenses,
       currentSavings,
     } = req.body;
@@ -1198,6 +2424,9 @@ app.post('/api/ai/savings-recommendation', aiRateLimiter, async (req, res) => {
       }
     }
 
+    // Goals come from the signed-in user's stored goals; any goals in the body are ignored
+    const goals = req.userId ? goalsForPrompt(req.userId) : [];
+
     const context = buildSavingsContext({
       surplusAmount,
       budgetStatus,
@@ -1206,8 +2435,8 @@ app.post('/api/ai/savings-recommendation', aiRateLimiter, async (req, res) => {
       currentSavings,
     });
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llmProvider.complete({
+      useCase: 'savingsRecommendation',
       messages: [
         {
           role: 'system',
@@ -1218,19 +2447,16 @@ app.post('/api/ai/savings-recommendation', aiRateLimiter, async (req, res) => {
           content: context,
         },
       ],
-      max_tokens: 150,
-      temperature: 0.7,
+      variables: {
+        surplusAmount,
+        monthlyExpenses,
+        currentSavings,
+      },
     });
 
-    const recommendation = completion.choices[0].message.content.trim();
-
     res.json({
-      recommendation,
-      usage: {
-        prompt_tokens: completion.usage.prompt_tokens,
-        completion_tokens: completion.usage.completion_tokens,
-        total_tokens: completion.usage.total_tokens,
-      },
+      recommendation: completion.content,
+      usage: completion.usage,
     });
   } catch (error) {
     console.error('Error generating savings recommendation:', error);
@@ -1239,7 +2465,8 @@ app.post('/api/ai/savings-recommendation', aiRateLimiter, async (req, res) => {
 });
 
 // Generate AI-powered allocation recommendation across 4 virtual buckets
-app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) => {
+// Signed-in users with Plaid Liabilities on file get debt math from their real APRs and minimums
+app.post('/api/ai/allocation-recommendation', aiRateLimiter, optionalAuth, async (req, res) => {
   try {
     console.log('🎯 [Allocation] Received allocation recommendation request');
     const {
@@ -1303,31 +2530,22 @@ app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) =>
 
     console.log(`🎯 [Allocation] Account Balances: Emergency=$${emergencyBalance}, Investments=$${investmentBalance}, Discretionary=$${discretionaryBalance}, Essential=$${essentialBalance}, Debt=$${debtBalance}`);
 
-    // Use conservative defaults for income stability
-    const incomeStability = 'variable';
+    // Classify income stability from the user's deposits (or use their override);
+    // without a signed-in user, fall back to the conservative default
+    const incomeProfile = req.userId
+      ? getUserIncomeStability(req.userId)
+      : { stability: DEFAULT_INCOME_STABILITY, source: 'default', reason: 'Sign in and link your accounts so we can size your emergency fund from your actual income.' };
+    const incomeStability = incomeProfile.stability;
 
     console.log(`🎯 [Allocation] Processing: Income=$${monthlyIncome}, Expenses=$${expenses}, Savings=$${savings}, Debt=$${debt}`);
 
-    // Category mappings - define which categories are essential vs discretionary
-    const essentialCategoryList = ['Groceries', 'Rent', 'Mortgage', 'Utilities', 'Transportation', 'Insurance', 'Healthcare', 'Childcare'];
-    const discretionaryCategoryList = ['Entertainment', 'Dining', 'Shopping', 'Travel', 'Subscriptions', 'Hobbies'];
-
-    // Calculate actual spending by bucket from categoryBreakdown
-    // AND track which categories are actually present in user's data
-    let actualEssentialSpending = 0;
-    let actualDiscretionarySpending = 0;
-    const userEssentialCategories = [];
-    const userDiscretionaryCategories = [];
-
-    Object.entries(categories).forEach(([category, amount]) => {
-      if (essentialCategoryList.includes(category)) {
-        actualEssentialSpending += amount;
-        userEssentialCategories.push(category);
-      } else if (discretionaryCategoryList.includes(category)) {
-        actualDiscretionarySpending += amount;
-        userDiscretionaryCategories.push(category);
-      }
-    });
+    // Split spending between the Essential and Discretionary buckets with the user's
+    // category mapping (Plaid category defaults plus their overrides)
+    const spendingByBucket = bucketCategoryBreakdown(categories, loadBucketResolver(req.userId));
+    const actualEssentialSpending = spendingByBucket[ESSENTIAL_BUCKET].total;
+    const actualDiscretionarySpending = spendingByBucket[DISCRETIONARY_BUCKET].total;
+    const userEssentialCategories = spendingByBucket[ESSENTIAL_BUCKET].categories;
+    const userDiscretionaryCategories = spendingByBucket[DISCRETIONARY_BUCKET].categories;
 
     console.log(`🎯 [Allocation] Actual spending - Essential: $${actualEssentialSpending}, Discretionary: $${actualDiscretionarySpending}`);
 
@@ -1518,33 +2736,44 @@ app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) =>
       // Calculate debt preset options (10/15/20% when debt exists)
       const debtPresets = calculatePresetOptions(monthlyIncome, 10, 15, 20);
 
+      // Per-account balances, APRs and minimums from Plaid Liabilities when we have them;
+      // otherwise the debt is treated as one balance at DEFAULT_DEBT_APR. Mortgage payments
+      // come out of Essential Spending, not the Debt Paydown bucket
+      const debts = req.userId ? liabilityDebts(req.userId).filter(debt => debt.type !== 'mortgage') : [];
+
       // Calculate payoff timelines for each tier
-      const lowPayoff = calculateDebtPayoff(debtBalance, debtPresets.low.amount);
-      const recommendedPayoff = calculateDebtPayoff(debtBalance, adjustedDebtAmount);
-      const highPayoff = calculateDebtPayoff(debtBalance, debtPresets.high.amount);
+      const lowPayoff = calculateDebtPayoff(debtBalance, debtPresets.low.amount, debts);
+      const recommendedPayoff = calculateDebtPayoff(debtBalance, adjustedDebtAmount, debts);
+      const highPayoff = calculateDebtPayoff(debtBalance, debtPresets.high.amount, debts);
 
-      // Determine if high-interest debt exists (simplified: assume 18% APR for credit cards)
-      const estimatedAPR = 0.18; // TODO: Get actual APR from Plaid if available
+      const averageAPR = weightedAverageApr(debts) ?? DEFAULT_DEBT_APR;
+      const highInterestDebt = debts.length > 0
+        ? debts.filter(debt => (debt.apr ?? DEFAULT_DEBT_APR) >= HIGH_INTEREST_APR).reduce((sum, debt) => sum + debt.balance, 0)
+        : debtBalance; // Without liabilities, assume it's all high-interest
 
       debtAllocation = {
         amount: adjustedDebtAmount,
         percentage: Math.round((adjustedDebtAmount / monthlyIncome) * 100),
         totalDebt: debtBalance,
-        highInterestDebt: debtBalance, // Assume all is high-interest for now
-        averageAPR: estimatedAPR * 100, // Convert to percentage for display
+        highInterestDebt: Math.round(highInterestDebt),
+        averageAPR: Math.round(averageAPR * 10000) / 100, // Convert to percentage for display
+        usesActualAPRs: debts.length > 0,
         presetOptions: debtPresets,
         payoffTimeline: {
           low: {
             months: lowPayoff.months,
-            interestSaved: lowPayoff.interestSaved
+            interestSaved: lowPayoff.interestSaved,
+            coversMinimums: lowPayoff.coversMinimums
           },
           recommended: {
             months: recommendedPayoff.months,
-            interestSaved: recommendedPayoff.interestSaved
+            interestSaved: recommendedPayoff.interestSaved,
+            coversMinimums: recommendedPayoff.coversMinimums
           },
           high: {
             months: highPayoff.months,
-            interestSaved: highPayoff.interestSaved
+            interestSaved: highPayoff.interestSaved,
+            coversMinimums: highPayoff.coversMinimums
           }
         },
         explanation: explanations.debt || 'Paying down high-interest debt saves money on interest charges and improves financial flexibility.'
@@ -1559,7 +2788,7 @@ app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) =>
           amount: adjustedEssentialAmount,
           percentage: essentialPercentage,
           currentBalance: essentialBalance,
-          categories: userEssentialCategories.length > 0 ? userEssentialCategories : essentialCategoryList,
+          categories: userEssentialCategories.length > 0 ? userEssentialCategories : DEFAULT_BUCKET_CATEGORY_NAMES[ESSENTIAL_BUCKET],
           explanation: explanations.essential,
         },
         emergencyFund: {
@@ -1569,6 +2798,11 @@ app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) =>
           currentBalance: emergencyBalance,
           monthsToTarget: monthsToTarget,
           durationOptions: emergencyDurationOptions,
+          incomeStability: {
+            level: incomeStability,
+            source: incomeProfile.source,
+            reason: incomeProfile.reason,
+          },
           explanation: explanations.emergencyFund,
         },
         discretionarySpending: {
@@ -1576,7 +2810,7 @@ app.post('/api/ai/allocation-recommendation', aiRateLimiter, async (req, res) =>
           percentage: Math.round((adjustedDiscretionaryAmount / monthlyIncome) * 100),
           currentBalance: discretionaryBalance,
           presetOptions: discretionaryPresets,
-          categories: userDiscretionaryCategories.length > 0 ? userDiscretionaryCategories : discretionaryCategoryList,
+          categories: userDiscretionaryCategories.length > 0 ? userDiscretionaryCategories : DEFAULT_BUCKET_CATEGORY_NAMES[DISCRETIONARY_BUCKET],
           explanation: explanations.discretionary,
         },
         investments: {
@@ -1650,8 +2884,8 @@ app.post('/api/ai/explain-allocation-change', aiRateLimiter, async (req, res) =>
     }
 
     // Generate AI explanation for the change
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llmProvider.complete({
+      useCase: 'allocationChange',
       messages: [
         {
           role: 'system',
@@ -1662,21 +2896,16 @@ app.post('/api/ai/explain-allocation-change', aiRateLimiter, async (req, res) =>
           content: `User changed their ${bucketType} allocation from $${oldAmount} (${oldPercentage.toFixed(1)}%) to $${newAmount} (${newPercentage.toFixed(1)}%) of their $${monthlyIncome} monthly income.${impactDescription} Explain the impact of this change.`
         }
       ],
-      max_tokens: 80,
-      temperature: 0.7
+      variables: { bucketType, oldAmount, newAmount, monthlyIncome }
     });
 
-    const explanation = completion.choices[0].message.content.trim();
+    const explanation = completion.content;
 
     console.log(`🔄 [AllocationChange] Generated explanation: "${explanation}"`);
 
     res.json({
       explanation,
-      usage: {
-        prompt_tokens: completion.usage.prompt_tokens,
-        completion_tokens: completion.usage.completion_tokens,
-        total_tokens: completion.usage.total_tokens
-      }
+      usage: completion.usage
     });
   } catch (error) {
     console.error('🔄 [AllocationChange] Error generating explanation:', error);
@@ -1686,6 +2915,317 @@ app.post('/api/ai/explain-allocation-change', aiRateLimiter, async (req, res) =>
 
 // MARK: - Helper Functions
 
+// Sandbox helpers work against Plaid's sandbox or the offline fake provider
+function isSandboxAvailable() {
+  return plaidProvider.name === 'fake' || process.env.PLAID_ENV === 'sandbox';
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function toPercent(fraction) {
+  return Math.round(fraction * 10000) / 100;
+}
+
+function nextMonth() {
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1)).toISOString().slice(0, 7);
+}
+const TRANSACTION_QUERY_DEFAULT_LIMIT = 500;
+const TRANSACTION_QUERY_MAX_LIMIT = 5000;
+const WEBHOOK_RETRY_INTERVAL_MS = 30 * 1000;
+
+function formatInstitution(item) {
+  if (!item?.institution_id) {
+    return null;
+  }
+  return {
+    id: item.institution_id,
+    name: item.institution_name,
+    primaryColor: item.institution_color,
+    // The base64 logo is served separately so listings stay small
+    logoUrl: item.institution_logo ? `/api/plaid/items/${encodeURIComponent(item.item_id)}/institution-logo` : null,
+    url: item.institution_url,
+  };
+}
+
+function formatPlaidItem(item) {
+  return {
+    itemId: item.item_id,
+    institutionName: item.institution_name,
+    institution: formatInstitution(item),
+    status: item.status,
+    needsAttention: item.status !== 'active',
+    lastSuccessfulSyncAt: item.last_successful_sync_at,
+    lastErrorCode: item.last_error_code,
+    createdAt: item.created_at,
+  };
+}
+
+function formatWebhookEvent(event) {
+  return {
+    id: event.id,
+    itemId: event.item_id,
+    webhookType: event.webhook_type,
+    webhookCode: event.webhook_code,
+    status: event.status,
+    attempts: event.attempts,
+    lastError: event.last_error,
+    nextAttemptAt: event.next_attempt_at,
+    receivedAt: event.received_at,
+    processedAt: event.processed_at,
+    payload: JSON.parse(event.payload),
+  };
+}
+
+function formatPaycheckSchedule(paycheck) {
+  return {
+    id: paycheck.id,
+    frequency: paycheck.frequency,
+    estimatedAmount: paycheck.estimated_amount,
+    nextPaycheckDate: paycheck.next_paycheck_date,
+    isConfirmed: paycheck.is_confirmed === 1,
+    detectedEmployer: paycheck.detected_employer,
+    source: paycheck.source,
+    confidence: paycheck.confidence,
+    anchorDates: paycheck.anchor_dates ? JSON.parse(paycheck.anchor_dates) : null,
+    detectedAt: paycheck.detected_at,
+  };
+}
+
+function formatAllocationPlanVersion(version, isCurrent) {
+  return {
+    id: version.id,
+    versionNumber: version.version_number,
+    reason: version.reason,
+    allocations: JSON.parse(version.allocations),
+    restoredFromVersionId: version.restored_from_version_id,
+    isCurrent,
+    createdAt: version.created_at,
+  };
+}
+
+function formatScheduledAllocation(allocation) {
+  return {
+    id: allocation.id,
+    paycheckDate: allocation.paycheck_date,
+    bucketType: allocation.bucket_type,
+    scheduledAmount: allocation.scheduled_amount,
+    status: allocation.status,
+    reminderSentAt: allocation.reminder_sent_at,
+    linkedExecutionId: allocation.linked_execution_id,
+    createdAt: allocation.created_at,
+    updatedAt: allocation.updated_at,
+  };
+}
+
+function formatAllocationExecution(execution) {
+  return {
+    id: execution.id,
+    scheduledAllocationId: execution.scheduled_allocation_id,
+    bucketType: execution.bucket_type,
+    scheduledAmount: execution.scheduled_amount,
+    actualAmount: execution.actual_amount,
+    paycheckDate: execution.paycheck_date,
+    completedAt: execution.completed_at,
+    wasAutomatic: execution.was_automatic === 1,
+    notes: execution.notes,
+    createdAt: execution.created_at,
+    updatedAt: execution.updated_at,
+  };
+}
+
+// Checks the optional fields shared by creating and updating an execution
+function validateExecutionFields({ actualAmount, completedAt, wasAutomatic, notes }) {
+  if (actualAmount !== undefined && (typeof actualAmount !== 'number' || !Number.isFinite(actualAmount) || actualAmount < 0)) {
+    return 'actualAmount must be a non-negative number';
+  }
+  if (completedAt !== undefined && (typeof completedAt !== 'string' || Number.isNaN(Date.parse(completedAt)))) {
+    return 'completedAt must be an ISO 8601 timestamp';
+  }
+  if (wasAutomatic !== undefined && typeof wasAutomatic !== 'boolean') {
+    return 'wasAutomatic must be a boolean';
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'notes must be a string';
+  }
+  return null;
+}
+
+function formatGoal(goal, pace) {
+  const remaining = Math.max(goal.target_amount - goal.current_amount, 0);
+  return {
+    id: goal.id,
+    name: goal.name,
+    targetAmount: goal.target_amount,
+    currentAmount: goal.current_amount,
+    remaining,
+    percentComplete: goal.target_amount > 0 ? Math.min((goal.current_amount / goal.target_amount) * 100, 100) : 0,
+    isComplete: remaining === 0,
+    targetDate: goal.target_date,
+    goalType: goal.goal_type,
+    priority: goal.priority,
+    iconName: goal.icon_name,
+    colorHex: goal.color_hex,
+    isActive: goal.is_active === 1,
+    notes: goal.notes,
+    pace,
+    createdAt: goal.created_at,
+    updatedAt: goal.updated_at,
+  };
+}
+
+function formatGoalTransaction(txn) {
+  return {
+    id: txn.id,
+    type: txn.type,
+    amount: txn.amount,
+    note: txn.note,
+    occurredAt: txn.occurred_at,
+    createdAt: txn.created_at,
+  };
+}
+
+// Checks the optional fields shared by creating and updating a goal
+function validateGoalFields({ name, targetAmount, targetDate, goalType, priority, iconName, colorHex, notes }) {
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+    return 'name must be a non-empty string of 100 characters or less';
+  }
+  if (targetAmount !== undefined && (typeof targetAmount !== 'number' || !Number.isFinite(targetAmount) || targetAmount <= 0)) {
+    return 'targetAmount must be a positive number';
+  }
+  if (targetDate !== undefined && targetDate !== null && (typeof targetDate !== 'string' || !ISO_DATE_PATTERN.test(targetDate))) {
+    return 'targetDate must be formatted as YYYY-MM-DD';
+  }
+  // hasOwn so names inherited from Object.prototype (toString, constructor) aren't goal types
+  if (goalType !== undefined && (typeof goalType !== 'string' || !Object.hasOwn(GOAL_TYPES, goalType))) {
+    return `goalType must be one of: ${Object.keys(GOAL_TYPES).join(', ')}`;
+  }
+  if (priority !== undefined && !GOAL_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${GOAL_PRIORITIES.join(', ')}`;
+  }
+  for (const [field, value] of [['iconName', iconName], ['colorHex', colorHex], ['notes', notes]]) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  return null;
+}
+
+function validatePayoffDebts(debts) {
+  if (!Array.isArray(debts) || debts.length === 0 || debts.length > 50) {
+    return 'debts must be an array of 1 to 50 debts';
+  }
+  const accountIds = new Set();
+  for (const [index, debt] of debts.entries()) {
+    if (!debt || typeof debt !== 'object') {
+      return `debts[${index}] must be an object`;
+    }
+    if (debt.accountId !== undefined && (typeof debt.accountId !== 'string' || debt.accountId.length === 0)) {
+      return `debts[${index}].accountId must be a non-empty string`;
+    }
+    const accountId = debt.accountId ?? `debt-${index + 1}`;
+    if (accountIds.has(accountId)) {
+      return `debts[${index}].accountId "${accountId}" is used more than once`;
+    }
+    accountIds.add(accountId);
+    if (debt.name !== undefined && typeof debt.name !== 'string') {
+      return `debts[${index}].name must be a string`;
+    }
+    if (typeof debt.balance !== 'number' || !Number.isFinite(debt.balance) || debt.balance <= 0) {
+      return `debts[${index}].balance must be a positive number`;
+    }
+    if (debt.apr !== undefined && (typeof debt.apr !== 'number' || !Number.isFinite(debt.apr) || debt.apr < 0 || debt.apr > 100)) {
+      return `debts[${index}].apr must be a percentage between 0 and 100`;
+    }
+    if (debt.minimumPayment !== undefined && (typeof debt.minimumPayment !== 'number' || !Number.isFinite(debt.minimumPayment) || debt.minimumPayment <= 0)) {
+      return `debts[${index}].minimumPayment must be a positive number`;
+    }
+  }
+  return null;
+}
+
+function formatCategoryBudget(budget) {
+  return {
+    id: budget.id,
+    categoryName: budget.category_name,
+    month: budget.month,
+    monthlyLimit: budget.monthly_limit,
+    rolloverPolicy: budget.rollover_policy,
+    rolloverAmount: budget.rollover_amount,
+    reallocatedAmount: budget.reallocated_amount,
+    effectiveLimit: budget.effective_limit,
+    currentSpent: budget.current_spent,
+    remaining: budget.remaining,
+    percentUsed: budget.percent_used,
+    isOverBudget: budget.is_over_budget,
+    status: budget.status,
+    isAutoGenerated: budget.is_auto_generated === 1,
+    createdAt: budget.created_at,
+    updatedAt: budget.updated_at,
+  };
+}
+
+function formatCategoryBucketMapping(mapping) {
+  return {
+    id: mapping.id,
+    matchType: mapping.match_type,
+    matchValue: mapping.match_value,
+    bucketType: mapping.bucket_type,
+    createdAt: mapping.created_at,
+    updatedAt: mapping.updated_at,
+  };
+}
+
+function formatAlert(alert) {
+  return {
+    id: alert.id,
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    message: alert.message,
+    impactSummary: JSON.parse(alert.impact_summary),
+    actionOptions: JSON.parse(alert.action_options),
+    relatedBudgetId: alert.related_budget_id,
+    relatedGoalId: alert.related_goal_id,
+    transactionId: alert.transaction_id,
+    isDismissed: alert.dismissed_at !== null,
+    dismissedAt: alert.dismissed_at,
+    createdAt: alert.created_at,
+  };
+}
+
+function formatLiability(liability) {
+  return {
+    accountId: liability.account_id,
+    itemId: liability.item_id,
+    type: liability.liability_type,
+    accountName: liability.account_name,
+    accountSubtype: liability.account_subtype,
+    currentBalance: liability.current_balance,
+    apr: liability.apr_percentage,
+    minimumPayment: liability.minimum_payment,
+    lastStatementBalance: liability.last_statement_balance,
+    lastStatementDate: liability.last_statement_date,
+    nextPaymentDueDate: liability.next_payment_due_date,
+    lastPaymentAmount: liability.last_payment_amount,
+    isOverdue: liability.is_overdue === 1,
+    updatedAt: liability.updated_at,
+  };
+}
+
+// Stored transactions keep Plaid's original payload so iOS decodes them unchanged
+function formatStoredTransaction(row) {
+  return {
+    ...JSON.parse(row.raw_json),
+    item_id: row.item_id,
+  };
+}
+
 /**
  * Wraps a promise with a timeout. If the promise doesn't resolve within timeoutMs,
  * returns the fallbackValue instead.
@@ -1722,165 +3262,50 @@ async function generateAllocationExplanations({
   allocations,
   includeDebt = false,
 }) {
-  try {
-    // Prepare fallback explanations in OpenAI response format
-    const essentialMonthlyTarget = Math.round(emergencyFundTarget / (targetMonths || 6));
-    const fallbackEssential = {
-      choices: [{ message: { content: `Allocating $${allocations.essential.amount} covers your necessary monthly expenses while leaving room for savings.` } }]
-    };
-    const fallbackEmergency = {
-      choices: [{ message: { content: `Build a ${targetMonths || 6}-month emergency fund covering your essential expenses of $${essentialMonthlyTarget}/month. At $${allocations.emergencyFund.amount}/month, you'll reach your $${emergencyFundTarget} target in ${Math.ceil((emergencyFundTarget - savings) / allocations.emergencyFund.amount)} months.` } }]
-    };
-    const fallbackDiscretionary = {
-      choices: [{ message: { content: `Setting aside $${allocations.discretionary.amount} for discretionary spending allows you to enjoy life while staying financially responsible.` } }]
-    };
-    const fallbackInvestment = {
-      choices: [{ message: { content: `Investing $${allocations.investment.amount} monthly helps build long-term wealth and prepares for retirement.` } }]
-    };
-    const fallbackDebt = {
-      choices: [{ message: { content: `Paying down debt saves money on interest charges and improves financial flexibility.` } }]
-    };
-
-    // Build promises array based on whether debt is included
-    const promises = [
-      // Essential Spending explanation
-      withTimeout(
-        openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific.',
-            },
-            {
-              role: 'user',
-              content: `Explain why allocating $${allocations.essential.amount} (${allocations.essential.percentage}% of $${monthlyIncome} monthly income) to essential spending makes sense. Current monthly expenses: $${expenses}.`,
-            },
-          ],
-          max_tokens: 100,
-          temperature: 0.7,
-        }),
-        20000,
-        fallbackEssential
-      ),
-      // Emergency Fund explanation
-      withTimeout(
-        openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific. Focus on opportunity and progress, never discouragement.',
-            },
-            {
-              role: 'user',
-              content: `Explain why allocating $${allocations.emergencyFund.amount} (${allocations.emergencyFund.percentage}% of $${monthlyIncome} monthly income) to emergency fund makes sense. Current savings: $${savings}, Target: $${emergencyFundTarget} (${targetMonths || 6} months of essential expenses, recommended for ${incomeStability || 'stable'} income). Essential spending base: $${Math.round(emergencyFundTarget / (targetMonths || 6))}/month. ${debt > 0 ? `Current debt: $${debt}.` : ''} Current emergency fund covers ${(currentEmergencyMonths || 0).toFixed(1)} months.`,
-            },
-          ],
-          max_tokens: 120,
-          temperature: 0.7,
-        }),
-        20000,
-        fallbackEmergency
-      ),
-      // Discretionary Spending explanation
-      withTimeout(
-        openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific.',
-            },
-            {
-              role: 'user',
-              content: `Explain why allocating $${allocations.discretionary.amount} (${allocations.discretionary.percentage}% of $${monthlyIncome} monthly income) to discretionary spending (entertainment, dining, shopping) makes sense for work-life balance.`,
-            },
-          ],
-          max_tokens: 100,
-          temperature: 0.7,
-        }),
-        20000,
-        fallbackDiscretionary
-      ),
-      // Investment explanation
-      withTimeout(
-        openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific.',
-            },
-            {
-              role: 'user',
-              content: `Explain why allocating $${allocations.investment.amount} (${allocations.investment.percentage}% of $${monthlyIncome} monthly income) to investments and retirement savings is important for long-term wealth building. ${savings >= emergencyFundTarget ? 'Emergency fund is fully funded.' : 'Building emergency fund alongside investments.'}`,
-            },
-          ],
-          max_tokens: 100,
-          temperature: 0.7,
-        }),
-        20000,
-        fallbackInvestment
-      ),
-    ];
-
-    // Add debt explanation if needed
-    if (includeDebt && allocations.debt) {
-      promises.push(
-        withTimeout(
-          openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-              {
-                role: 'system',
-                content: 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific.',
-              },
-              {
-                role: 'user',
-                content: `Explain why allocating $${allocations.debt.amount} (${allocations.debt.percentage}% of $${monthlyIncome} monthly income) to debt paydown is important. Total debt: $${debt}. This payment will help pay off the debt faster and save on interest charges.`,
-              },
-            ],
-            max_tokens: 100,
-            temperature: 0.7,
-          }),
-          20000,
-          fallbackDebt
-        )
-      );
-    }
-
-    const explanations = await Promise.all(promises);
-
-    const result = {
-      essential: explanations[0].choices[0].message.content.trim(),
-      emergencyFund: explanations[1].choices[0].message.content.trim(),
-      discretionary: explanations[2].choices[0].message.content.trim(),
-      investment: explanations[3].choices[0].message.content.trim(),
-    };
+  const templateVariables = { allocations, emergencyFundTarget, targetMonths, savings, debt };
+  const defaultSystemPrompt = 'You are a financial advisor. Explain budget allocations in 1-2 sentences. Be encouraging and specific.';
+
+  const prompts = {
+    essential: `Explain why allocating $${allocations.essential.amount} (${allocations.essential.percentage}% of $${monthlyIncome} monthly income) to essential spending makes sense. Current monthly expenses: $${expenses}.`,
+    emergencyFund: `Explain why allocating $${allocations.emergencyFund.amount} (${allocations.emergencyFund.percentage}% of $${monthlyIncome} monthly income) to emergency fund makes sense. Current savings: $${savings}, Target: $${emergencyFundTarget} (${targetMonths || 6} months of essential expenses, recommended for ${incomeStability || 'stable'} income). Essential spending base: $${Math.round(emergencyFundTarget / (targetMonths || 6))}/month. ${debt > 0 ? `Current debt: $${debt}.` : ''} Current emergency fund covers ${(currentEmergencyMonths || 0).toFixed(1)} months.`,
+    discretionary: `Explain why allocating $${allocations.discretionary.amount} (${allocations.discretionary.percentage}% of $${monthlyIncome} monthly income) to discretionary spending (entertainment, dining, shopping) makes sense for work-life balance.`,
+    investment: `Explain why allocating $${allocations.investment.amount} (${allocations.investment.percentage}% of $${monthlyIncome} monthly income) to investments and retirement savings is important for long-term wealth building. ${savings >= emergencyFundTarget ? 'Emergency fund is fully funded.' : 'Building emergency fund alongside investments.'}`,
+  };
 
-    if (includeDebt && explanations[4]) {
-      result.debt = explanations[4].choices[0].message.content.trim();
-    }
+  // Add debt explanation if needed
+  if (includeDebt && allocations.debt) {
+    prompts.debt = `Explain why allocating $${allocations.debt.amount} (${allocations.debt.percentage}% of $${monthlyIncome} monthly income) to debt paydown is important. Total debt: $${debt}. This payment will help pay off the debt faster and save on interest charges.`;
+  }
 
-    return result;
-  } catch (error) {
-    console.error('🎯 [Allocation] Error generating AI explanations:', error);
-    // Return fallback explanations if AI fails
-    const essentialMonthlyTarget = Math.round(emergencyFundTarget / (targetMonths || 6));
-    const result = {
-      essential: `Allocating $${allocations.essential.amount} covers your necessary monthly expenses while leaving room for savings.`,
-      emergencyFund: `Build a ${targetMonths || 6}-month emergency fund covering your essential expenses of $${essentialMonthlyTarget}/month. At $${allocations.emergencyFund.amount}/month, you'll reach your $${emergencyFundTarget} target in ${Math.ceil((emergencyFundTarget - savings) / allocations.emergencyFund.amount)} months.`,
-      discretionary: `Setting aside $${allocations.discretionary.amount} for discretionary spending allows you to enjoy life while staying financially responsible.`,
-      investment: `Investing $${allocations.investment.amount} monthly helps build long-term wealth and prepares for retirement.`,
-    };
+  const buckets = Object.keys(prompts);
+
+  // Each bucket falls back to its template text if the model fails or is slow
+  const explanations = await Promise.all(buckets.map(bucket => {
+    const variables = { ...templateVariables, bucket };
+    const systemPrompt = bucket === 'emergencyFund'
+      ? `${defaultSystemPrompt} Focus on opportunity and progress, never discouragement.`
+      : defaultSystemPrompt;
+
+    return withTimeout(
+      llmProvider.complete({
+        useCase: 'allocationExplanation',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompts[bucket] },
+        ],
+        variables,
+      }).then(completion => completion.content),
+      20000,
+      renderTemplate('allocationExplanation', variables)
+    );
+  }));
 
-    if (includeDebt && allocations.debt) {
-      result.debt = `Paying down $${debt} in debt with $${allocations.debt.amount}/month saves on interest charges and improves financial flexibility.`;
-    }
+  const result = {};
+  buckets.forEach((bucket, index) => {
+    result[bucket] = explanations[index];
+  });
 
-    return result;
-  }
+  return result;
 }
 
 function buildPurchaseContext({
@@ -1955,6 +3380,72 @@ function buildSavingsContext({
 
 // MARK: - Allocation Helper Functions
 
+// Current plan in the GET /api/user/allocation-plan shape
+function buildAllocationPlanResponse(userId) {
+  const allocations = findAllocationPlan(userId);
+  const paycheck = findPaycheckSchedule(userId);
+
+  return {
+    allocations: allocations.map(a => ({
+      id: a.id,
+      bucketType: a.bucket_type,
+      percentage: a.percentage,
+      targetAmount: a.target_amount,
+      linkedAccountId: a.linked_account_id,
+      linkedAccountName: a.linked_account_name,
+      isCustomized: a.is_customized === 1,
+      presetTier: a.preset_tier,
+      createdAt: a.created_at,
+      updatedAt: a.updated_at
+    })),
+    paycheckSchedule: paycheck ? formatPaycheckSchedule(paycheck) : null,
+    hasPlan: allocations.length > 0,
+    versionId: currentPlanVersionId(userId, findAllocationPlanVersions(userId)),
+    etag: allocationPlanETag(userId)
+  };
+}
+
+// Every save creates a new plan version, so its number identifies the plan's state.
+// Plans saved before versioning existed are "0"; no plan at all is "empty"
+function allocationPlanETag(userId) {
+  if (findAllocationPlan(userId).length === 0) {
+    return '"empty"';
+  }
+  const [latest] = findAllocationPlanVersions(userId);
+  return `"${latest ? latest.version_number : 0}"`;
+}
+
+// Returns { status, body } to send when the request's If-Match doesn't match the plan's
+// ETag (428 when missing and required, 409 with the current plan when stale), or null
+function allocationPlanPreconditionFailure(req, { required }) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return required
+      ? { status: 428, body: { error: 'If-Match header with the ETag from GET /api/user/allocation-plan is required' } }
+      : null;
+  }
+
+  const etag = allocationPlanETag(req.userId);
+  const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (tags.includes(etag) || (tags.includes('*') && etag !== '"empty"')) {
+    return null;
+  }
+
+  console.warn(`⚠️ [AllocationPlan] Stale write for user ${req.userId} (If-Match ${ifMatch}, current ${etag})`);
+  return {
+    status: 409,
+    body: {
+      error: 'The allocation plan was changed since it was loaded',
+      currentPlan: buildAllocationPlanResponse(req.userId),
+    },
+  };
+}
+
+// The newest version is the current plan unless the plan has since been deleted
+function currentPlanVersionId(userId, versions) {
+  return versions.length > 0 && findAllocationPlan(userId).length > 0 ? versions[0].id : null;
+}
+
 /**
  * Calculate preset values (Low/Rec/High) for a bucket based on fixed percentages
  * @param {number} monthlyIncome - Monthly income
@@ -2034,7 +3525,8 @@ function generateEmergencyFundOptions(essentialSpending, currentBalance, incomeS
 
 /**
  * Calculate investment growth projections using compound interest
- * Assumes 7% annual return (conservative market average)
+ * Assumes 7% annual return (conservative market average). Each tier also carries
+ * 10th-90th percentile ranges in today's dollars from a Monte Carlo simulation
  * @param {number} currentBalance - Current investment balance
  * @param {number} monthlyIncome - Monthly income for percentage calculations
  * @param {number} lowPercentage - Low tier percentage
@@ -2043,62 +3535,73 @@ function generateEmergencyFundOptions(essentialSpending, currentBalance, incomeS
  * @returns {object} Investment projections for low/rec/high tiers
  */
 function calculateInvestmentProjections(currentBalance, monthlyIncome, lowPercentage, recommendedPercentage, highPercentage) {
-  const ANNUAL_RETURN_RATE = 0.07; // 7% annual return
-  const MONTHLY_RATE = ANNUAL_RETURN_RATE / 12;
+  const PROJECTION_YEARS = [10, 20, 30];
 
-  function projectGrowth(monthlyContribution, years) {
-    const months = years * 12;
-    let balance = currentBalance;
+  function projectTier(percentage) {
+    const monthlyContribution = Math.round((monthlyIncome * percentage) / 100);
+    const growth = projectInvestmentGrowth({ currentBalance, monthlyContribution });
+    const { bands } = simulateInvestmentGrowth({ currentBalance, monthlyContribution });
 
-    // Compound interest formula with monthly contributions
-    // Future Value = P(1+r)^n + PMT × [((1+r)^n - 1) / r]
-    const principalGrowth = currentBalance * Math.pow(1 + MONTHLY_RATE, months);
-    const contributionGrowth = monthlyContribution * ((Math.pow(1 + MONTHLY_RATE, months) - 1) / MONTHLY_RATE);
-
-    return Math.round(principalGrowth + contributionGrowth);
+    const timeline = { monthlyContribution };
+    const ranges = {};
+    for (const years of PROJECTION_YEARS) {
+      timeline[`year${years}`] = growth[years].nominal;
+      ranges[`year${years}`] = bands[years].real;
+    }
+    return { ...timeline, ranges };
   }
 
-  const lowContribution = Math.round((monthlyIncome * lowPercentage) / 100);
-  const recommendedContribution = Math.round((monthlyIncome * recommendedPercentage) / 100);
-  const highContribution = Math.round((monthlyIncome * highPercentage) / 100);
-
   return {
     currentBalance,
-    lowProjection: {
-      monthlyContribution: lowContribution,
-      year10: projectGrowth(lowContribution, 10),
-      year20: projectGrowth(lowContribution, 20),
-      year30: projectGrowth(lowContribution, 30)
-    },
-    recommendedProjection: {
-      monthlyContribution: recommendedContribution,
-      year10: projectGrowth(recommendedContribution, 10),
-      year20: projectGrowth(recommendedContribution, 20),
-      year30: projectGrowth(recommendedContribution, 30)
+    assumptions: {
+      annualReturn: toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.annualReturn),
+      inflation: toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.inflation),
+      volatility: toPercent(DEFAULT_PROJECTION_ASSUMPTIONS.volatility),
     },
-    highProjection: {
-      monthlyContribution: highContribution,
-      year10: projectGrowth(highContribution, 10),
-      year20: projectGrowth(highContribution, 20),
-      year30: projectGrowth(highContribution, 30)
-    }
+    lowProjection: projectTier(lowPercentage),
+    recommendedProjection: projectTier(recommendedPercentage),
+    highProjection: projectTier(highPercentage)
   };
 }
 
+// Assumed when we have no liabilities data (a typical credit card rate)
+const DEFAULT_DEBT_APR = 0.18;
+// Debt at or above this rate counts as high-interest
+const HIGH_INTEREST_APR = 0.08;
+
 /**
  * Calculate debt paydown timeline and interest saved
- * Simplified calculation - assumes average APR across all debts
+ * With per-account debts, simulates each one (extra payment to the highest APR first) against
+ * paying only the minimums; without, treats the total as one balance at DEFAULT_DEBT_APR
  * @param {number} totalDebt - Total debt balance
  * @param {number} monthlyPayment - Monthly payment amount
- * @param {number} averageAPR - Average APR (e.g., 0.18 for 18%)
- * @returns {object} Timeline with months to payoff and interest saved
+ * @param {Array} debts - [{ balance, apr, minimumPayment }] from Plaid Liabilities (optional)
+ * @returns {object} Timeline with months to payoff, interest saved, and coversMinimums: false when
+ *   monthlyPayment is below the minimum payments (per-account timelines then assume the minimums are paid)
  */
-function calculateDebtPayoff(totalDebt, monthlyPayment, averageAPR = 0.18) {
+function calculateDebtPayoff(totalDebt, monthlyPayment, debts = []) {
   if (totalDebt === 0 || monthlyPayment === 0) {
-    return { months: 0, totalPaid: 0, interestPaid: 0, interestSaved: 0 };
+    return { months: 0, totalPaid: 0, interestPaid: 0, interestSaved: 0, coversMinimums: totalDebt === 0 };
+  }
+
+  if (debts.length > 0) {
+    // The simulation always pays every minimum, even when monthlyPayment is less
+    const payoff = simulateDebtPayoff(debts, monthlyPayment);
+    const minimumOnly = simulateMinimumPayments(debts);
+    return {
+      months: payoff.months,
+      totalPaid: payoff.totalPaid,
+      interestPaid: payoff.interestPaid,
+      interestSaved: Math.max(0, minimumOnly.interestPaid - payoff.interestPaid),
+      coversMinimums: monthlyPayment >= totalMinimumPayment(debts)
+    };
   }
 
-  const monthlyRate = averageAPR / 12;
+  // Calculate minimum payment (3% of balance or $25, whichever is greater)
+  const minimumPayment = Math.max(totalDebt * 0.03, 25);
+  const coversMinimums = monthlyPayment >= minimumPayment;
+
+  const monthlyRate = DEFAULT_DEBT_APR / 12;
   let balance = totalDebt;
   let months = 0;
   let totalInterest = 0;
@@ -2110,7 +3613,7 @@ function calculateDebtPayoff(totalDebt, monthlyPayment, averageAPR = 0.18) {
 
     if (principalPayment <= 0) {
       // Payment doesn't cover interest - would never pay off
-      return { months: 600, totalPaid: monthlyPayment * 600, interestPaid: monthlyPayment * 600 - totalDebt, interestSaved: 0 };
+      return { months: 600, totalPaid: monthlyPayment * 600, interestPaid: monthlyPayment * 600 - totalDebt, interestSaved: 0, coversMinimums };
     }
 
     totalInterest += interestCharge;
@@ -2118,8 +3621,6 @@ function calculateDebtPayoff(totalDebt, monthlyPayment, averageAPR = 0.18) {
     months++;
   }
 
-  // Calculate minimum payment (3% of balance or $25, whichever is greater)
-  const minimumPayment = Math.max(totalDebt * 0.03, 25);
   let minBalance = totalDebt;
   let minMonths = 0;
   let minInterest = 0;
@@ -2141,7 +3642,8 @@ function calculateDebtPayoff(totalDebt, monthlyPayment, averageAPR = 0.18) {
     months: Math.round(months),
     totalPaid: Math.round(totalDebt + totalInterest),
     interestPaid: Math.round(totalInterest),
-    interestSaved: Math.round(interestSaved)
+    interestSaved: Math.round(interestSaved),
+    coversMinimums
   };
 }
 
@@ -2154,17 +3656,18 @@ app.listen(PORT, () => {
   // Validate required environment variables
   const missingVars = [];
 
-  if (!process.env.PLAID_CLIENT_ID || !process.env.PLAID_SECRET) {
+  if (plaidProvider.name === 'fake') {
+    console.log('🧪 Using fake Plaid provider (PLAID_PROVIDER=fake) - no Plaid credentials needed');
+  } else if (!process.env.PLAID_CLIENT_ID || !process.env.PLAID_SECRET) {
     console.error('❌ ERROR: PLAID_CLIENT_ID and PLAID_SECRET must be set in .env file');
     console.error('📝 Copy .env.example to .env and add your Plaid credentials\n');
     missingVars.push('PLAID_CLIENT_ID', 'PLAID_SECRET');
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ ERROR: OPENAI_API_KEY must be set in .env file');
-    console.error('📝 AI-powered insights will not work without a valid OpenAI API key');
-    console.error('📝 Get your API key from https://platform.openai.com/api-keys\n');
-    missingVars.push('OPENAI_API_KEY');
+  if (llmProvider.name === 'stub') {
+    console.log('🧪 Using stub LLM provider - AI insights come from templates, no API key needed');
+  } else {
+    console.log(`🤖 Using ${llmProvider.name} LLM provider`);
   }
 
   // Fail fast if critical environment variables are missing
@@ -2177,3 +3680,21 @@ app.listen(PORT, () => {
   console.log('✅ All required environment variables validated');
   console.log('✅ Server ready to accept requests\n');
 });
+
+// Retry failed webhook events whose backoff has elapsed, and pick up events a
+// crash or restart left pending or processing
+let webhookRetryRunning = false;
+setInterval(async () => {
+  if (webhookRetryRunning) return;
+  webhookRetryRunning = true;
+  try {
+    const retried = await retryDueWebhookEvents(plaidProvider);
+    if (retried > 0) {
+      console.log(`🔁 [Webhook] Retried ${retried} failed event(s)`);
+    }
+  } catch (error) {
+    console.error('❌ [Webhook] Retry loop error:', error);
+  } finally {
+    webhookRetryRunning = false;
+  }
+}, WEBHOOK_RETRY_INTERVAL_MS).unref();
@@ -0,0 +1,42 @@
+import { decrypt } from './encryption.js';
+import { findPlaidItemsByUserId, findLiabilities } from '../db/database.js';
+
+/**
+ * Fetch accounts for every item a user has linked. An item that fails (e.g.
+ * ITEM_LOGIN_REQUIRED) is skipped and reported rather than failing the lot.
+ * Debt accounts with stored liabilities carry their real `apr` (as a fraction)
+ * and `minimum_payment`
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { accounts (each with item_id), unavailableItems: [{ itemId, errorCode }] }
+ */
+export async function fetchUserAccounts(plaidProvider, userId) {
+  const items = findPlaidItemsByUserId(userId);
+  const liabilities = new Map(findLiabilities(userId).map(liability => [liability.account_id, liability]));
+  const accounts = [];
+  const unavailableItems = [];
+
+  for (const item of items) {
+    try {
+      const response = await plaidProvider.getAccounts(decrypt(item.access_token_encrypted));
+      for (const account of response.accounts) {
+        accounts.push(withLiability({ ...account, item_id: item.item_id }, liabilities.get(account.account_id)));
+      }
+    } catch (error) {
+      const errorCode = error.response?.data?.error_code || null;
+      console.warn(`⚠️ [Accounts] Could not load accounts for item ${item.item_id}: ${errorCode || error.message}`);
+      unavailableItems.push({ itemId: item.item_id, errorCode });
+    }
+  }
+
+  return { accounts, unavailableItems };
+}
+
+function withLiability(account, liability) {
+  if (!liability) return account;
+  return {
+    ...account,
+    apr: liability.apr_percentage !== null ? liability.apr_percentage / 100 : undefined,
+    minimum_payment: liability.minimum_payment ?? undefined,
+  };
+}
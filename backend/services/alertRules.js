@@ -0,0 +1,406 @@
+// Port of the iOS AlertRulesEngine. The rules run after each transactions sync
+// (and on demand) so users hear about budget overruns, unusual purchases and
+// cash flow risk without the app being open. Alert types, severities and action
+// types use the iOS AlertType, AlertSeverity and AlertAction.ActionType names.
+
+import { v4 as uuidv4 } from 'uuid';
+import { analysisWindow, generateAnalysisSnapshot, shouldExcludeFromBudget } from './transactionAnalyzer.js';
+import { budgetCategory, getBudgetsForMonth } from './budgets.js';
+import { withGoalPace } from './goals.js';
+import { paycheckDatesBetween } from './allocationScheduler.js';
+import { fetchUserAccounts } from './accounts.js';
+import {
+  findTransactions,
+  findGoals,
+  findAllocationPlan,
+  findPaycheckSchedule,
+  insertAlerts,
+} from '../db/database.js';
+
+// Only purchases this recent raise purchase alerts, so an initial sync of
+// months of history doesn't flood the user
+const RECENT_PURCHASE_DAYS = 7;
+// Savings opportunities are only worth raising once most of the month has passed
+const SAVINGS_OPPORTUNITY_DAYS_LEFT = 7;
+const DEFAULT_CASH_FLOW_DAYS_AHEAD = 7;
+// Money in these buckets' linked accounts isn't counted as spendable cash
+const PROTECTED_BUCKETS = ['Emergency Fund', 'Investments'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MARK: - Rules
+
+/**
+ * Alerts for a purchase that has already been synced (so it is counted in the budget's spend)
+ * @param {object} txn - Plaid transaction
+ * @param {object} context - { budgets (with progress), goals ([{ goal, pace }]), history (Plaid transactions), disposableIncome, asOf }
+ * @returns {Array} Alerts
+ */
+export function evaluatePurchase(txn, { budgets, goals, history, disposableIncome, asOf }) {
+  const alerts = [];
+  const amount = txn.amount;
+  const category = budgetCategory(txn);
+  const merchantName = txn.merchant_name || txn.name;
+  const month = txn.date.slice(0, 7);
+  const daysUntilMonthEnd = daysRemainingInMonth(asOf);
+
+  const budget = budgets.find(candidate =>
+    candidate.month === month && candidate.category_name.toLowerCase() === category.toLowerCase()
+  );
+
+  if (budget) {
+    const limit = budget.effective_limit;
+    const afterPurchase = budget.current_spent;
+    const impactSummary = {
+      currentRemaining: roundCents(Math.max(limit - (afterPurchase - amount), 0)),
+      afterPurchaseRemaining: roundCents(limit - afterPurchase),
+      daysUntilMonthEnd,
+      percentOfBudgetUsed: limit > 0 ? roundCents((afterPurchase / limit) * 100) : 0,
+    };
+
+    if (afterPurchase > limit) {
+      const overage = afterPurchase - limit;
+      const otherBudgets = budgets.filter(candidate =>
+        candidate.id !== budget.id && candidate.remaining > overage && candidate.status !== 'Over Budget'
+      );
+
+      alerts.push({
+        type: 'budgetExceeded',
+        severity: 'high',
+        title: `Over Budget: ${budget.category_name}`,
+        message: `This $${Math.trunc(amount)} purchase puts your ${budget.category_name} budget over by $${Math.trunc(overage)}.`,
+        actionOptions: reallocationOptions(overage, otherBudgets, disposableIncome, daysUntilMonthEnd),
+        impactSummary,
+        relatedBudgetId: budget.id,
+        transactionId: txn.transaction_id,
+        dedupeKey: `budgetExceeded:${month}:${budget.category_name.toLowerCase()}`,
+      });
+    } else if (budget.status === 'Near Limit' || budget.status === 'Approaching Limit') {
+      alerts.push({
+        type: 'budgetWarning',
+        severity: 'medium',
+        title: `Budget Check: ${budget.category_name}`,
+        message: `You have $${Math.trunc(limit - afterPurchase)} left in ${budget.category_name} after this purchase.`,
+        actionOptions: [
+          { title: 'Review Budget', actionType: 'reviewBudget', description: 'See full budget breakdown' },
+        ],
+        impactSummary,
+        relatedBudgetId: budget.id,
+        transactionId: txn.transaction_id,
+        dedupeKey: `budgetWarning:${month}:${budget.category_name.toLowerCase()}`,
+      });
+    }
+    // iOS also confirms on-track purchases; in the background that would be noise
+  }
+
+  const pattern = merchantPattern(merchantName, history.filter(other => other.transaction_id !== txn.transaction_id));
+  if (pattern.averageAmount > 0 && amount > pattern.averageAmount * 2) {
+    alerts.push({
+      type: 'unusualSpending',
+      severity: 'medium',
+      title: `Unusual ${merchantName} Purchase`,
+      message: `This is ${Math.trunc((amount / pattern.averageAmount) * 100)}% of your typical ${merchantName} spending ($${Math.trunc(pattern.averageAmount)}).`,
+      actionOptions: [
+        { title: "It's a Special Purchase", actionType: 'dismiss', description: 'Nothing to change' },
+        { title: 'Review History', actionType: 'viewMerchantHistory', description: `See past ${merchantName} purchases` },
+      ],
+      impactSummary: {
+        currentRemaining: roundCents(disposableIncome),
+        afterPurchaseRemaining: roundCents(disposableIncome - amount),
+        daysUntilMonthEnd,
+        percentOfBudgetUsed: 0,
+      },
+      transactionId: txn.transaction_id,
+      dedupeKey: `unusualSpending:${txn.transaction_id}`,
+    });
+  }
+
+  for (const { goal, pace } of goals) {
+    if (goal.priority !== 'High' || goal.is_active !== 1 || pace.status === 'completed') continue;
+
+    const monthlyContribution = pace.requiredMonthlyContribution;
+    if (monthlyContribution && amount > monthlyContribution * 0.5) {
+      const remaining = Math.max(goal.target_amount - goal.current_amount, 0);
+      alerts.push({
+        type: 'goalImpact',
+        severity: 'low',
+        title: `Goal Impact: ${goal.name}`,
+        message: `This purchase equals ${Math.trunc((amount / monthlyContribution) * 100)}% of your monthly ${goal.name} contribution.`,
+        actionOptions: [
+          { title: 'Worth It', actionType: 'dismiss', description: 'This is a priority' },
+          {
+            title: 'Add to Goal',
+            actionType: 'contributeToGoal',
+            description: `Save $${Math.trunc(amount)} toward ${goal.name}`,
+            metadata: { goalId: goal.id, amount: String(amount) },
+          },
+        ],
+        impactSummary: {
+          currentRemaining: remaining,
+          afterPurchaseRemaining: remaining,
+          daysUntilMonthEnd,
+          percentOfBudgetUsed: 0,
+        },
+        relatedGoalId: goal.id,
+        transactionId: txn.transaction_id,
+        dedupeKey: `goalImpact:${txn.transaction_id}:${goal.id}`,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Suggest saving money left in under-used budgets
+ * @param {Array} budgets - This month's budgets with progress
+ * @param {Array} goals - [{ goal, pace }]
+ * @param {object} options - { asOf }
+ * @returns {object|null} Alert
+ */
+export function evaluateSavingsOpportunity(budgets, goals, { asOf }) {
+  const underBudget = budgets.filter(budget => budget.remaining > 50 && budget.percent_used < 80);
+  if (underBudget.length === 0) return null;
+
+  const totalUnderBudget = underBudget.reduce((sum, budget) => sum + budget.remaining, 0);
+  const highPriority = goals.find(({ goal, pace }) =>
+    goal.is_active === 1 && pace.status !== 'completed' && goal.priority === 'High'
+  )?.goal;
+
+  const actionOptions = [];
+  if (highPriority) {
+    const suggestedAmount = roundCents(Math.min(totalUnderBudget * 0.5, highPriority.target_amount - highPriority.current_amount));
+    const percentAfter = ((highPriority.current_amount + suggestedAmount) / highPriority.target_amount) * 100;
+    actionOptions.push({
+      title: `Add to ${highPriority.name}`,
+      actionType: 'contributeToGoal',
+      description: `$${Math.trunc(suggestedAmount)} → ${Math.trunc(percentAfter)}% complete`,
+      metadata: { goalId: highPriority.id, amount: String(suggestedAmount) },
+    });
+  }
+  actionOptions.push({ title: 'Keep as Flexible Buffer', actionType: 'keepAsBuffer', description: 'Available for unexpected expenses' });
+
+  return {
+    type: 'savingsOpportunity',
+    severity: 'low',
+    title: `✨ You're $${Math.trunc(totalUnderBudget)} Under Budget!`,
+    message: 'Great job staying on track. What would you like to do with this surplus?',
+    actionOptions,
+    impactSummary: {
+      currentRemaining: roundCents(totalUnderBudget),
+      afterPurchaseRemaining: roundCents(totalUnderBudget),
+      daysUntilMonthEnd: daysRemainingInMonth(asOf),
+      percentOfBudgetUsed: 0,
+    },
+    relatedGoalId: highPriority?.id,
+    dedupeKey: `savingsOpportunity:${asOf.slice(0, 7)}`,
+  };
+}
+
+/**
+ * Warn when predicted recurring bills before the next paycheck would drain spendable cash
+ * @param {Array} history - Plaid transactions
+ * @param {number} spendableCash - Depository balances outside protected buckets
+ * @param {object} options - { asOf, windowEnd: 'YYYY-MM-DD' (next paycheck, or a week out) }
+ * @returns {object|null} Alert
+ */
+export function evaluateCashFlowRisk(history, spendableCash, { asOf, windowEnd }) {
+  const upcoming = predictUpcomingExpenses(history, { asOf, windowEnd });
+  const totalExpected = upcoming.reduce((sum, expense) => sum + expense.amount, 0);
+  const projectedBalance = spendableCash - totalExpected;
+
+  if (projectedBalance >= 500) return null;
+
+  const bills = upcoming
+    .map(expense => `• ${expense.merchantName}: $${Math.trunc(expense.amount)} (in ${daysBetween(asOf, expense.expectedDate)} days)`)
+    .join('\n');
+
+  return {
+    type: 'cashFlowWarning',
+    severity: projectedBalance < 100 ? 'high' : 'medium',
+    title: '⚡ Cash Flow Alert',
+    message: `You have $${Math.trunc(spendableCash)} available, but $${Math.trunc(totalExpected)} in upcoming bills before ${windowEnd}.${bills ? `\n\n${bills}` : ''}`,
+    actionOptions: [
+      { title: 'Move Money from Savings', actionType: 'transferMoney', description: 'Transfer to checking to cover bills' },
+      { title: 'Review Upcoming Bills', actionType: 'viewUpcomingBills', description: 'See all predicted expenses' },
+      { title: "I'll Handle It", actionType: 'dismiss', description: null },
+    ],
+    impactSummary: {
+      currentRemaining: roundCents(spendableCash),
+      afterPurchaseRemaining: roundCents(projectedBalance),
+      daysUntilMonthEnd: daysRemainingInMonth(asOf),
+      percentOfBudgetUsed: 0,
+    },
+    dedupeKey: `cashFlowWarning:${windowEnd}`,
+  };
+}
+
+/**
+ * Recurring monthly expenses (same merchant every 25-35 days) expected in (asOf, windowEnd]
+ * @param {Array} history - Plaid transactions
+ * @param {object} options - { asOf, windowEnd }
+ * @returns {Array} [{ merchantName, amount, expectedDate, confidence, category }]
+ */
+export function predictUpcomingExpenses(history, { asOf, windowEnd }) {
+  const byMerchant = new Map();
+  for (const txn of history) {
+    if (!(txn.amount > 0) || txn.pending || shouldExcludeFromBudget(txn)) continue;
+    const merchant = txn.merchant_name || txn.name;
+    if (!byMerchant.has(merchant)) byMerchant.set(merchant, []);
+    byMerchant.get(merchant).push(txn);
+  }
+
+  const expenses = [];
+  for (const [merchantName, transactions] of byMerchant) {
+    if (transactions.length < 2) continue;
+
+    const dates = transactions.map(txn => txn.date).sort();
+    const intervals = dates.slice(1).map((date, i) => daysBetween(dates[i], date));
+    const averageInterval = intervals.reduce((sum, days) => sum + days, 0) / intervals.length;
+    if (averageInterval < 25 || averageInterval > 35) continue;
+
+    const expectedDate = addDays(dates[dates.length - 1], Math.trunc(averageInterval));
+    if (expectedDate < asOf || expectedDate > windowEnd) continue;
+
+    expenses.push({
+      merchantName,
+      amount: roundCents(transactions.reduce((sum, txn) => sum + txn.amount, 0) / transactions.length),
+      expectedDate,
+      confidence: intervals.length >= 3 ? 'high' : 'medium',
+      category: budgetCategory(transactions[0]),
+    });
+  }
+
+  return expenses.sort((a, b) => a.expectedDate.localeCompare(b.expectedDate));
+}
+
+// MARK: - Evaluation
+
+/**
+ * Run every rule for a user and store any new alerts
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} userId - User ID
+ * @param {object} options - { transactions: newly synced Plaid transactions (defaults to the last week's), asOf }
+ * @returns {Promise<Array>} Alerts that were newly stored
+ */
+export async function evaluateUserAlerts(plaidProvider, userId, { transactions, asOf } = {}) {
+  const today = asOf || new Date().toISOString().slice(0, 10);
+  const { startDate } = analysisWindow(today);
+  const history = findTransactions(userId, { startDate, endDate: today }).map(row => JSON.parse(row.raw_json));
+  const recentSince = addDays(today, -RECENT_PURCHASE_DAYS);
+
+  const purchases = (transactions || history).filter(txn =>
+    txn.amount > 0 && txn.date > recentSince && txn.date <= today && !shouldExcludeFromBudget(txn)
+  );
+
+  const { accounts, unavailableItems } = await fetchUserAccounts(plaidProvider, userId);
+  const budgets = getBudgetsForMonth(userId, today.slice(0, 7), { currentMonth: today.slice(0, 7) });
+  const goals = withGoalPace(userId, findGoals(userId), { asOf: today });
+  const disposableIncome = generateAnalysisSnapshot(history, accounts, { asOf: today }).monthlyFlow.disposableIncome;
+
+  const alerts = [];
+  for (const txn of purchases) {
+    alerts.push(...evaluatePurchase(txn, { budgets, goals, history, disposableIncome, asOf: today }));
+  }
+
+  if (daysRemainingInMonth(today) <= SAVINGS_OPPORTUNITY_DAYS_LEFT) {
+    const savings = evaluateSavingsOpportunity(budgets, goals, { asOf: today });
+    if (savings) alerts.push(savings);
+  }
+
+  // An item that failed to load would count as $0, so the balance is only
+  // trusted when every item's accounts came back
+  const cash = unavailableItems.length === 0 ? spendableCash(userId, accounts) : null;
+  if (cash !== null) {
+    const cashFlow = evaluateCashFlowRisk(history, cash, {
+      asOf: today,
+      windowEnd: nextPaycheckDate(userId, today) || addDays(today, DEFAULT_CASH_FLOW_DAYS_AHEAD),
+    });
+    if (cashFlow) alerts.push(cashFlow);
+  }
+
+  const stored = insertAlerts(userId, alerts.map(alert => ({ id: uuidv4(), ...alert })));
+  if (stored.length > 0) {
+    console.log(`🔔 [Alerts] ${stored.length} new alert(s) for user ${userId}: ${stored.map(alert => alert.type).join(', ')}`);
+  }
+  return stored;
+}
+
+// MARK: - Helpers
+
+function merchantPattern(merchantName, history) {
+  const name = merchantName.toLowerCase();
+  const matches = history.filter(txn =>
+    txn.amount > 0 &&
+    ((txn.merchant_name && txn.merchant_name.toLowerCase() === name) || (txn.name || '').toLowerCase().includes(name))
+  );
+  const totalSpent = matches.reduce((sum, txn) => sum + txn.amount, 0);
+  return { averageAmount: matches.length > 0 ? totalSpent / matches.length : 0, totalSpent };
+}
+
+function reallocationOptions(neededAmount, availableBudgets, disposableIncome, daysUntilMonthEnd) {
+  const options = availableBudgets.slice(0, 2).map(budget => ({
+    title: `Pull from ${budget.category_name}`,
+    actionType: 'reallocateBudget',
+    description: `$${Math.trunc(budget.remaining)} available`,
+    metadata: { sourceBudgetId: budget.id, sourceCategory: budget.category_name, amount: String(neededAmount) },
+  }));
+
+  if (disposableIncome > neededAmount) {
+    options.push({
+      title: 'Use Disposable Income',
+      actionType: 'useDisposableIncome',
+      description: `$${Math.trunc(disposableIncome)} available`,
+    });
+  }
+
+  options.push({
+    title: 'Wait Until Next Month',
+    actionType: 'deferPurchase',
+    description: `Budget resets in ${daysUntilMonthEnd} days`,
+  });
+
+  return options;
+}
+
+// null when no checking or savings balance was loaded
+function spendableCash(userId, accounts) {
+  const balance = account => account.balances?.available ?? account.balances?.current ?? null;
+  const depositAccounts = accounts.filter(account => account.type === 'depository' && balance(account) !== null);
+  if (depositAccounts.length === 0) return null;
+
+  const protectedAccountIds = new Set(
+    findAllocationPlan(userId)
+      .filter(allocation => PROTECTED_BUCKETS.includes(allocation.bucket_type) && allocation.linked_account_id)
+      .map(allocation => allocation.linked_account_id)
+  );
+
+  return depositAccounts
+    .filter(account => !protectedAccountIds.has(account.account_id))
+    .reduce((sum, account) => sum + balance(account), 0);
+}
+
+function nextPaycheckDate(userId, today) {
+  const paycheck = findPaycheckSchedule(userId);
+  if (!paycheck) return null;
+  // Paid today counts as already received, so look from tomorrow
+  return paycheckDatesBetween(paycheck, addDays(today, 1), addDays(today, 62))[0] || null;
+}
+
+// Days from asOf to the last day of its month, like Date.daysRemainingInMonth
+function daysRemainingInMonth(asOf) {
+  const [year, month] = asOf.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  return daysBetween(asOf, lastDay);
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function addDays(isoDate, days) {
+  return new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
@@ -0,0 +1,215 @@
+// Port of the iOS AllocationExecutionTracker: progress toward bucket targets,
+// on-time consistency and this month's contribution counts, computed from the
+// stored allocation_executions and scheduled_allocations rows.
+
+import { PAYCHECKS_PER_YEAR } from './paycheckDetection.js';
+import { fetchUserAccounts } from './accounts.js';
+import {
+  findAllocationPlan,
+  findPaycheckSchedule,
+  findAllocationExecutions,
+  findScheduledAllocations,
+} from '../db/database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Progress toward a bucket's target
+ * @param {Array} executions - allocation_executions rows
+ * @param {object} bucket - { bucketType, targetAmount, currentBalance, monthlyAmount }
+ * @returns {object} Bucket progress metrics
+ */
+export function calculateProgress(executions, bucket) {
+  const bucketExecutions = executions.filter(execution => execution.bucket_type === bucket.bucketType);
+  const totalAllocated = sumActual(bucketExecutions);
+
+  let progressPercentage = 0;
+  let remainingToTarget = 0;
+  let estimatedMonthsToTarget = null;
+
+  if (bucket.targetAmount) {
+    const balance = bucket.currentBalance + totalAllocated;
+    progressPercentage = Math.min((balance / bucket.targetAmount) * 100, 100);
+    remainingToTarget = Math.max(bucket.targetAmount - balance, 0);
+
+    if (bucket.monthlyAmount > 0) {
+      estimatedMonthsToTarget = Math.ceil(remainingToTarget / bucket.monthlyAmount);
+    }
+  }
+
+  return {
+    bucketType: bucket.bucketType,
+    totalAllocatedToDate: totalAllocated,
+    currentBalance: bucket.currentBalance,
+    targetAmount: bucket.targetAmount,
+    progressPercentage,
+    remainingToTarget,
+    estimatedMonthsToTarget,
+    allocationCount: bucketExecutions.length,
+    isTargetReached: bucket.targetAmount ? bucket.currentBalance >= bucket.targetAmount : false,
+  };
+}
+
+/**
+ * How reliably scheduled allocations were completed on their paycheck date
+ * @param {Array} scheduledAllocations - scheduled_allocations rows
+ * @param {Array} executions - allocation_executions rows
+ * @returns {object} { totalScheduled, completedOnTime, completedLate, skipped, onTimeRate, averageDelayDays, isConsistent }
+ */
+export function analyzeConsistency(scheduledAllocations, executions) {
+  const completed = scheduledAllocations.filter(allocation => allocation.status === 'Completed');
+
+  if (completed.length === 0) {
+    return {
+      totalScheduled: 0,
+      completedOnTime: 0,
+      completedLate: 0,
+      skipped: 0,
+      onTimeRate: 0,
+      averageDelayDays: 0,
+      isConsistent: false,
+    };
+  }
+
+  const executionsByScheduledId = new Map(
+    executions.map(execution => [execution.scheduled_allocation_id, execution])
+  );
+
+  let onTimeCount = 0;
+  let lateCount = 0;
+  let totalDelayDays = 0;
+
+  for (const allocation of completed) {
+    const execution = executionsByScheduledId.get(allocation.id);
+    if (!execution) continue;
+
+    const delayDays = daysBetween(allocation.paycheck_date, execution.completed_at.slice(0, 10));
+    if (delayDays <= 0) {
+      onTimeCount += 1;
+    } else {
+      lateCount += 1;
+      totalDelayDays += delayDays;
+    }
+  }
+
+  const skippedCount = scheduledAllocations.filter(allocation => allocation.status === 'Skipped').length;
+  const totalScheduled = completed.length + skippedCount;
+  const onTimeRate = totalScheduled > 0 ? onTimeCount / totalScheduled : 0;
+
+  return {
+    totalScheduled,
+    completedOnTime: onTimeCount,
+    completedLate: lateCount,
+    skipped: skippedCount,
+    onTimeRate,
+    averageDelayDays: lateCount > 0 ? totalDelayDays / lateCount : 0,
+    isConsistent: onTimeRate >= 0.8,
+  };
+}
+
+/**
+ * Completed vs planned contributions to a bucket in the month containing asOf
+ * @param {string} bucketType - AllocationBucketType raw value
+ * @param {Array} executions - allocation_executions rows
+ * @param {Array} scheduledAllocations - scheduled_allocations rows
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } (defaults to today)
+ * @returns {object} { completed, planned }
+ */
+export function contributionsThisMonth(bucketType, executions, scheduledAllocations, { asOf } = {}) {
+  const month = (asOf || new Date().toISOString().slice(0, 10)).slice(0, 7);
+
+  const completed = executions.filter(execution =>
+    execution.bucket_type === bucketType && execution.completed_at.slice(0, 7) === month
+  ).length;
+
+  const planned = scheduledAllocations.filter(allocation =>
+    allocation.bucket_type === bucketType && allocation.paycheck_date.slice(0, 7) === month
+  ).length;
+
+  return { completed, planned: Math.max(planned, completed) };
+}
+
+/**
+ * Totals across an execution history (iOS AllocationExecutionStats)
+ * @param {Array} executions - allocation_executions rows
+ * @returns {object} Summary statistics
+ */
+export function calculateOverallStats(executions) {
+  const totalExecutions = executions.length;
+  const totalAllocated = sumActual(executions);
+  const onTimeCount = executions.filter(execution => execution.completed_at.slice(0, 10) === execution.paycheck_date).length;
+  const adjustedCount = executions.filter(isDifferentThanPlanned).length;
+
+  const bucketBreakdown = {};
+  for (const execution of executions) {
+    bucketBreakdown[execution.bucket_type] = (bucketBreakdown[execution.bucket_type] || 0) + execution.actual_amount;
+  }
+
+  return {
+    totalExecutions,
+    totalAllocated,
+    averagePerAllocation: totalExecutions > 0 ? totalAllocated / totalExecutions : 0,
+    onTimeCompletionRate: totalExecutions > 0 ? onTimeCount / totalExecutions : 0,
+    adjustmentRate: totalExecutions > 0 ? adjustedCount / totalExecutions : 0,
+    bucketBreakdown,
+  };
+}
+
+/**
+ * Progress, consistency and this month's contributions for every bucket in a user's plan.
+ * Balances of linked accounts are read from Plaid; unavailable items count as zero
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} userId - User ID
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } (defaults to today)
+ * @returns {Promise<object>} { buckets, consistency, stats, unavailableItems }
+ */
+export async function getAllocationProgressSummary(plaidProvider, userId, { asOf } = {}) {
+  const plan = findAllocationPlan(userId);
+  const paycheck = findPaycheckSchedule(userId);
+  const executions = findAllocationExecutions(userId);
+  const scheduledAllocations = findScheduledAllocations(userId);
+
+  let accounts = [];
+  let unavailableItems = [];
+  if (plan.some(allocation => allocation.linked_account_id)) {
+    ({ accounts, unavailableItems } = await fetchUserAccounts(plaidProvider, userId));
+  }
+
+  const monthlyIncome = paycheck?.estimated_amount && PAYCHECKS_PER_YEAR[paycheck.frequency]
+    ? (paycheck.estimated_amount * PAYCHECKS_PER_YEAR[paycheck.frequency]) / 12
+    : 0;
+
+  const buckets = plan.map(allocation => {
+    const linkedAccount = accounts.find(account => account.account_id === allocation.linked_account_id);
+    const bucket = {
+      bucketType: allocation.bucket_type,
+      targetAmount: allocation.target_amount,
+      currentBalance: linkedAccount?.balances?.current ?? 0,
+      monthlyAmount: (monthlyIncome * allocation.percentage) / 100,
+    };
+
+    return {
+      ...calculateProgress(executions, bucket),
+      contributionsThisMonth: contributionsThisMonth(allocation.bucket_type, executions, scheduledAllocations, { asOf }),
+    };
+  });
+
+  return {
+    buckets,
+    consistency: analyzeConsistency(scheduledAllocations, executions),
+    stats: calculateOverallStats(executions),
+    unavailableItems,
+  };
+}
+
+function isDifferentThanPlanned(execution) {
+  return Math.abs(execution.actual_amount - execution.scheduled_amount) > 0.01;
+}
+
+function sumActual(executions) {
+  return executions.reduce((sum, execution) => sum + execution.actual_amount, 0);
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
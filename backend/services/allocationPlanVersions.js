@@ -0,0 +1,49 @@
+// Allocation plan history: every save of the plan is stored as an immutable
+// version, so earlier plans can be compared against and restored.
+
+// Why a plan was saved. `restore` is only recorded by the server when an old
+// version is restored; clients send one of the others
+export const PLAN_VERSION_REASONS = ['ai_recommendation', 'manual_edit', 'preset_tier_change', 'restore'];
+export const CLIENT_PLAN_VERSION_REASONS = PLAN_VERSION_REASONS.filter(reason => reason !== 'restore');
+
+const COMPARED_FIELDS = ['percentage', 'targetAmount', 'linkedAccountId', 'linkedAccountName', 'isCustomized', 'presetTier'];
+
+/**
+ * Bucket-by-bucket differences between two plan snapshots
+ * @param {Array} fromAllocations - Older snapshot ([{ bucketType, percentage, targetAmount, ... }])
+ * @param {Array} toAllocations - Newer snapshot
+ * @returns {Array} [{ bucketType, change, from, to, percentageChange, targetAmountChange, changedFields }]
+ *   change is added, removed, changed or unchanged; changedFields only lists fields of buckets in both
+ */
+export function diffAllocationPlans(fromAllocations, toAllocations) {
+  const bucketTypes = [...new Set([...fromAllocations, ...toAllocations].map(allocation => allocation.bucketType))].sort();
+
+  return bucketTypes.map(bucketType => {
+    const from = fromAllocations.find(allocation => allocation.bucketType === bucketType) || null;
+    const to = toAllocations.find(allocation => allocation.bucketType === bucketType) || null;
+    const changedFields = from && to
+      ? COMPARED_FIELDS.filter(field => (from[field] ?? null) !== (to[field] ?? null))
+      : [];
+
+    let change;
+    if (!from) {
+      change = 'added';
+    } else if (!to) {
+      change = 'removed';
+    } else {
+      change = changedFields.length > 0 ? 'changed' : 'unchanged';
+    }
+
+    return {
+      bucketType,
+      change,
+      from,
+      to,
+      percentageChange: Math.round(((to?.percentage ?? 0) - (from?.percentage ?? 0)) * 100) / 100,
+      targetAmountChange: from?.targetAmount != null || to?.targetAmount != null
+        ? Math.round(((to?.targetAmount ?? 0) - (from?.targetAmount ?? 0)) * 100) / 100
+        : null,
+      changedFields,
+    };
+  });
+}
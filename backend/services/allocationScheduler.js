@@ -0,0 +1,202 @@
+// Port of the iOS AllocationScheduler: turns the allocation plan and paycheck
+// schedule into one scheduled allocation per bucket per upcoming paycheck, and
+// keeps the stored schedule in step whenever either of them changes.
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  findAllocationPlan,
+  findPaycheckSchedule,
+  findScheduledAllocations,
+  replacePendingScheduledAllocations,
+} from '../db/database.js';
+
+// The stored schedule always covers the longest window a client can request
+export const MAX_MONTHS_AHEAD = 12;
+export const DEFAULT_MONTHS_AHEAD = 3;
+// Completed and skipped entries are kept this long (AllocationScheduleConfig.historyMonthsToKeep)
+const HISTORY_MONTHS_TO_KEEP = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frequency names match the iOS PaycheckFrequency raw values
+const INTERVAL_DAYS = {
+  Weekly: 7,
+  'Bi-weekly': 14,
+};
+
+/**
+ * Paycheck dates from `startDate` through `endDate` (inclusive)
+ * @param {object} paycheck - Row from user_paycheck_schedules
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<string>} Dates in ascending order
+ */
+export function paycheckDatesBetween(paycheck, startDate, endDate) {
+  const anchorDates = parseAnchorDates(paycheck.anchor_dates);
+  const nextDate = paycheck.next_paycheck_date ? paycheck.next_paycheck_date.slice(0, 10) : null;
+  const dates = [];
+
+  const interval = INTERVAL_DAYS[paycheck.frequency];
+  if (interval) {
+    let date = firstIntervalDate(interval, nextDate, anchorDates, startDate);
+    while (date <= endDate) {
+      dates.push(date);
+      date = addDays(date, interval);
+    }
+    return dates;
+  }
+
+  const anchorDays = monthlyAnchorDays(paycheck.frequency, nextDate, anchorDates);
+  if (!anchorDays) {
+    return dates;
+  }
+
+  const start = parseDate(startDate);
+  for (let monthOffset = 0; ; monthOffset++) {
+    const monthStart = dateInMonth(start.getUTCFullYear(), start.getUTCMonth() + monthOffset, 1);
+    if (monthStart > endDate) break;
+
+    for (const day of anchorDays) {
+      const date = dateInMonth(start.getUTCFullYear(), start.getUTCMonth() + monthOffset, day);
+      if (date >= startDate && date <= endDate && !dates.includes(date)) {
+        dates.push(date);
+      }
+    }
+  }
+  return dates;
+}
+
+/**
+ * Build the schedule entries for a plan and paycheck schedule. Each bucket gets
+ * its percentage of the estimated paycheck; buckets with nothing to move are skipped
+ * @param {Array} plan - Rows from user_allocation_plans
+ * @param {object} paycheck - Row from user_paycheck_schedules
+ * @param {object} options - { startDate, endDate } (YYYY-MM-DD)
+ * @returns {Array} [{ paycheckDate, bucketType, scheduledAmount }]
+ */
+export function generateSchedule(plan, paycheck, { startDate, endDate }) {
+  if (!paycheck || !paycheck.estimated_amount || plan.length === 0) {
+    return [];
+  }
+
+  const entries = [];
+  for (const paycheckDate of paycheckDatesBetween(paycheck, startDate, endDate)) {
+    for (const allocation of plan) {
+      const scheduledAmount = Math.round(paycheck.estimated_amount * allocation.percentage) / 100;
+      if (scheduledAmount > 0) {
+        entries.push({ paycheckDate, bucketType: allocation.bucket_type, scheduledAmount });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Regenerate a user's stored schedule from their current plan and paycheck schedule.
+ * Pending entries are replaced (keeping ids and reminders where the paycheck and
+ * bucket still match), past pending entries are pruned, and completed or skipped
+ * entries are kept as history for a year
+ * @param {string} userId - User ID
+ * @param {object} options - { today: 'YYYY-MM-DD' } (defaults to today)
+ * @returns {number} Number of pending entries now scheduled
+ */
+export function regenerateAllocationSchedule(userId, { today } = {}) {
+  const startDate = today || new Date().toISOString().slice(0, 10);
+  const endDate = addMonths(startDate, MAX_MONTHS_AHEAD);
+
+  const entries = generateSchedule(findAllocationPlan(userId), findPaycheckSchedule(userId), { startDate, endDate })
+    .map(entry => ({ id: uuidv4(), ...entry }));
+
+  replacePendingScheduledAllocations(userId, entries, {
+    historyCutoff: addMonths(startDate, -HISTORY_MONTHS_TO_KEEP),
+  });
+
+  return entries.length;
+}
+
+/**
+ * Stored schedule entries within a window
+ * @param {string} userId - User ID
+ * @param {object} options - { monthsAhead, today, includeHistory }
+ * @returns {object} { startDate, endDate, allocations }
+ */
+export function getAllocationSchedule(userId, { monthsAhead = DEFAULT_MONTHS_AHEAD, today, includeHistory = false } = {}) {
+  const todayDate = today || new Date().toISOString().slice(0, 10);
+  const startDate = includeHistory ? addMonths(todayDate, -HISTORY_MONTHS_TO_KEEP) : todayDate;
+  const endDate = addMonths(todayDate, monthsAhead);
+
+  return {
+    startDate,
+    endDate,
+    allocations: findScheduledAllocations(userId, { startDate, endDate }),
+  };
+}
+
+// Weekly and bi-weekly schedules step from the stored next paycheck date when there
+// is one; otherwise from the first anchor weekday on or after startDate, as iOS does
+function firstIntervalDate(interval, nextDate, anchorDates, startDate) {
+  if (nextDate) {
+    let date = nextDate;
+    while (addDays(date, -interval) >= startDate) {
+      date = addDays(date, -interval);
+    }
+    while (date < startDate) {
+      date = addDays(date, interval);
+    }
+    return date;
+  }
+
+  // Anchors use the iOS DateComponents convention: weekday 1 = Sunday ... 7 = Saturday
+  const weekday = anchorDates.find(anchor => anchor.weekday)?.weekday ?? 6;
+  const offset = (weekday - 1 - parseDate(startDate).getUTCDay() + 7) % 7;
+  return addDays(startDate, offset);
+}
+
+// Days of the month a semi-monthly or monthly paycheck lands on
+function monthlyAnchorDays(frequency, nextDate, anchorDates) {
+  const days = anchorDates.map(anchor => anchor.day).filter(Boolean);
+  const nextDay = nextDate ? parseDate(nextDate).getUTCDate() : null;
+
+  if (frequency === 'Semi-monthly') {
+    if (days.length >= 2) return days.slice(0, 2).sort((a, b) => a - b);
+    // Manual schedules only store the next date; assume the other payday is half a month away
+    const day = days[0] ?? nextDay ?? 1;
+    return day <= 15 ? [day, day + 15] : [day - 15, day];
+  }
+
+  if (frequency === 'Monthly') {
+    return [days[0] ?? nextDay ?? 1];
+  }
+
+  return null;
+}
+
+function parseAnchorDates(json) {
+  if (!json) return [];
+  try {
+    const anchors = JSON.parse(json);
+    return Array.isArray(anchors) ? anchors : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function addDays(isoDate, days) {
+  return new Date(parseDate(isoDate).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return dateInMonth(year, month - 1 + months, day);
+}
+
+// Clamps the day to the month's length (a 31st anchor lands on Feb 28)
+function dateInMonth(year, monthIndex, day) {
+  const first = new Date(Date.UTC(year, monthIndex, 1));
+  const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(day, daysInMonth));
+  return first.toISOString().slice(0, 10);
+}
@@ -0,0 +1,259 @@
+// Monthly category budgets: generation from spending history (port of
+// SpendingPatternAnalyzer.generateBudgetsFromHistory), spend progress from
+// stored transactions, and month-to-month rollover.
+
+import { v4 as uuidv4 } from 'uuid';
+import { shouldExcludeFromBudget } from './transactionAnalyzer.js';
+import {
+  findTransactions,
+  findCategoryBudgets,
+  findLatestBudgetMonthBefore,
+  upsertCategoryBudgets,
+  updateCategoryBudgetRollover,
+} from '../db/database.js';
+
+// reset: every month starts from the base limit
+// carry_surplus: unspent money is added to next month's limit
+// carry_deficit: overspending is taken out of next month's limit
+export const ROLLOVER_POLICIES = ['reset', 'carry_surplus', 'carry_deficit'];
+
+// Generated limits sit 10% above average spending, and categories averaging
+// $10/month or less get no budget (same thresholds as the iOS analyzer)
+const GENERATED_LIMIT_BUFFER = 1.1;
+const MINIMUM_GENERATED_LIMIT = 10;
+
+/**
+ * Category a transaction is budgeted under. Like iOS this is the first legacy
+ * Plaid category, falling back to the personal finance category for newer data
+ * @param {object} txn - Plaid transaction
+ * @returns {string}
+ */
+export function budgetCategory(txn) {
+  return txn.category?.[0] || txn.personal_finance_category?.primary || 'Uncategorized';
+}
+
+/**
+ * Suggested monthly limits from average spending per category
+ * @param {Array} transactions - Plaid transactions
+ * @param {object} options - { months (default 3), asOf: 'YYYY-MM-DD' end of the window (defaults to today) }
+ * @returns {Array} [{ categoryName, monthlyLimit, averageMonthlySpending, transactionCount }], largest first
+ */
+export function generateBudgetsFromHistory(transactions, { months = 3, asOf } = {}) {
+  const endDate = asOf || new Date().toISOString().slice(0, 10);
+  const cutoffDate = addMonths(endDate, -months);
+
+  const spending = new Map();
+  for (const txn of transactions) {
+    if (txn.pending || txn.date < cutoffDate || txn.date > endDate) continue;
+    if (!(txn.amount > 0) || shouldExcludeFromBudget(txn)) continue;
+
+    const category = budgetCategory(txn);
+    const entry = spending.get(category) || { total: 0, count: 0 };
+    entry.total += txn.amount;
+    entry.count += 1;
+    spending.set(category, entry);
+  }
+
+  const budgets = [];
+  for (const [categoryName, { total, count }] of spending) {
+    const averageMonthlySpending = total / months;
+    const monthlyLimit = Math.round(averageMonthlySpending * GENERATED_LIMIT_BUFFER * 100) / 100;
+    if (monthlyLimit > MINIMUM_GENERATED_LIMIT) {
+      budgets.push({
+        categoryName,
+        monthlyLimit,
+        averageMonthlySpending: Math.round(averageMonthlySpending * 100) / 100,
+        transactionCount: count,
+      });
+    }
+  }
+
+  return budgets.sort((a, b) => b.monthlyLimit - a.monthlyLimit);
+}
+
+/**
+ * Spending per category in a month, keyed by lower-cased category name
+ * @param {string} userId - User ID
+ * @param {string} month - YYYY-MM
+ * @returns {Map<string, number>}
+ */
+export function monthlySpendingByCategory(userId, month) {
+  const transactions = findTransactions(userId, { startDate: `${month}-01`, endDate: `${month}-31` })
+    .map(row => JSON.parse(row.raw_json));
+
+  const spending = new Map();
+  for (const txn of transactions) {
+    if (!(txn.amount > 0) || shouldExcludeFromBudget(txn)) continue;
+    const key = budgetCategory(txn).toLowerCase();
+    spending.set(key, (spending.get(key) || 0) + txn.amount);
+  }
+  return spending;
+}
+
+/**
+ * A user's budgets for a month with spend progress. Months up to the current one
+ * that have no budgets yet are created from the month before, applying each
+ * category's rollover policy
+ * @param {string} userId - User ID
+ * @param {string} month - YYYY-MM
+ * @param {object} options - { currentMonth: 'YYYY-MM' } (defaults to this month)
+ * @returns {Array} Budgets with currentSpent, effectiveLimit, remaining, percentUsed, isOverBudget and status
+ */
+export function getBudgetsForMonth(userId, month, { currentMonth } = {}) {
+  if (month <= (currentMonth || new Date().toISOString().slice(0, 7))) {
+    rollBudgetsForward(userId, month);
+    refreshRolloverAmounts(userId, month);
+  }
+
+  const spending = monthlySpendingByCategory(userId, month);
+  return findCategoryBudgets(userId, month).map(budget =>
+    withProgress(budget, spending.get(budget.category_name.toLowerCase()) || 0)
+  );
+}
+
+/**
+ * Move part of one category's limit to another for a single month, creating the
+ * destination if needed (iOS BudgetManager.reallocateBudget). Base limits are left
+ * alone, so the move isn't carried into later months. Fails when the source has
+ * less than `amount` left
+ * @param {string} userId - User ID
+ * @param {object} params - { month, fromCategory, toCategory, amount }
+ * @returns {object} { success, error?, budgets? }
+ */
+export function reallocateBudget(userId, { month, fromCategory, toCategory, amount }) {
+  const budgets = getBudgetsForMonth(userId, month);
+  const source = budgets.find(budget => budget.category_name.toLowerCase() === fromCategory.toLowerCase());
+  if (!source) {
+    return { success: false, error: `No ${fromCategory} budget for ${month}` };
+  }
+  if (source.remaining < amount) {
+    return { success: false, error: `Only $${source.remaining.toFixed(2)} left in ${source.category_name}` };
+  }
+
+  const destination = budgets.find(budget => budget.category_name.toLowerCase() === toCategory.toLowerCase());
+
+  upsertCategoryBudgets(userId, [
+    {
+      id: source.id,
+      categoryName: source.category_name,
+      month,
+      monthlyLimit: source.monthly_limit,
+      reallocatedAmount: roundCents(source.reallocated_amount - amount),
+      isAutoGenerated: source.is_auto_generated === 1,
+    },
+    {
+      id: destination?.id || uuidv4(),
+      categoryName: destination?.category_name || toCategory,
+      month,
+      monthlyLimit: destination?.monthly_limit ?? 0,
+      reallocatedAmount: roundCents((destination?.reallocated_amount || 0) + amount),
+      isAutoGenerated: destination ? destination.is_auto_generated === 1 : false,
+    },
+  ]);
+
+  return { success: true, budgets: getBudgetsForMonth(userId, month) };
+}
+
+// iOS BudgetStatus raw values
+function budgetStatus(percentUsed, isOverBudget) {
+  if (isOverBudget) return 'Over Budget';
+  if (percentUsed >= 90) return 'Near Limit';
+  if (percentUsed >= 75) return 'Approaching Limit';
+  return 'On Track';
+}
+
+function withProgress(budget, currentSpent) {
+  const effectiveLimit = Math.max(roundCents(budget.monthly_limit + budget.rollover_amount + budget.reallocated_amount), 0);
+  const percentUsed = effectiveLimit > 0 ? (currentSpent / effectiveLimit) * 100 : 0;
+  const isOverBudget = currentSpent > effectiveLimit;
+
+  return {
+    ...budget,
+    effective_limit: effectiveLimit,
+    current_spent: Math.round(currentSpent * 100) / 100,
+    remaining: Math.max(Math.round((effectiveLimit - currentSpent) * 100) / 100, 0),
+    percent_used: percentUsed,
+    is_over_budget: isOverBudget,
+    status: budgetStatus(percentUsed, isOverBudget),
+  };
+}
+
+// Creates each missing month from the latest earlier month with budgets, one
+// month at a time so rollover amounts chain through gaps
+function rollBudgetsForward(userId, month) {
+  if (findCategoryBudgets(userId, month).length > 0) return;
+
+  let previousMonth = findLatestBudgetMonthBefore(userId, month);
+  if (!previousMonth) return;
+  refreshRolloverAmounts(userId, previousMonth);
+
+  while (previousMonth < month) {
+    const nextMonth = addMonths(`${previousMonth}-01`, 1).slice(0, 7);
+    const spending = monthlySpendingByCategory(userId, previousMonth);
+
+    upsertCategoryBudgets(userId, findCategoryBudgets(userId, previousMonth).map(budget => ({
+      id: uuidv4(),
+      categoryName: budget.category_name,
+      month: nextMonth,
+      monthlyLimit: budget.monthly_limit,
+      rolloverPolicy: budget.rollover_policy,
+      rolloverAmount: rolloverInto(budget, spending),
+      isAutoGenerated: budget.is_auto_generated === 1,
+    })));
+
+    console.log(`💰 [Budgets] Rolled budgets for user ${userId} from ${previousMonth} into ${nextMonth}`);
+    previousMonth = nextMonth;
+  }
+}
+
+// A month's rollover depends on the previous month's spending, which keeps changing
+// as late transactions sync, so it's recomputed on every read rather than fixed when
+// the month is created. Carrying categories chain back through earlier months
+function refreshRolloverAmounts(userId, month) {
+  const previousMonth = addMonths(`${month}-01`, -1).slice(0, 7);
+  let previousBudgets = findCategoryBudgets(userId, previousMonth);
+  if (previousBudgets.some(budget => budget.rollover_policy !== 'reset')) {
+    // What they carry depends on their own rollover, so that comes first
+    refreshRolloverAmounts(userId, previousMonth);
+    previousBudgets = findCategoryBudgets(userId, previousMonth);
+  }
+  if (previousBudgets.length === 0) return;
+
+  const spending = monthlySpendingByCategory(userId, previousMonth);
+  const carried = new Map(previousBudgets.map(budget => [budget.category_name.toLowerCase(), rolloverInto(budget, spending)]));
+
+  for (const budget of findCategoryBudgets(userId, month)) {
+    const rolloverAmount = carried.get(budget.category_name.toLowerCase());
+    if (rolloverAmount !== undefined && rolloverAmount !== budget.rollover_amount) {
+      updateCategoryBudgetRollover(budget.id, rolloverAmount);
+    }
+  }
+}
+
+// What a budget carries into the next month under its rollover policy
+function rolloverInto(budget, spending) {
+  const { effective_limit: effectiveLimit, current_spent: spent } = withProgress(
+    budget,
+    spending.get(budget.category_name.toLowerCase()) || 0
+  );
+
+  if (budget.rollover_policy === 'carry_surplus' && spent < effectiveLimit) {
+    return roundCents(effectiveLimit - spent);
+  }
+  if (budget.rollover_policy === 'carry_deficit' && spent > effectiveLimit) {
+    return roundCents(effectiveLimit - spent);
+  }
+  return 0;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, daysInMonth));
+  return target.toISOString().slice(0, 10);
+}
@@ -0,0 +1,171 @@
+// Which allocation bucket (Essential or Discretionary Spending) each expense
+// counts toward. Defaults come from the transaction's Plaid
+// personal_finance_category; users can override a category (a PFC primary or
+// detailed value, or a legacy category name) or a single merchant.
+
+import { isEssentialCategory, isEssentialSpending } from './transactionAnalyzer.js';
+import { findCategoryBucketMappings } from '../db/database.js';
+
+// AllocationBucketType raw values
+export const ESSENTIAL_BUCKET = 'Essential Spending';
+export const DISCRETIONARY_BUCKET = 'Discretionary Spending';
+export const SPENDING_BUCKETS = [ESSENTIAL_BUCKET, DISCRETIONARY_BUCKET];
+export const MAPPING_MATCH_TYPES = ['category', 'merchant'];
+
+// Shown on the recommendation's buckets when the user's spending has no categories yet
+export const DEFAULT_BUCKET_CATEGORY_NAMES = {
+  [ESSENTIAL_BUCKET]: ['Groceries', 'Rent', 'Mortgage', 'Utilities', 'Transportation', 'Insurance', 'Healthcare', 'Childcare'],
+  [DISCRETIONARY_BUCKET]: ['Entertainment', 'Dining', 'Shopping', 'Travel', 'Subscriptions', 'Hobbies'],
+};
+
+// Plaid personal_finance_category primary values; detailed values start with one of these
+const PFC_PRIMARY_CATEGORIES = [
+  'INCOME', 'TRANSFER_IN', 'TRANSFER_OUT', 'LOAN_PAYMENTS', 'BANK_FEES', 'ENTERTAINMENT',
+  'FOOD_AND_DRINK', 'GENERAL_MERCHANDISE', 'HOME_IMPROVEMENT', 'MEDICAL', 'PERSONAL_CARE',
+  'GENERAL_SERVICES', 'GOVERNMENT_AND_NON_PROFIT', 'TRANSPORTATION', 'TRAVEL', 'RENT_AND_UTILITIES',
+];
+
+// Category names (the app's display names and Plaid's legacy top-level categories)
+// that are essential when there's no PFC value to go on
+const ESSENTIAL_CATEGORY_NAMES = [
+  ...DEFAULT_BUCKET_CATEGORY_NAMES[ESSENTIAL_BUCKET],
+  'Bank Fees', 'Tax', 'Payment', 'Loan Payments', 'Medical', 'Rent and Utilities',
+].map(name => name.toUpperCase());
+
+/**
+ * Normalize a mapping's match value the way it's stored and compared
+ * @param {string} matchType - 'category' or 'merchant'
+ * @param {string} value - Category or merchant name
+ * @returns {string} Upper-cased category or lower-cased merchant
+ */
+export function normalizeMatchValue(matchType, value) {
+  const trimmed = value.trim().replace(/\s+/g, ' ');
+  return matchType === 'merchant' ? trimmed.toLowerCase() : trimmed.toUpperCase();
+}
+
+/**
+ * The bucket a category counts toward when the user hasn't overridden it
+ * @param {string} category - PFC primary or detailed value, or a category name
+ * @returns {string} ESSENTIAL_BUCKET or DISCRETIONARY_BUCKET
+ */
+export function defaultBucketForCategory(category) {
+  const value = normalizeMatchValue('category', category);
+  const primary = PFC_PRIMARY_CATEGORIES.find(candidate => value === candidate || value.startsWith(`${candidate}_`));
+  if (primary) {
+    return isEssentialCategory(primary, value === primary ? '' : value) ? ESSENTIAL_BUCKET : DISCRETIONARY_BUCKET;
+  }
+  return ESSENTIAL_CATEGORY_NAMES.includes(value) ? ESSENTIAL_BUCKET : DISCRETIONARY_BUCKET;
+}
+
+/**
+ * Resolve buckets against a set of overrides. Merchant overrides win over
+ * category overrides, a detailed category over its primary, and any override
+ * over the defaults
+ * @param {Array} mappings - category_bucket_mappings rows
+ * @returns {object} { bucketForTransaction(txn), bucketForCategory(name), isEssential(txn) }; the first two return { bucketType, source, mappingId }
+ */
+export function createBucketResolver(mappings = []) {
+  const categoryOverrides = new Map();
+  const merchantOverrides = new Map();
+  for (const mapping of mappings) {
+    (mapping.match_type === 'merchant' ? merchantOverrides : categoryOverrides).set(mapping.match_value, mapping);
+  }
+
+  const fromOverride = (mapping) => ({ bucketType: mapping.bucket_type, source: mapping.match_type, mappingId: mapping.id });
+
+  const bucketForCategory = (category) => {
+    const override = categoryOverrides.get(normalizeMatchValue('category', category));
+    if (override) return fromOverride(override);
+    return { bucketType: defaultBucketForCategory(category), source: 'default', mappingId: null };
+  };
+
+  const bucketForTransaction = (txn) => {
+    for (const merchant of [txn.merchant_name, txn.name]) {
+      const override = merchant && merchantOverrides.get(normalizeMatchValue('merchant', merchant));
+      if (override) return fromOverride(override);
+    }
+
+    // Most specific first: PFC detailed, PFC primary, then legacy categories from the deepest level up
+    const pfc = txn.personal_finance_category;
+    const categories = [pfc?.detailed, pfc?.primary, ...[...(txn.category || [])].reverse()].filter(Boolean);
+    for (const category of categories) {
+      const override = categoryOverrides.get(normalizeMatchValue('category', category));
+      if (override) return fromOverride(override);
+    }
+
+    return {
+      bucketType: isEssentialSpending(txn) ? ESSENTIAL_BUCKET : DISCRETIONARY_BUCKET,
+      source: 'default',
+      mappingId: null,
+    };
+  };
+
+  return {
+    bucketForTransaction,
+    bucketForCategory,
+    isEssential: (txn) => bucketForTransaction(txn).bucketType === ESSENTIAL_BUCKET,
+  };
+}
+
+/**
+ * Resolver for a user's overrides, or the defaults alone without a user
+ * @param {string|null} userId - User ID
+ * @returns {object} See createBucketResolver
+ */
+export function loadBucketResolver(userId) {
+  return createBucketResolver(userId ? findCategoryBucketMappings(userId) : []);
+}
+
+/**
+ * Split a { category: amount } breakdown between the spending buckets
+ * @param {object} categoryBreakdown - Spending per category name
+ * @param {object} resolver - See createBucketResolver
+ * @returns {object} { [bucketType]: { total, categories } }
+ */
+export function bucketCategoryBreakdown(categoryBreakdown, resolver) {
+  const buckets = Object.fromEntries(SPENDING_BUCKETS.map(bucketType => [bucketType, { total: 0, categories: [] }]));
+  for (const [category, amount] of Object.entries(categoryBreakdown)) {
+    const bucket = buckets[resolver.bucketForCategory(category).bucketType];
+    bucket.total += amount;
+    bucket.categories.push(category);
+  }
+  return buckets;
+}
+
+/**
+ * The categories a user actually spends in, each with the bucket it resolves to
+ * @param {Array} transactions - Expense transactions
+ * @param {object} resolver - See createBucketResolver
+ * @returns {Array} [{ category, detailedCategory, bucketType, source, mappingId, transactionCount, totalSpent }], largest first
+ */
+export function summarizeSpendingCategories(transactions, resolver) {
+  const categories = new Map();
+  for (const txn of transactions) {
+    const pfc = txn.personal_finance_category;
+    const category = pfc?.primary || txn.category?.[0] || 'Uncategorized';
+    const detailedCategory = pfc?.detailed || null;
+    const key = `${category}|${detailedCategory}`;
+
+    const entry = categories.get(key) || {
+      category,
+      detailedCategory,
+      ...resolver.bucketForCategory(detailedCategory || category),
+      transactionCount: 0,
+      totalSpent: 0,
+    };
+    entry.transactionCount += 1;
+    entry.totalSpent += Math.abs(txn.amount);
+    categories.set(key, entry);
+  }
+
+  // A detailed override applies to its own category; a primary override to all of its detailed ones
+  return [...categories.values()]
+    .map(entry => {
+      if (entry.source === 'default' && entry.detailedCategory) {
+        const primary = resolver.bucketForCategory(entry.category);
+        if (primary.source !== 'default') Object.assign(entry, primary);
+      }
+      return { ...entry, totalSpent: Math.round(entry.totalSpent * 100) / 100 };
+    })
+    .sort((a, b) => b.totalSpent - a.totalSpent);
+}
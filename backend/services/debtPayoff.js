@@ -0,0 +1,257 @@
+// Month-by-month debt payoff simulation over individual debts, each with its
+// own balance, APR and minimum payment.
+
+// Matches the 50-year cap the single-balance estimate has always used
+const MAX_MONTHS = 600;
+// Used when a debt has no rate or minimum on record
+const FALLBACK_APR = 0.18;
+
+// avalanche: highest APR first; snowball: smallest balance first; custom: the caller's order
+export const DEBT_PAYOFF_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+/**
+ * Pay every debt's minimum each month and put the rest of the monthly payment on
+ * one debt at a time, in the strategy's order. A paid-off debt's minimum rolls into the extra
+ * @param {Array} debts - [{ accountId, name, balance, apr (fraction), minimumPayment }]
+ * @param {number} monthlyPayment - Total paid toward debt each month (at least the sum of minimums is paid)
+ * @param {object} options - { strategy (default 'avalanche'), order: accountIds for 'custom', includeSchedule }
+ * @returns {object} { months, totalPaid, interestPaid, paysOff, order, debts: [{ accountId, name, paidOffMonth, interestPaid }], schedule? }
+ */
+export function simulateDebtPayoff(debts, monthlyPayment, { strategy = 'avalanche', order = [], includeSchedule = false } = {}) {
+  const accounts = orderAccounts(toAccounts(debts), strategy, order);
+
+  const totalMinimums = accounts.reduce((sum, account) => sum + account.minimumPayment, 0);
+  const budget = Math.max(monthlyPayment, totalMinimums);
+
+  const schedule = [];
+  let months = 0;
+  let totalPaid = 0;
+  while (accounts.some(account => account.balance > 0.005) && months < MAX_MONTHS) {
+    months++;
+    let available = budget;
+
+    for (const account of accounts) {
+      account.interest = 0;
+      account.payment = 0;
+      if (account.balance <= 0.005) continue;
+      account.interest = account.balance * (account.apr / 12);
+      account.balance += account.interest;
+      account.interestPaid += account.interest;
+    }
+
+    for (const account of accounts) {
+      if (account.balance <= 0.005) continue;
+      const payment = Math.min(account.minimumPayment, account.balance, available);
+      account.balance -= payment;
+      account.payment += payment;
+      available -= payment;
+    }
+
+    for (const account of accounts) {
+      if (account.balance <= 0.005 || available <= 0) continue;
+      const payment = Math.min(account.balance, available);
+      account.balance -= payment;
+      account.payment += payment;
+      available -= payment;
+    }
+
+    totalPaid += budget - available;
+    for (const account of accounts) {
+      if (account.balance <= 0.005 && account.paidOffMonth === null) {
+        account.paidOffMonth = months;
+      }
+    }
+    if (includeSchedule) schedule.push(scheduleEntry(months, accounts));
+  }
+
+  return summarize(accounts, months, totalPaid, includeSchedule ? schedule : null);
+}
+
+/**
+ * Pay only each debt's own minimum, with nothing rolled over. The baseline
+ * "interest saved" is measured against
+ * @param {Array} debts - Same shape as simulateDebtPayoff
+ * @param {object} options - { includeSchedule }
+ * @returns {object} Same shape as simulateDebtPayoff
+ */
+export function simulateMinimumPayments(debts, { includeSchedule = false } = {}) {
+  const accounts = toAccounts(debts);
+
+  const schedule = [];
+  let months = 0;
+  let totalPaid = 0;
+  while (accounts.some(account => account.balance > 0.005) && months < MAX_MONTHS) {
+    months++;
+    for (const account of accounts) {
+      account.interest = 0;
+      account.payment = 0;
+      if (account.balance <= 0.005) continue;
+      account.interest = account.balance * (account.apr / 12);
+      account.payment = Math.min(account.minimumPayment, account.balance + account.interest);
+      account.balance += account.interest - account.payment;
+      account.interestPaid += account.interest;
+      totalPaid += account.payment;
+      if (account.balance <= 0.005) {
+        account.paidOffMonth = months;
+      }
+    }
+    if (includeSchedule) schedule.push(scheduleEntry(months, accounts));
+  }
+
+  return summarize(accounts, months, totalPaid, includeSchedule ? schedule : null);
+}
+
+/**
+ * Run every payoff strategy side by side over the same debts and budget, each
+ * with a month-by-month schedule and the interest it saves over paying only minimums
+ * (null when either never pays the debts off)
+ * @param {Array} debts - Same shape as simulateDebtPayoff
+ * @param {number} monthlyBudget - Total paid toward debt each month
+ * @param {object} options - { customOrder: accountIds (debts left out follow in avalanche order), startMonth: 'YYYY-MM' of the first payment }
+ * @returns {object} { startMonth, totalMinimumPayment, minimumOnly, strategies: [...], recommendedStrategy }
+ */
+export function compareDebtPayoffStrategies(debts, monthlyBudget, { customOrder = [], startMonth }) {
+  const minimumOnly = simulateMinimumPayments(debts);
+  const strategies = DEBT_PAYOFF_STRATEGIES
+    .filter(strategy => strategy !== 'custom' || customOrder.length > 0)
+    .map(strategy => {
+      const payoff = simulateDebtPayoff(debts, monthlyBudget, { strategy, order: customOrder, includeSchedule: true });
+      return {
+        strategy,
+        order: payoff.order,
+        months: payoff.months,
+        payoffMonth: payoff.paysOff ? monthAt(startMonth, payoff.months) : null,
+        totalPaid: payoff.totalPaid,
+        interestPaid: payoff.interestPaid,
+        // A minimum that doesn't cover its interest never pays off, and the 50-year
+        // cap would make the comparison meaningless
+        interestSaved: minimumOnly.paysOff && payoff.paysOff ? Math.max(0, minimumOnly.interestPaid - payoff.interestPaid) : null,
+        paysOff: payoff.paysOff,
+        debts: payoff.debts.map(debt => ({
+          ...debt,
+          payoffMonth: debt.paidOffMonth !== null ? monthAt(startMonth, debt.paidOffMonth) : null,
+        })),
+        schedule: payoff.schedule.map(({ month, ...entry }) => ({ month, date: monthAt(startMonth, month), ...entry })),
+      };
+    });
+
+  // Least interest wins; ties go to whichever is debt-free sooner, then to the earlier strategy
+  const recommended = strategies.reduce((best, strategy) => (
+    strategy.interestPaid < best.interestPaid || (strategy.interestPaid === best.interestPaid && strategy.months < best.months)
+      ? strategy
+      : best
+  ));
+
+  return {
+    startMonth,
+    totalMinimumPayment: totalMinimumPayment(debts),
+    minimumOnly: {
+      months: minimumOnly.months,
+      payoffMonth: minimumOnly.paysOff ? monthAt(startMonth, minimumOnly.months) : null,
+      totalPaid: minimumOnly.totalPaid,
+      interestPaid: minimumOnly.paysOff ? minimumOnly.interestPaid : null,
+      paysOff: minimumOnly.paysOff,
+    },
+    strategies,
+    recommendedStrategy: recommended.strategy,
+  };
+}
+
+/**
+ * What the debts' minimum payments add up to each month
+ * @param {Array} debts - Same shape as simulateDebtPayoff
+ * @returns {number} Total, in dollars and cents
+ */
+export function totalMinimumPayment(debts) {
+  return roundCents(toAccounts(debts).reduce((sum, account) => sum + account.minimumPayment, 0));
+}
+
+/**
+ * Balance-weighted average APR
+ * @param {Array} debts - [{ balance, apr }]
+ * @returns {number|null} Fraction (e.g. 0.1875), or null with no debt
+ */
+export function weightedAverageApr(debts) {
+  const totalBalance = debts.reduce((sum, debt) => sum + debt.balance, 0);
+  if (totalBalance <= 0) return null;
+  return debts.reduce((sum, debt) => sum + debt.balance * (debt.apr ?? FALLBACK_APR), 0) / totalBalance;
+}
+
+function toAccounts(debts) {
+  return debts
+    .filter(debt => debt.balance > 0)
+    .map(debt => ({
+      accountId: debt.accountId,
+      name: debt.name,
+      apr: debt.apr ?? FALLBACK_APR,
+      minimumPayment: debt.minimumPayment ?? defaultMinimumPayment(debt.balance),
+      balance: debt.balance,
+      interestPaid: 0,
+      paidOffMonth: null,
+    }));
+}
+
+function orderAccounts(accounts, strategy, order) {
+  const avalanche = (a, b) => b.apr - a.apr || a.balance - b.balance;
+  if (strategy === 'snowball') {
+    return accounts.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+  }
+  if (strategy === 'custom') {
+    const rank = (account) => {
+      const index = order.indexOf(account.accountId);
+      return index === -1 ? order.length : index;
+    };
+    return accounts.sort((a, b) => rank(a) - rank(b) || avalanche(a, b));
+  }
+  return accounts.sort(avalanche);
+}
+
+function scheduleEntry(month, accounts) {
+  // Debts paid off in an earlier month drop out of the schedule
+  const payments = accounts.filter(account => account.payment > 0 || account.balance > 0.005).map(account => ({
+    accountId: account.accountId,
+    payment: roundCents(account.payment),
+    interest: roundCents(account.interest),
+    principal: roundCents(account.payment - account.interest),
+    balance: roundCents(Math.max(0, account.balance)),
+  }));
+  return {
+    month,
+    totalPayment: roundCents(accounts.reduce((sum, account) => sum + account.payment, 0)),
+    totalInterest: roundCents(accounts.reduce((sum, account) => sum + account.interest, 0)),
+    remainingBalance: roundCents(accounts.reduce((sum, account) => sum + Math.max(0, account.balance), 0)),
+    payments,
+  };
+}
+
+function summarize(accounts, months, totalPaid, schedule) {
+  return {
+    months,
+    totalPaid: Math.round(totalPaid),
+    interestPaid: Math.round(accounts.reduce((sum, account) => sum + account.interestPaid, 0)),
+    paysOff: accounts.every(account => account.paidOffMonth !== null),
+    order: accounts.map(account => account.accountId),
+    debts: accounts.map(account => ({
+      accountId: account.accountId,
+      name: account.name,
+      paidOffMonth: account.paidOffMonth,
+      interestPaid: Math.round(account.interestPaid),
+    })),
+    ...(schedule && { schedule }),
+  };
+}
+
+// 'YYYY-MM' of the nth payment, where payment 1 falls in startMonth
+function monthAt(startMonth, n) {
+  const [year, month] = startMonth.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + n - 1, 1)).toISOString().slice(0, 7);
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Same rule of thumb the single-balance estimate uses
+function defaultMinimumPayment(balance) {
+  return Math.max(balance * 0.03, 25);
+}
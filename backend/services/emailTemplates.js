@@ -0,0 +1,89 @@
+// Subject and body for each account email. Plain text is what every mail
+// client shows reliably, so the HTML versions carry the same words.
+
+/**
+ * @param {object} variables - { displayName, link, expiresInMinutes }
+ * @returns {object} { subject, text, html }
+ */
+export function passwordResetEmail({ displayName, link, expiresInMinutes }) {
+  const text = [
+    `Hi ${displayName || 'there'},`,
+    '',
+    'We received a request to reset your Financial Analyzer password. For your security, you have been signed out on all of your devices.',
+    '',
+    `Choose a new password here (the link works once and expires in ${expiresInMinutes} minutes):`,
+    link,
+    '',
+    "If you didn't ask for this, you can ignore this email. Your password hasn't changed.",
+  ].join('\n');
+
+  return {
+    subject: 'Reset your Financial Analyzer password',
+    text,
+    html: textToHtml(text, link),
+  };
+}
+
+/**
+ * @param {object} variables - { displayName, link, expiresInHours }
+ * @returns {object} { subject, text, html }
+ */
+export function emailVerificationEmail({ displayName, link, expiresInHours }) {
+  const text = [
+    `Hi ${displayName || 'there'},`,
+    '',
+    `Confirm this is your email address for Financial Analyzer (the link expires in ${expiresInHours} hours):`,
+    link,
+    '',
+    "If you didn't create an account, you can ignore this email.",
+  ].join('\n');
+
+  return {
+    subject: 'Confirm your email for Financial Analyzer',
+    text,
+    html: textToHtml(text, link),
+  };
+}
+
+/**
+ * Sent instead of a verification email when someone signs up with an address
+ * that already has an account
+ * @param {object} variables - { displayName }
+ * @returns {object} { subject, text, html }
+ */
+export function accountExistsEmail({ displayName }) {
+  const text = [
+    `Hi ${displayName || 'there'},`,
+    '',
+    'Someone just tried to create a Financial Analyzer account with this email address, but you already have one.',
+    '',
+    'If that was you, sign in instead. If you forgot your password, choose "Forgot password" on the sign-in screen.',
+    '',
+    "If it wasn't you, you can ignore this email. Nothing about your account has changed.",
+  ].join('\n');
+
+  return {
+    subject: 'You already have a Financial Analyzer account',
+    text,
+    html: textToHtml(text),
+  };
+}
+
+function textToHtml(text, link = null) {
+  return text
+    .split('\n\n')
+    .map(paragraph => {
+      const escaped = escapeHtml(paragraph).replace(/\n/g, '<br>');
+      if (!link) return `<p>${escaped}</p>`;
+      return `<p>${escaped.replace(escapeHtml(link), `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>`)}</p>`;
+    })
+    .join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
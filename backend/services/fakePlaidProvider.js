@@ -0,0 +1,692 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import * as jose from 'jose';
+
+// Offline stand-in for Plaid. Accounts and transactions come from a Plaid
+// custom sandbox user config (the format of testUserData.json and
+// plaid_custom_user_config.json); ids are derived by hashing, so the same
+// seed and public token always produce the same item.
+
+const FIXTURE_INSTITUTIONS = [
+  {
+    institution_id: 'ins_fake_chase',
+    name: 'Chase',
+    primary_color: '#117aca',
+    url: 'https://www.chase.com',
+  },
+  {
+    institution_id: 'ins_fake_ally',
+    name: 'Ally Bank',
+    primary_color: '#650360',
+    url: 'https://www.ally.com',
+  },
+  {
+    institution_id: 'ins_fake_fidelity',
+    name: 'Fidelity Investments',
+    primary_color: '#368727',
+    url: 'https://www.fidelity.com',
+  },
+].map(institution => ({
+  ...institution,
+  logo: null,
+  country_codes: ['US'],
+  products: ['transactions', 'auth', 'balance', 'liabilities'],
+  routing_numbers: [],
+  oauth: false,
+}));
+
+const DEFAULT_INSTITUTION_ID = FIXTURE_INSTITUTIONS[0].institution_id;
+
+// Used when PLAID_FAKE_SEED_FILE is not set
+const DEFAULT_SEED = {
+  version: 2,
+  seed: 'fake_plaid_default',
+  override_accounts: [
+    {
+      type: 'depository',
+      subtype: 'checking',
+      starting_balance: 2400,
+      meta: { name: 'Everyday Checking', official_name: 'Fake Bank Everyday Checking' },
+      transactions: [
+        { date_transacted: '2025-10-01', date_posted: '2025-10-01', amount: -2200, description: 'PAYROLL DEPOSIT - ACME CORP', currency: 'USD' },
+        { date_transacted: '2025-10-15', date_posted: '2025-10-15', amount: -2200, description: 'PAYROLL DEPOSIT - ACME CORP', currency: 'USD' },
+        { date_transacted: '2025-10-03', date_posted: '2025-10-03', amount: 1500, description: 'RENT PAYMENT - PROPERTYMANAGEMENT LLC', currency: 'USD' },
+        { date_transacted: '2025-10-05', date_posted: '2025-10-05', amount: 95, description: 'PACIFIC GAS & ELECTRIC', currency: 'USD' },
+        { date_transacted: '2025-10-06', date_posted: '2025-10-07', amount: 134.52, description: 'KROGER GROCERIES', currency: 'USD' },
+        { date_transacted: '2025-10-09', date_posted: '2025-10-09', amount: 6.75, description: 'STARBUCKS #2451', currency: 'USD' },
+        { date_transacted: '2025-10-12', date_posted: '2025-10-13', amount: 48.2, description: 'CHIPOTLE MEXICAN GRILL', currency: 'USD' },
+        { date_transacted: '2025-10-20', date_posted: '2025-10-20', amount: 300, description: 'CREDIT CARD PAYMENT - CHASE SAPPHIRE', currency: 'USD' },
+      ],
+    },
+    {
+      type: 'credit',
+      subtype: 'credit card',
+      starting_balance: 640,
+      meta: { name: 'Rewards Card', official_name: 'Fake Bank Rewards Credit Card', limit: 5000 },
+      transactions: [
+        { date_transacted: '2025-10-04', date_posted: '2025-10-05', amount: 62.1, description: 'SHELL GAS STATION', currency: 'USD' },
+        { date_transacted: '2025-10-11', date_posted: '2025-10-12', amount: 15.99, description: 'NETFLIX', currency: 'USD' },
+        { date_transacted: '2025-10-18', date_posted: '2025-10-19', amount: 89.99, description: 'AMAZON.COM', currency: 'USD' },
+        { date_transacted: '2025-10-20', date_posted: '2025-10-21', amount: -300, description: 'PAYMENT - THANK YOU', currency: 'USD' },
+      ],
+    },
+  ],
+};
+
+// First match wins: [pattern, primary, detailed, legacy category, payment channel]
+const CATEGORY_RULES = [
+  [/PAYROLL|BONUS PAYMENT/, 'INCOME', 'INCOME_WAGES', ['Transfer', 'Payroll'], 'other'],
+  [/DIVIDEND/, 'INCOME', 'INCOME_DIVIDENDS', ['Transfer', 'Deposit'], 'other'],
+  [/INTEREST PAYMENT/, 'INCOME', 'INCOME_INTEREST_EARNED', ['Interest', 'Interest Earned'], 'other'],
+  [/CREDIT CARD PAYMENT|PAYMENT - THANK YOU/, 'LOAN_PAYMENTS', 'LOAN_PAYMENTS_CREDIT_CARD_PAYMENT', ['Payment', 'Credit Card'], 'other'],
+  [/EMPLOYEE CONTRIBUTION|EMPLOYER MATCH|MONTHLY CONTRIBUTION|AUTO INVESTMENT|^BUY - /, 'TRANSFER_IN', 'TRANSFER_IN_INVESTMENT_AND_RETIREMENT_FUNDS', ['Transfer', 'Deposit'], 'other'],
+  [/TRANSFER TO (EMERGENCY|SHORT-TERM)/, 'TRANSFER_OUT', 'TRANSFER_OUT_SAVINGS', ['Transfer', 'Savings'], 'other'],
+  [/TRANSFER TO/, 'TRANSFER_OUT', 'TRANSFER_OUT_ACCOUNT_TRANSFER', ['Transfer', 'Debit'], 'other'],
+  [/TRANSFER FROM|MONTHLY TRANSFER|FUNDING/, 'TRANSFER_IN', 'TRANSFER_IN_ACCOUNT_TRANSFER', ['Transfer', 'Credit'], 'other'],
+  [/RENT PAYMENT/, 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_RENT', ['Payment', 'Rent'], 'other'],
+  [/GAS & ELECTRIC/, 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_GAS_AND_ELECTRICITY', ['Service', 'Utilities', 'Gas'], 'other'],
+  [/WATER/, 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_WATER', ['Service', 'Utilities', 'Water'], 'other'],
+  [/INTERNET|COMCAST/, 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_INTERNET_AND_CABLE', ['Service', 'Cable'], 'online'],
+  [/INSURANCE/, 'GENERAL_SERVICES', 'GENERAL_SERVICES_INSURANCE', ['Service', 'Insurance'], 'online'],
+  [/NETFLIX/, 'ENTERTAINMENT', 'ENTERTAINMENT_TV_AND_MOVIES', ['Service', 'Subscription'], 'online'],
+  [/SPOTIFY/, 'ENTERTAINMENT', 'ENTERTAINMENT_MUSIC_AND_AUDIO', ['Service', 'Subscription'], 'online'],
+  [/ICLOUD/, 'GENERAL_SERVICES', 'GENERAL_SERVICES_OTHER_GENERAL_SERVICES', ['Service', 'Subscription'], 'online'],
+  [/GROCER|KROGER|SAFEWAY|SPROUTS|TRADER JOE|WHOLE FOODS|COSTCO/, 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_GROCERIES', ['Shops', 'Supermarkets and Groceries'], 'in store'],
+  [/STARBUCKS|COFFEE/, 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_COFFEE', ['Food and Drink', 'Restaurants', 'Coffee Shop'], 'in store'],
+  [/RESTAURANT|DINING|DINNER|BRUNCH|CHIPOTLE|PANERA/, 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_RESTAURANT', ['Food and Drink', 'Restaurants'], 'in store'],
+  [/GAS STATION|CHEVRON|SHELL/, 'TRANSPORTATION', 'TRANSPORTATION_GAS', ['Travel', 'Gas Stations'], 'in store'],
+  [/UBER|LYFT/, 'TRANSPORTATION', 'TRANSPORTATION_TAXIS_AND_RIDE_SHARES', ['Travel', 'Taxi'], 'online'],
+  [/CAR WASH|AUTO PARTS/, 'GENERAL_SERVICES', 'GENERAL_SERVICES_AUTOMOTIVE', ['Service', 'Automotive'], 'in store'],
+  [/AIRLINE/, 'TRAVEL', 'TRAVEL_FLIGHTS', ['Travel', 'Airlines and Aviation Services'], 'online'],
+  [/HOTEL/, 'TRAVEL', 'TRAVEL_LODGING', ['Travel', 'Lodging'], 'in store'],
+  [/PHARMACY|CVS/, 'MEDICAL', 'MEDICAL_PHARMACIES_AND_SUPPLEMENTS', ['Shops', 'Pharmacies'], 'in store'],
+  [/GYM/, 'PERSONAL_CARE', 'PERSONAL_CARE_GYMS_AND_FITNESS_CENTERS', ['Recreation', 'Gyms and Fitness Centers'], 'in store'],
+  [/SPA/, 'PERSONAL_CARE', 'PERSONAL_CARE_OTHER_PERSONAL_CARE', ['Service', 'Personal Care'], 'in store'],
+  [/MOVIE|CONCERT/, 'ENTERTAINMENT', 'ENTERTAINMENT_SPORTING_EVENTS_AMUSEMENT_PARKS_AND_MUSEUMS', ['Recreation', 'Arts and Entertainment'], 'in store'],
+  [/HOME DEPOT/, 'HOME_IMPROVEMENT', 'HOME_IMPROVEMENT_HARDWARE', ['Shops', 'Hardware Store'], 'in store'],
+  [/AMAZON|ONLINE/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_ONLINE_MARKETPLACES', ['Shops', 'Digital Purchase'], 'online'],
+  [/ELECTRONICS|BEST BUY/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_ELECTRONICS', ['Shops', 'Computers and Electronics'], 'in store'],
+  [/CLOTHING|SHOES/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_CLOTHING_AND_ACCESSORIES', ['Shops', 'Clothing and Accessories'], 'in store'],
+  [/SPORTING GOODS/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_SPORTING_GOODS', ['Shops', 'Sporting Goods'], 'in store'],
+  [/BOOKSTORE/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_BOOKSTORES_AND_NEWSSTANDS', ['Shops', 'Bookstores'], 'in store'],
+  [/TARGET/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_SUPERSTORES', ['Shops', 'Department Stores'], 'in store'],
+  [/REFUND/, 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_OTHER_GENERAL_MERCHANDISE', ['Shops'], 'online'],
+];
+
+const FALLBACK_CATEGORY = ['GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_OTHER_GENERAL_MERCHANDISE', ['Shops'], 'other'];
+const NON_MERCHANT_PRIMARIES = ['INCOME', 'TRANSFER_IN', 'TRANSFER_OUT', 'LOAN_PAYMENTS'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SYNC_COUNT = 500;
+
+// Codes fireSandboxWebhook accepts, and the webhook_type Plaid sends them under
+const SANDBOX_WEBHOOK_TYPES = {
+  DEFAULT_UPDATE: 'TRANSACTIONS',
+  SYNC_UPDATES_AVAILABLE: 'TRANSACTIONS',
+  ITEM_LOGIN_REQUIRED: 'ITEM',
+  ERROR: 'ITEM',
+  PENDING_EXPIRATION: 'ITEM',
+  NEW_ACCOUNTS_AVAILABLE: 'ITEM',
+  LOGIN_REPAIRED: 'ITEM',
+  USER_PERMISSION_REVOKED: 'ITEM',
+};
+
+function hashId(...parts) {
+  return crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+}
+
+function plaidError(errorType, errorCode, message, status = 400) {
+  const error = new Error(message);
+  error.response = {
+    status,
+    data: {
+      error_type: errorType,
+      error_code: errorCode,
+      error_message: message,
+      display_message: null,
+    },
+  };
+  return error;
+}
+
+function loadSeed(seedFile) {
+  if (!seedFile) {
+    return DEFAULT_SEED;
+  }
+  const resolved = path.resolve(seedFile);
+  const seed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  if (!Array.isArray(seed.override_accounts)) {
+    throw new Error(`Fake Plaid seed ${resolved} has no override_accounts array`);
+  }
+  console.log(`🧪 [FakePlaid] Loaded ${seed.override_accounts.length} account(s) from ${resolved}`);
+  return seed;
+}
+
+// Offset (in days) that moves the newest seeded transaction onto the anchor date
+function anchorOffsetDays(seed, anchorDate) {
+  if (!anchorDate) {
+    return 0;
+  }
+  const anchor = anchorDate === 'today' ? new Date().toISOString().slice(0, 10) : anchorDate;
+  const latest = seed.override_accounts
+    .flatMap(account => account.transactions || [])
+    .map(txn => txn.date_posted || txn.date_transacted)
+    .sort()
+    .pop();
+  if (!latest) {
+    return 0;
+  }
+  return Math.round((Date.parse(anchor) - Date.parse(latest)) / DAY_MS);
+}
+
+function shiftDate(date, offsetDays) {
+  if (!date || offsetDays === 0) {
+    return date || null;
+  }
+  return new Date(Date.parse(date) + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+function categorize(description) {
+  const upper = description.toUpperCase();
+  const rule = CATEGORY_RULES.find(([pattern]) => pattern.test(upper));
+  return rule ? rule.slice(1) : FALLBACK_CATEGORY;
+}
+
+function merchantNameFor(description, primary) {
+  if (NON_MERCHANT_PRIMARIES.includes(primary)) {
+    return null;
+  }
+  return description
+    .split(' - ')[0]
+    .replace(/\s+(#\S+|T-\d+)$/, '')
+    .toLowerCase()
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function buildAccounts(seed, itemId) {
+  return seed.override_accounts.map((config, index) => {
+    const hash = hashId(seed.seed, itemId, 'account', index);
+    const current = config.starting_balance ?? 0;
+    const limit = config.meta?.limit ?? null;
+
+    return {
+      account_id: `acc_${hash.slice(0, 24)}`,
+      balances: {
+        available: config.type === 'credit' ? (limit !== null ? limit - current : null) : current,
+        current,
+        limit,
+        iso_currency_code: 'USD',
+        unofficial_currency_code: null,
+      },
+      mask: String(parseInt(hash.slice(24, 32), 16) % 10000).padStart(4, '0'),
+      name: config.meta?.name || `${config.subtype} account`,
+      official_name: config.meta?.official_name || null,
+      type: config.type,
+      subtype: config.subtype,
+    };
+  });
+}
+
+// Plaid custom user configs can give an account a `liability` block (purchase_apr,
+// interest_rate, minimum_payment_amount, ...); anything missing gets a typical value
+const DEFAULT_LIABILITY_APRS = { credit: 22.99, student: 5.5, mortgage: 6.5 };
+
+function liabilityTypeFor(config) {
+  if (config.type === 'credit') return 'credit';
+  if (config.type === 'loan' && config.subtype === 'student') return 'student';
+  if (config.type === 'loan' && config.subtype === 'mortgage') return 'mortgage';
+  return null;
+}
+
+function buildLiabilities(seed, accounts, offsetDays) {
+  const liabilities = { credit: [], student: [], mortgage: [] };
+  const latest = seed.override_accounts
+    .flatMap(account => account.transactions || [])
+    .map(txn => txn.date_posted || txn.date_transacted)
+    .sort()
+    .pop() || new Date().toISOString().slice(0, 10);
+  const statementDate = shiftDate(latest, offsetDays);
+  const dueDate = shiftDate(statementDate, 25);
+
+  seed.override_accounts.forEach((config, index) => {
+    const type = liabilityTypeFor(config);
+    if (!type) return;
+
+    const liability = config.liability || {};
+    const account = accounts[index];
+    const balance = account.balances.current;
+
+    if (type === 'credit') {
+      const purchaseApr = liability.purchase_apr ?? DEFAULT_LIABILITY_APRS.credit;
+      liabilities.credit.push({
+        account_id: account.account_id,
+        aprs: [{
+          apr_percentage: purchaseApr,
+          apr_type: 'purchase_apr',
+          balance_subject_to_apr: balance,
+          interest_charge_amount: Math.round(balance * purchaseApr / 12) / 100,
+        }],
+        is_overdue: false,
+        last_payment_amount: liability.last_payment_amount ?? null,
+        last_payment_date: null,
+        last_statement_issue_date: statementDate,
+        last_statement_balance: balance,
+        minimum_payment_amount: liability.minimum_payment_amount ?? Math.round(Math.max(balance * 0.025, 25) * 100) / 100,
+        next_payment_due_date: dueDate,
+      });
+    } else if (type === 'student') {
+      liabilities.student.push({
+        account_id: account.account_id,
+        interest_rate_percentage: liability.interest_rate ?? DEFAULT_LIABILITY_APRS.student,
+        is_overdue: false,
+        last_payment_amount: liability.last_payment_amount ?? null,
+        last_statement_issue_date: statementDate,
+        last_statement_balance: balance,
+        minimum_payment_amount: liability.minimum_payment_amount ?? Math.round((balance / 120) * 100) / 100,
+        next_payment_due_date: dueDate,
+        loan_name: config.meta?.name || null,
+        origination_principal_amount: liability.principal ?? null,
+      });
+    } else {
+      // 30-year fixed-rate payment on the current balance
+      const rate = liability.interest_rate ?? DEFAULT_LIABILITY_APRS.mortgage;
+      const monthlyRate = rate / 100 / 12;
+      const monthlyPayment = (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -360));
+      liabilities.mortgage.push({
+        account_id: account.account_id,
+        interest_rate: { percentage: rate, type: 'fixed' },
+        last_payment_amount: liability.last_payment_amount ?? null,
+        next_monthly_payment: liability.minimum_payment_amount ?? Math.round(monthlyPayment * 100) / 100,
+        next_payment_due_date: dueDate,
+        past_due_amount: 0,
+        origination_principal_amount: liability.principal ?? null,
+      });
+    }
+  });
+
+  return liabilities;
+}
+
+function buildTransactions(seed, itemId, accounts, offsetDays) {
+  return seed.override_accounts.flatMap((config, accountIndex) =>
+    (config.transactions || []).map((txn, txnIndex) => {
+      const [primary, detailed, legacyCategory, paymentChannel] = categorize(txn.description);
+      return buildTransaction({
+        transactionId: `txn_${hashId(seed.seed, itemId, 'transaction', accountIndex, txnIndex).slice(0, 32)}`,
+        accountId: accounts[accountIndex].account_id,
+        amount: txn.amount,
+        currency: txn.currency,
+        date: shiftDate(txn.date_posted || txn.date_transacted, offsetDays),
+        authorizedDate: shiftDate(txn.date_transacted, offsetDays),
+        description: txn.description,
+        primary,
+        detailed,
+        legacyCategory,
+        paymentChannel,
+      });
+    })
+  );
+}
+
+function buildTransaction({ transactionId, accountId, amount, currency, date, authorizedDate, description, primary, detailed, legacyCategory, paymentChannel }) {
+  return {
+    transaction_id: transactionId,
+    account_id: accountId,
+    amount,
+    iso_currency_code: currency || 'USD',
+    unofficial_currency_code: null,
+    date,
+    authorized_date: authorizedDate || date,
+    datetime: null,
+    authorized_datetime: null,
+    name: description,
+    merchant_name: merchantNameFor(description, primary),
+    merchant_entity_id: null,
+    logo_url: null,
+    website: null,
+    payment_channel: paymentChannel,
+    pending: false,
+    pending_transaction_id: null,
+    account_owner: null,
+    category: legacyCategory,
+    category_id: null,
+    personal_finance_category: { primary, detailed, confidence_level: 'VERY_HIGH' },
+    location: {
+      address: null, city: null, region: null, postal_code: null,
+      country: null, lat: null, lon: null, store_number: null,
+    },
+    payment_meta: {
+      by_order_of: null, payee: null, payer: null, payment_method: null,
+      payment_processor: null, ppd_id: null, reason: null, reference_number: null,
+    },
+    transaction_code: null,
+    transaction_type: paymentChannel === 'other' ? 'special' : 'place',
+    counterparties: [],
+  };
+}
+
+/**
+ * Deterministic offline Plaid provider
+ * @param {object} options - { seedFile: custom user config path, anchorDate: YYYY-MM-DD or 'today',
+ *   webhookUrl: where fireSandboxWebhook delivers signed webhooks }
+ * @returns {object} Plaid provider (see plaidProvider.js), plus fake-only helpers
+ */
+export function createFakePlaidProvider({ seedFile, anchorDate, webhookUrl } = {}) {
+  const seed = loadSeed(seedFile);
+  const offsetDays = anchorOffsetDays(seed, anchorDate);
+  const items = new Map(); // access token -> item state
+  const removedTokens = new Set();
+  let requestCount = 0;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const webhookKeyId = `fake-key-${hashId(seed.seed, 'webhook').slice(0, 12)}`;
+  const webhookJwk = { ...publicKey.export({ format: 'jwk' }), alg: 'ES256', kid: webhookKeyId, use: 'sig' };
+
+  const requestId = () => `fake-req-${++requestCount}`;
+  const respond = (body) => Promise.resolve({ ...body, request_id: requestId() });
+
+  function createItemState(institutionId, nonce) {
+    const itemId = `item-fake-${nonce}`;
+    const accounts = buildAccounts(seed, itemId);
+    const events = buildTransactions(seed, itemId, accounts, offsetDays)
+      .map(transaction => ({ kind: 'added', transaction }));
+    return { itemId, institutionId, accounts, events, loginRequired: false };
+  }
+
+  // Rebuild state on demand so access tokens stored before a restart keep working
+  function getItemState(accessToken, { allowLoginRequired = false } = {}) {
+    const match = /^access-fake-(.+)-([0-9a-f]{16})$/.exec(accessToken || '');
+    if (!match || removedTokens.has(accessToken)) {
+      throw plaidError('INVALID_INPUT', 'INVALID_ACCESS_TOKEN', 'provided access token is in an invalid format or was removed');
+    }
+    if (!items.has(accessToken)) {
+      items.set(accessToken, createItemState(match[1], match[2]));
+    }
+    const state = items.get(accessToken);
+    if (state.loginRequired && !allowLoginRequired) {
+      throw plaidError('ITEM_ERROR', 'ITEM_LOGIN_REQUIRED', 'the login details of this item have changed', 400);
+    }
+    return state;
+  }
+
+  function currentTransactions(state) {
+    const byId = new Map();
+    for (const { kind, transaction } of state.events) {
+      if (kind === 'removed') {
+        byId.delete(transaction.transaction_id);
+      } else {
+        byId.set(transaction.transaction_id, transaction);
+      }
+    }
+    return [...byId.values()];
+  }
+
+  function itemPayload(state) {
+    return {
+      item_id: state.itemId,
+      institution_id: state.institutionId,
+      webhook: null,
+      error: state.loginRequired
+        ? { error_type: 'ITEM_ERROR', error_code: 'ITEM_LOGIN_REQUIRED', error_message: 'the login details of this item have changed' }
+        : null,
+      available_products: ['balance'],
+      billed_products: ['transactions'],
+      products: ['transactions'],
+      consent_expiration_time: null,
+      update_type: 'background',
+    };
+  }
+
+  function sandboxWebhookBody(state, webhookCode) {
+    const body = {
+      webhook_type: SANDBOX_WEBHOOK_TYPES[webhookCode],
+      webhook_code: webhookCode,
+      item_id: state.itemId,
+      environment: 'sandbox',
+    };
+    if (webhookCode === 'SYNC_UPDATES_AVAILABLE') {
+      return { ...body, initial_update_complete: true, historical_update_complete: true };
+    }
+    if (webhookCode === 'DEFAULT_UPDATE') {
+      return { ...body, new_transactions: 0, error: null };
+    }
+    if (webhookCode === 'ERROR' || webhookCode === 'ITEM_LOGIN_REQUIRED') {
+      return { ...body, error: itemPayload({ ...state, loginRequired: true }).error };
+    }
+    if (webhookCode === 'PENDING_EXPIRATION') {
+      return { ...body, consent_expiration_time: new Date(Date.now() + 7 * DAY_MS).toISOString() };
+    }
+    return body;
+  }
+
+  // Like Plaid, deliver after the fire call has returned; a failed delivery is
+  // only logged, since Plaid doesn't report those to the caller either
+  async function deliverWebhook(body) {
+    const verification = await signWebhook(body);
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Plaid-Verification': verification },
+      body: JSON.stringify(body, null, 2),
+    });
+    if (!response.ok) {
+      throw new Error(`webhook endpoint responded ${response.status}`);
+    }
+  }
+
+  function signWebhook(body) {
+    const bodyHash = crypto.createHash('sha256').update(JSON.stringify(body, null, 2)).digest('hex');
+    return new jose.SignJWT({ request_body_sha256: bodyHash })
+      .setProtectedHeader({ alg: 'ES256', kid: webhookKeyId, typ: 'JWT' })
+      .setIssuedAt()
+      .sign(privateKey);
+  }
+
+  function findInstitution(institutionId) {
+    const institution = FIXTURE_INSTITUTIONS.find(i => i.institution_id === institutionId);
+    if (!institution) {
+      throw plaidError('INVALID_INPUT', 'INVALID_INSTITUTION', `institution ${institutionId} does not exist`);
+    }
+    return institution;
+  }
+
+  return {
+    name: 'fake',
+
+    async createLinkToken(config) {
+      if (!config?.user?.client_user_id) {
+        throw plaidError('INVALID_REQUEST', 'MISSING_FIELDS', 'user.client_user_id is required');
+      }
+      if (config.access_token) {
+        getItemState(config.access_token, { allowLoginRequired: true });
+      }
+      const mode = config.access_token ? 'update' : 'create';
+      return respond({
+        link_token: `link-fake-${mode}-${hashId(config.user.client_user_id, requestCount).slice(0, 16)}`,
+        expiration: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
+      });
+    },
+
+    async exchangePublicToken(publicToken) {
+      if (!publicToken) {
+        throw plaidError('INVALID_REQUEST', 'MISSING_FIELDS', 'public_token is required');
+      }
+      const match = /^public-fake-(.+)-([0-9a-f]{16})$/.exec(publicToken);
+      const institutionId = match ? match[1] : DEFAULT_INSTITUTION_ID;
+      const nonce = match ? match[2] : hashId(seed.seed, publicToken).slice(0, 16);
+      findInstitution(institutionId);
+
+      const accessToken = `access-fake-${institutionId}-${nonce}`;
+      const state = getItemState(accessToken, { allowLoginRequired: true });
+      return respond({ access_token: accessToken, item_id: state.itemId });
+    },
+
+    async getItem(accessToken) {
+      const state = getItemState(accessToken, { allowLoginRequired: true });
+      return respond({ item: itemPayload(state) });
+    },
+
+    async getInstitution(institutionId) {
+      return respond({ institution: findInstitution(institutionId) });
+    },
+
+    async getAccounts(accessToken) {
+      const state = getItemState(accessToken);
+      return respond({ accounts: state.accounts, item: itemPayload(state) });
+    },
+
+    async getBalance(accessToken) {
+      const state = getItemState(accessToken);
+      return respond({ accounts: state.accounts, item: itemPayload(state) });
+    },
+
+    async getLiabilities(accessToken) {
+      const state = getItemState(accessToken);
+      const liabilities = buildLiabilities(seed, state.accounts, offsetDays);
+      const liabilityAccountIds = new Set(Object.values(liabilities).flat().map(liability => liability.account_id));
+      if (liabilityAccountIds.size === 0) {
+        throw plaidError('ITEM_ERROR', 'NO_LIABILITY_ACCOUNTS', 'the item has no liability accounts');
+      }
+      return respond({
+        accounts: state.accounts.filter(account => liabilityAccountIds.has(account.account_id)),
+        liabilities,
+        item: itemPayload(state),
+      });
+    },
+
+    async getTransactions(accessToken, startDate, endDate, options = {}) {
+      const state = getItemState(accessToken);
+      const count = options.count ?? 100;
+      const offset = options.offset ?? 0;
+      const matching = currentTransactions(state)
+        .filter(t => t.date >= startDate && t.date <= endDate)
+        .filter(t => !options.account_ids || options.account_ids.includes(t.account_id))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.transaction_id.localeCompare(b.transaction_id));
+
+      return respond({
+        accounts: state.accounts,
+        transactions: matching.slice(offset, offset + count),
+        total_transactions: matching.length,
+        item: itemPayload(state),
+      });
+    },
+
+    async syncTransactions(accessToken, cursor, count = 100) {
+      const state = getItemState(accessToken);
+      let position = 0;
+      if (cursor) {
+        const match = /^fake-cursor-(\d+)$/.exec(cursor);
+        if (!match || Number(match[1]) > state.events.length) {
+          throw plaidError('INVALID_INPUT', 'INVALID_FIELD', 'cursor is not valid for this item');
+        }
+        position = Number(match[1]);
+      }
+
+      const page = state.events.slice(position, position + Math.min(count, MAX_SYNC_COUNT));
+      const next = position + page.length;
+
+      return respond({
+        added: page.filter(e => e.kind === 'added').map(e => e.transaction),
+        modified: page.filter(e => e.kind === 'modified').map(e => e.transaction),
+        removed: page.filter(e => e.kind === 'removed').map(e => ({
+          transaction_id: e.transaction.transaction_id,
+          account_id: e.transaction.account_id,
+        })),
+        next_cursor: `fake-cursor-${next}`,
+        has_more: next < state.events.length,
+        accounts: state.accounts,
+      });
+    },
+
+    async refreshTransactions(accessToken) {
+      getItemState(accessToken);
+      return respond({});
+    },
+
+    async removeItem(accessToken) {
+      getItemState(accessToken, { allowLoginRequired: true });
+      items.delete(accessToken);
+      removedTokens.add(accessToken);
+      return respond({});
+    },
+
+    async getWebhookVerificationKey(keyId) {
+      if (keyId !== webhookKeyId) {
+        throw plaidError('INVALID_INPUT', 'INVALID_FIELD', `no webhook verification key with id ${keyId}`);
+      }
+      return respond({ key: { ...webhookJwk, created_at: 0, expired_at: null } });
+    },
+
+    async createSandboxPublicToken(institutionId = DEFAULT_INSTITUTION_ID) {
+      findInstitution(institutionId);
+      return respond({
+        public_token: `public-fake-${institutionId}-${crypto.randomBytes(8).toString('hex')}`,
+      });
+    },
+
+    async fireSandboxWebhook(accessToken, webhookCode = 'DEFAULT_UPDATE') {
+      const state = getItemState(accessToken, { allowLoginRequired: true });
+      if (!Object.hasOwn(SANDBOX_WEBHOOK_TYPES, webhookCode)) {
+        throw plaidError('INVALID_INPUT', 'INVALID_FIELD', `webhook_code must be one of ${Object.keys(SANDBOX_WEBHOOK_TYPES).join(', ')}`);
+      }
+      if (!webhookUrl) {
+        throw plaidError('INVALID_INPUT', 'INVALID_FIELD', 'no webhook URL is configured for this item');
+      }
+
+      const body = sandboxWebhookBody(state, webhookCode);
+      setImmediate(() => {
+        deliverWebhook(body).catch(error => {
+          console.warn(`⚠️ [FakePlaid] Delivering ${webhookCode} webhook to ${webhookUrl} failed: ${error.message}`);
+        });
+      });
+      return respond({ webhook_fired: true });
+    },
+
+    async resetSandboxLogin(accessToken) {
+      getItemState(accessToken, { allowLoginRequired: true }).loginRequired = true;
+      return respond({ reset_login: true });
+    },
+
+    // ----- Fake-only helpers (not part of the provider interface) -----
+
+    /**
+     * Append transactions that the next sync will report as added
+     * @param {string} accessToken - Item access token
+     * @param {Array<object>} transactions - { account_id?, amount, date, description }
+     * @returns {Array<object>} The Plaid-shaped transactions that were added
+     */
+    addSandboxTransactions(accessToken, transactions) {
+      const state = getItemState(accessToken, { allowLoginRequired: true });
+      return transactions.map((txn) => {
+        const [primary, detailed, legacyCategory, paymentChannel] = categorize(txn.description);
+        const transaction = buildTransaction({
+          transactionId: `txn_${hashId(seed.seed, state.itemId, 'added', state.events.length).slice(0, 32)}`,
+          accountId: txn.account_id || state.accounts[0].account_id,
+          amount: txn.amount,
+          currency: txn.currency,
+          date: txn.date,
+          authorizedDate: txn.date,
+          description: txn.description,
+          primary,
+          detailed,
+          legacyCategory,
+          paymentChannel,
+        });
+        state.events.push({ kind: 'added', transaction });
+        return transaction;
+      });
+    },
+
+    repairSandboxLogin(accessToken) {
+      getItemState(accessToken, { allowLoginRequired: true }).loginRequired = false;
+    },
+
+    /**
+     * Produce a Plaid-Verification header for a webhook body, signed with the
+     * key getWebhookVerificationKey serves
+     * @param {object} body - Webhook body
+     * @returns {Promise<string>} Signed JWT
+     */
+    signWebhook,
+  };
+}
@@ -0,0 +1,134 @@
+// Goal defaults and pace tracking. Goal types, priorities and their default
+// icons and colors mirror the iOS GoalType and GoalPriority enums.
+
+import { findGoals, findGoalTransactions } from '../db/database.js';
+
+export const GOAL_TYPES = {
+  'Emergency Fund': { icon: 'cross.case.fill', color: '#FF3B30' },
+  Vacation: { icon: 'airplane', color: '#FF9500' },
+  'Debt Payoff': { icon: 'creditcard.fill', color: '#FF2D55' },
+  'Home Down Payment': { icon: 'house.fill', color: '#5856D6' },
+  'Car Purchase': { icon: 'car.fill', color: '#007AFF' },
+  Education: { icon: 'graduationcap.fill', color: '#34C759' },
+  Retirement: { icon: 'chart.line.uptrend.xyaxis', color: '#5AC8FA' },
+  Investment: { icon: 'dollarsign.circle.fill', color: '#32ADE6' },
+  Wedding: { icon: 'heart.fill', color: '#FF2D55' },
+  Other: { icon: 'target', color: '#8E8E93' },
+};
+
+// In sort order (GoalPriority.sortOrder)
+export const GOAL_PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Pace is measured over the last 90 days, or since the goal was created if that
+// is sooner (but never less than 30 days, so one early deposit isn't extrapolated)
+const MAX_PACE_WINDOW_DAYS = 90;
+const MIN_PACE_WINDOW_DAYS = 30;
+const DAYS_PER_MONTH = 30.44;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How a goal is tracking against its target date
+ * @param {object} goal - Row from goals
+ * @param {Array} transactions - The goal's goal_transactions rows
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } (defaults to today)
+ * @returns {object} { status, monthlyPace, requiredMonthlyContribution, monthsRemaining, projectedCompletionDate }
+ *   status is completed, on_track, behind or no_target_date
+ */
+export function calculateGoalPace(goal, transactions, { asOf } = {}) {
+  const today = asOf || new Date().toISOString().slice(0, 10);
+  const remaining = Math.max(goal.target_amount - goal.current_amount, 0);
+
+  const windowDays = Math.min(
+    Math.max(daysBetween(goal.created_at.slice(0, 10), today), MIN_PACE_WINDOW_DAYS),
+    MAX_PACE_WINDOW_DAYS
+  );
+  const windowStart = addDays(today, -windowDays);
+  const netContributions = transactions
+    .filter(txn => txn.occurred_at.slice(0, 10) > windowStart && txn.occurred_at.slice(0, 10) <= today)
+    .reduce((sum, txn) => sum + (txn.type === 'withdrawal' ? -txn.amount : txn.amount), 0);
+  const monthlyPace = Math.round((netContributions / windowDays) * DAYS_PER_MONTH * 100) / 100;
+
+  // Whole calendar months left, like Goal.monthsRemaining
+  const monthsRemaining = goal.target_date ? Math.max(wholeMonthsBetween(today, goal.target_date), 0) : null;
+  const requiredMonthlyContribution = monthsRemaining > 0
+    ? Math.round((remaining / monthsRemaining) * 100) / 100
+    : null;
+
+  let projectedCompletionDate = null;
+  if (remaining > 0 && monthlyPace > 0) {
+    projectedCompletionDate = addDays(today, Math.ceil((remaining / monthlyPace) * DAYS_PER_MONTH));
+  }
+
+  let status;
+  if (remaining === 0) {
+    status = 'completed';
+  } else if (!goal.target_date) {
+    status = 'no_target_date';
+  } else if (projectedCompletionDate && projectedCompletionDate <= goal.target_date) {
+    status = 'on_track';
+  } else {
+    status = 'behind';
+  }
+
+  return {
+    status,
+    monthlyPace,
+    requiredMonthlyContribution,
+    monthsRemaining,
+    projectedCompletionDate,
+  };
+}
+
+/**
+ * A user's active goals in the shape the AI prompt builders expect, highest priority first
+ * @param {string} userId - User ID
+ * @returns {Array} [{ name, current, target, priority }]
+ */
+export function goalsForPrompt(userId) {
+  return findGoals(userId)
+    .filter(goal => goal.current_amount < goal.target_amount)
+    .sort((a, b) => GOAL_PRIORITIES.indexOf(a.priority) - GOAL_PRIORITIES.indexOf(b.priority))
+    .map(goal => ({
+      name: goal.name,
+      current: Math.round(goal.current_amount),
+      target: Math.round(goal.target_amount),
+      priority: goal.priority,
+    }));
+}
+
+/**
+ * Goals with their transactions and pace attached
+ * @param {string} userId - User ID
+ * @param {Array} goals - Rows from goals
+ * @param {object} options - { asOf }
+ * @returns {Array} [{ goal, transactions, pace }]
+ */
+export function withGoalPace(userId, goals, { asOf } = {}) {
+  const transactions = findGoalTransactions(userId, goals.map(goal => goal.id));
+  return goals.map(goal => {
+    const goalTransactions = transactions.filter(txn => txn.goal_id === goal.id);
+    return {
+      goal,
+      transactions: goalTransactions,
+      pace: calculateGoalPace(goal, goalTransactions, { asOf }),
+    };
+  });
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function addDays(isoDate, days) {
+  return new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole calendar months from start to end, like Calendar.dateComponents([.month])
+function wholeMonthsBetween(startDate, endDate) {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+  let months = (endYear - startYear) * 12 + (endMonth - startMonth);
+  if (months > 0 && endDay < startDay) months -= 1;
+  if (months < 0 && endDay > startDay) months += 1;
+  return months;
+}
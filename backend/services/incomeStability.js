@@ -0,0 +1,180 @@
+// Classifies how steady a user's income is from the deposits in their stored
+// transactions: how much deposit amounts vary and how regularly they arrive.
+// The result sizes the emergency fund target (6/9/12 months), and the user
+// can override it when they know better (e.g. a new salaried job).
+
+import { analysisWindow, isActualIncome } from './transactionAnalyzer.js';
+import { findTransactions, findIncomeStabilityOverride, findPlaidItemsByUserId } from '../db/database.js';
+
+export const INCOME_STABILITY_LEVELS = ['stable', 'variable', 'inconsistent'];
+// Assumed until there's enough history to classify
+export const DEFAULT_INCOME_STABILITY = 'variable';
+
+// Smaller deposits are interest, refunds and side payments rather than income
+const MINIMUM_DEPOSIT_AMOUNT = 100;
+const MINIMUM_DEPOSITS = 3;
+// Coefficient of variation (standard deviation / mean) thresholds
+const STABLE_AMOUNT_VARIATION = 0.10;
+const STABLE_INTERVAL_VARIATION = 0.20;
+const INCONSISTENT_AMOUNT_VARIATION = 0.35;
+const INCONSISTENT_INTERVAL_VARIATION = 0.50;
+// A gap this long between deposits means at least one missed month
+const INCONSISTENT_GAP_DAYS = 45;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Classify income from the variance of deposit amounts and of the days between deposits
+ * @param {Array} transactions - Plaid transactions
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } end of the six-month window (defaults to today);
+ *   { syncedThrough: 'YYYY-MM-DD' } when the transactions were last known complete, which ends the
+ *   time since the last deposit (null leaves that gap out; defaults to the window end)
+ * @returns {object} { stability, source ('detected' or 'default'), reason, metrics }
+ */
+export function classifyIncomeStability(transactions, { asOf, syncedThrough } = {}) {
+  const { startDate, endDate } = analysisWindow(asOf);
+
+  // Deposits landing the same day (e.g. a paycheck split across accounts) count as one
+  const totalsByDate = new Map();
+  for (const txn of transactions) {
+    if (txn.pending || !isActualIncome(txn) || txn.date < startDate || txn.date > endDate) continue;
+    if (Math.abs(txn.amount) < MINIMUM_DEPOSIT_AMOUNT) continue;
+    totalsByDate.set(txn.date, (totalsByDate.get(txn.date) || 0) + Math.abs(txn.amount));
+  }
+
+  const dates = [...totalsByDate.keys()].sort();
+  const amounts = dates.map(date => totalsByDate.get(date));
+  const intervals = dates.slice(1).map((date, index) => daysBetween(dates[index], date));
+  // Days since the last deposit count as a gap too, or income that stopped would look steady.
+  // Only up to the last sync: deposits after it haven't been seen yet
+  let gapEnd = endDate;
+  if (syncedThrough === null) {
+    gapEnd = null;
+  } else if (syncedThrough && syncedThrough < endDate) {
+    gapEnd = syncedThrough;
+  }
+  const daysSinceLastDeposit = dates.length > 0 && gapEnd
+    ? Math.max(daysBetween(dates[dates.length - 1], gapEnd), 0)
+    : null;
+
+  const metrics = {
+    depositCount: dates.length,
+    averageDeposit: dates.length > 0 ? Math.round(mean(amounts) * 100) / 100 : null,
+    amountVariation: dates.length > 1 ? round2(coefficientOfVariation(amounts)) : null,
+    averageIntervalDays: intervals.length > 0 ? Math.round(mean(intervals)) : null,
+    intervalVariation: intervals.length > 1 ? round2(coefficientOfVariation(intervals)) : null,
+    longestGapDays: dates.length > 0 ? Math.max(...intervals, daysSinceLastDeposit ?? 0) : null,
+    daysSinceLastDeposit,
+  };
+
+  if (dates.length < MINIMUM_DEPOSITS) {
+    return {
+      stability: DEFAULT_INCOME_STABILITY,
+      source: 'default',
+      reason: dates.length === 0
+        ? "No income deposits in the last 6 months, so we're assuming variable income until there's some history."
+        : `Only ${dates.length} income deposit${dates.length === 1 ? '' : 's'} in the last 6 months, so we're assuming variable income until there's more history.`,
+      metrics,
+    };
+  }
+
+  const { amountVariation, intervalVariation, longestGapDays } = metrics;
+  const amountPhrase = `deposit amounts vary by about ${percent(amountVariation)}`;
+  const intervalPhrase = `the time between deposits varies by about ${percent(intervalVariation)}`;
+
+  if (longestGapDays > INCONSISTENT_GAP_DAYS) {
+    return {
+      stability: 'inconsistent',
+      source: 'detected',
+      reason: longestGapDays === metrics.daysSinceLastDeposit
+        ? `It's been ${longestGapDays} days since your last income deposit, so we plan for gaps in income.`
+        : `You went ${longestGapDays} days without an income deposit in the last 6 months, so we plan for gaps in income.`,
+      metrics,
+    };
+  }
+  if (amountVariation > INCONSISTENT_AMOUNT_VARIATION || intervalVariation > INCONSISTENT_INTERVAL_VARIATION) {
+    return {
+      stability: 'inconsistent',
+      source: 'detected',
+      reason: `Across ${dates.length} income deposits in the last 6 months, ${amountPhrase} and ${intervalPhrase}.`,
+      metrics,
+    };
+  }
+  if (amountVariation <= STABLE_AMOUNT_VARIATION && intervalVariation <= STABLE_INTERVAL_VARIATION) {
+    return {
+      stability: 'stable',
+      source: 'detected',
+      reason: `Your ${dates.length} income deposits in the last 6 months were similar in size (within about ${percent(amountVariation)}) and arrived on a regular schedule.`,
+      metrics,
+    };
+  }
+  return {
+    stability: 'variable',
+    source: 'detected',
+    reason: `Across ${dates.length} income deposits in the last 6 months, ${amountPhrase} and ${intervalPhrase}.`,
+    metrics,
+  };
+}
+
+/**
+ * A user's income stability: their override if they set one, otherwise the
+ * classification of their stored deposits
+ * @param {string} userId - User ID
+ * @param {object} options - { asOf }
+ * @returns {object} { stability, source ('override', 'detected' or 'default'), reason, detected, override }
+ */
+export function getUserIncomeStability(userId, { asOf } = {}) {
+  const { startDate, endDate } = analysisWindow(asOf);
+  const transactions = findTransactions(userId, { startDate, endDate }).map(row => JSON.parse(row.raw_json));
+  const detected = classifyIncomeStability(transactions, { asOf: endDate, syncedThrough: lastSyncDate(userId) });
+
+  const override = findIncomeStabilityOverride(userId);
+  if (!override) {
+    return { stability: detected.stability, source: detected.source, reason: detected.reason, detected, override: null };
+  }
+
+  return {
+    stability: override.stability,
+    source: 'override',
+    reason: override.stability === detected.stability
+      ? `You set your income as ${override.stability}, which matches your deposits.`
+      : `You set your income as ${override.stability}. From your deposits we'd have said ${detected.stability}: ${lowerFirst(detected.reason)}`,
+    detected,
+    override: { stability: override.stability, updatedAt: override.updated_at },
+  };
+}
+
+// Date of the user's most recent successful sync across their items, or null if none has synced
+function lastSyncDate(userId) {
+  const syncedAt = findPlaidItemsByUserId(userId)
+    .map(item => item.last_successful_sync_at)
+    .filter(Boolean)
+    .sort();
+  return syncedAt.length > 0 ? syncedAt[syncedAt.length - 1].slice(0, 10) : null;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function coefficientOfVariation(values) {
+  const average = mean(values);
+  if (average === 0) return 0;
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / average;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
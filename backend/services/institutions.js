@@ -0,0 +1,68 @@
+import { decrypt } from './encryption.js';
+import { findPlaidItemByItemIdOnly, updatePlaidItemInstitution, deferInstitutionLookup } from '../db/database.js';
+
+// Listings call ensureInstitutionMetadata on every request, so a lookup that
+// failed or found no institution waits this long before Plaid is asked again
+const INSTITUTION_LOOKUP_RETRY_MS = 60 * 60 * 1000;
+
+/**
+ * Look up an item's institution via itemGet + institutionsGetById and store it
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {object} plaidItem - plaid_items row
+ * @returns {Promise<object>} Updated plaid_items row
+ */
+export async function populateInstitutionMetadata(plaidProvider, plaidItem) {
+  const accessToken = decrypt(plaidItem.access_token_encrypted);
+
+  const { item } = await plaidProvider.getItem(accessToken);
+  const institutionId = item.institution_id;
+  if (!institutionId) {
+    deferInstitutionLookup(plaidItem.item_id, institutionLookupRetryAt());
+    return findPlaidItemByItemIdOnly(plaidItem.item_id);
+  }
+
+  const { institution } = await plaidProvider.getInstitution(institutionId);
+
+  updatePlaidItemInstitution(plaidItem.item_id, {
+    institutionId,
+    name: institution.name,
+    primaryColor: institution.primary_color || null,
+    logo: institution.logo || null,
+    url: institution.url || null,
+  });
+
+  console.log(`🏦 [Institution] Item ${plaidItem.item_id} belongs to ${institution.name}`);
+  return findPlaidItemByItemIdOnly(plaidItem.item_id);
+}
+
+/**
+ * Fill in institution metadata for rows that predate it. Lookup failures are
+ * logged and the row is returned unchanged, so listings never fail on this;
+ * the row isn't looked up again until its retry time
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {Array<object>} plaidItems - plaid_items rows
+ * @returns {Promise<Array<object>>} Rows with institution metadata where available
+ */
+export function ensureInstitutionMetadata(plaidProvider, plaidItems) {
+  const now = new Date().toISOString();
+  return Promise.all(plaidItems.map(async (plaidItem) => {
+    if (plaidItem.institution_id) {
+      return plaidItem;
+    }
+    if (plaidItem.institution_lookup_retry_at && plaidItem.institution_lookup_retry_at > now) {
+      return plaidItem;
+    }
+    try {
+      return await populateInstitutionMetadata(plaidProvider, plaidItem);
+    } catch (error) {
+      const retryAt = institutionLookupRetryAt();
+      console.warn(`⚠️ [Institution] Lookup failed for item ${plaidItem.item_id}, retrying after ${retryAt}:`, error.response?.data?.error_code || error.message);
+      deferInstitutionLookup(plaidItem.item_id, retryAt);
+      return plaidItem;
+    }
+  }));
+}
+
+function institutionLookupRetryAt() {
+  return new Date(Date.now() + INSTITUTION_LOOKUP_RETRY_MS).toISOString();
+}
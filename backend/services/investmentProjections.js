@@ -0,0 +1,132 @@
+// Investment growth projections. The deterministic curve compounds a fixed
+// return monthly; the Monte Carlo mode draws each month's return at random
+// (from a seeded generator, so the same inputs give the same bands) and reports
+// percentile bands across the simulated paths. Every curve comes both nominal
+// and in today's dollars.
+
+export const DEFAULT_PROJECTION_ASSUMPTIONS = {
+  annualReturn: 0.07,
+  inflation: 0.025,
+  contributionGrowth: 0,
+  years: 30,
+  // Roughly the long-run standard deviation of a diversified stock portfolio
+  volatility: 0.15,
+  simulations: 1000,
+};
+export const MAX_PROJECTION_YEARS = 50;
+export const MAX_SIMULATIONS = 5000;
+// Simulations × years per request, so a long horizon gets fewer paths; each
+// simulated year is 12 random draws, and the whole run blocks the event loop
+export const MAX_SIMULATED_YEARS = 50000;
+const PERCENTILES = [10, 50, 90];
+
+/**
+ * Compound a starting balance plus monthly contributions at a fixed return
+ * @param {object} inputs - { currentBalance, monthlyContribution, annualReturn, inflation, contributionGrowth, years } (rates as fractions; contributionGrowth raises contributions once a year)
+ * @returns {Array} One point per year from 0: [{ year, contributions, nominal, real }]
+ */
+export function projectInvestmentGrowth(inputs) {
+  const { currentBalance, monthlyContribution, annualReturn, inflation, contributionGrowth, years } = withDefaults(inputs);
+  const monthlyRate = annualReturn / 12;
+
+  const points = [point(0, currentBalance, currentBalance, inflation)];
+  let balance = currentBalance;
+  let contributions = currentBalance;
+
+  for (let month = 1; month <= years * 12; month++) {
+    const contribution = contributionForMonth(monthlyContribution, contributionGrowth, month);
+    balance = balance * (1 + monthlyRate) + contribution;
+    contributions += contribution;
+    if (month % 12 === 0) {
+      points.push(point(month / 12, contributions, balance, inflation));
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Simulate many return paths and report the 10th/50th/90th percentile balance each year
+ * @param {object} inputs - projectInvestmentGrowth inputs plus { volatility (annual standard deviation), simulations, seed }
+ * @returns {object} { seed, simulations, bands: [{ year, nominal: { p10, p50, p90 }, real: { p10, p50, p90 } }] }
+ */
+export function simulateInvestmentGrowth(inputs) {
+  const { currentBalance, monthlyContribution, annualReturn, inflation, contributionGrowth, years, volatility, simulations, seed } = withDefaults(inputs);
+  const random = createSeededRandom(seed);
+  const monthlyMean = annualReturn / 12;
+  const monthlyDeviation = volatility / Math.sqrt(12);
+
+  // balancesByYear[year][simulation]
+  const balancesByYear = Array.from({ length: years + 1 }, () => new Float64Array(simulations));
+  for (let simulation = 0; simulation < simulations; simulation++) {
+    let balance = currentBalance;
+    balancesByYear[0][simulation] = balance;
+    for (let month = 1; month <= years * 12; month++) {
+      const monthlyReturn = Math.max(-1, monthlyMean + monthlyDeviation * normal(random));
+      balance = balance * (1 + monthlyReturn) + contributionForMonth(monthlyContribution, contributionGrowth, month);
+      if (month % 12 === 0) {
+        balancesByYear[month / 12][simulation] = balance;
+      }
+    }
+  }
+
+  const bands = balancesByYear.map((balances, year) => {
+    const sorted = balances.sort();
+    const deflator = Math.pow(1 + inflation, year);
+    const nominal = {};
+    const real = {};
+    for (const percentile of PERCENTILES) {
+      const value = sorted[Math.min(simulations - 1, Math.floor((percentile / 100) * simulations))];
+      nominal[`p${percentile}`] = Math.round(value);
+      real[`p${percentile}`] = Math.round(value / deflator);
+    }
+    return { year, nominal, real };
+  });
+
+  return { seed, simulations, bands };
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function withDefaults(inputs) {
+  const assumptions = { ...DEFAULT_PROJECTION_ASSUMPTIONS, seed: 1 };
+  for (const [key, value] of Object.entries(inputs)) {
+    if (value !== undefined) assumptions[key] = value;
+  }
+  return { currentBalance: 0, monthlyContribution: 0, ...assumptions };
+}
+
+// Contributions step up by contributionGrowth at the start of each year after the first
+function contributionForMonth(monthlyContribution, contributionGrowth, month) {
+  return monthlyContribution * Math.pow(1 + contributionGrowth, Math.floor((month - 1) / 12));
+}
+
+function point(year, contributions, balance, inflation) {
+  return {
+    year,
+    contributions: Math.round(contributions),
+    nominal: Math.round(balance),
+    real: Math.round(balance / Math.pow(1 + inflation, year)),
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function normal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,142 @@
+// Plaid Liabilities: real APRs, minimum payments, statement balances and due
+// dates for credit cards, student loans and mortgages, stored per account so
+// debt math doesn't have to assume one rate for everything.
+
+import { decrypt } from './encryption.js';
+import { findPlaidItemsByUserId, findLiabilities, replaceItemLiabilities } from '../db/database.js';
+
+// Errors that mean the item simply has no liabilities data to give
+const NO_LIABILITIES_ERROR_CODES = [
+  'NO_LIABILITY_ACCOUNTS',
+  'PRODUCTS_NOT_SUPPORTED',
+  'PRODUCT_NOT_READY',
+  'ADDITIONAL_CONSENT_REQUIRED',
+];
+
+/**
+ * Flatten a /liabilities/get response into one record per account
+ * @param {object} response - { accounts, liabilities: { credit, student, mortgage } }
+ * @returns {Array} Normalized liabilities (see replaceItemLiabilities)
+ */
+export function normalizeLiabilities({ accounts = [], liabilities = {} }) {
+  const accountsById = new Map(accounts.map(account => [account.account_id, account]));
+
+  const withAccount = (liability, fields) => {
+    const account = accountsById.get(liability.account_id);
+    return {
+      accountId: liability.account_id,
+      accountName: account?.name || null,
+      accountSubtype: account?.subtype || null,
+      currentBalance: account?.balances?.current ?? null,
+      lastStatementBalance: null,
+      lastStatementDate: null,
+      lastPaymentAmount: liability.last_payment_amount ?? null,
+      nextPaymentDueDate: liability.next_payment_due_date ?? null,
+      isOverdue: Boolean(liability.is_overdue),
+      raw: liability,
+      ...fields,
+    };
+  };
+
+  const credit = (liabilities.credit || []).map(liability => withAccount(liability, {
+    liabilityType: 'credit',
+    aprPercentage: purchaseApr(liability.aprs),
+    minimumPayment: liability.minimum_payment_amount ?? null,
+    lastStatementBalance: liability.last_statement_balance ?? null,
+    lastStatementDate: liability.last_statement_issue_date ?? null,
+  }));
+
+  const student = (liabilities.student || []).map(liability => withAccount(liability, {
+    liabilityType: 'student',
+    aprPercentage: liability.interest_rate_percentage ?? null,
+    minimumPayment: liability.minimum_payment_amount ?? null,
+    lastStatementBalance: liability.last_statement_balance ?? null,
+    lastStatementDate: liability.last_statement_issue_date ?? null,
+  }));
+
+  const mortgage = (liabilities.mortgage || []).map(liability => withAccount(liability, {
+    liabilityType: 'mortgage',
+    aprPercentage: liability.interest_rate?.percentage ?? null,
+    minimumPayment: liability.next_monthly_payment ?? null,
+    isOverdue: liability.past_due_amount > 0,
+  }));
+
+  return [...credit, ...student, ...mortgage];
+}
+
+/**
+ * Fetch and store the liabilities for one Plaid item. Items without liabilities
+ * (no debt accounts, product not enabled or not ready yet) store none instead of failing
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {object} plaidItem - plaid_items row
+ * @returns {Promise<number>} Number of liabilities stored
+ */
+export async function refreshItemLiabilities(plaidProvider, plaidItem) {
+  let liabilities;
+  try {
+    liabilities = normalizeLiabilities(await plaidProvider.getLiabilities(decrypt(plaidItem.access_token_encrypted)));
+  } catch (error) {
+    const errorCode = error.response?.data?.error_code;
+    if (!NO_LIABILITIES_ERROR_CODES.includes(errorCode)) {
+      throw error;
+    }
+    // PRODUCT_NOT_READY keeps whatever was stored last; the others mean there is nothing
+    if (errorCode !== 'PRODUCT_NOT_READY') {
+      replaceItemLiabilities(plaidItem.user_id, plaidItem.item_id, []);
+    }
+    console.log(`💳 [Liabilities] Item ${plaidItem.item_id} has no liabilities (${errorCode})`);
+    return 0;
+  }
+
+  replaceItemLiabilities(plaidItem.user_id, plaidItem.item_id, liabilities);
+  console.log(`💳 [Liabilities] Stored ${liabilities.length} liabilities for item ${plaidItem.item_id}`);
+  return liabilities.length;
+}
+
+/**
+ * Refresh liabilities for every item a user has linked. An item that fails is
+ * skipped and reported, like fetchUserAccounts
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { unavailableItems: [{ itemId, errorCode }] }
+ */
+export async function refreshUserLiabilities(plaidProvider, userId) {
+  const unavailableItems = [];
+
+  for (const item of findPlaidItemsByUserId(userId)) {
+    try {
+      await refreshItemLiabilities(plaidProvider, item);
+    } catch (error) {
+      const errorCode = error.response?.data?.error_code || null;
+      console.warn(`⚠️ [Liabilities] Could not refresh item ${item.item_id}: ${errorCode || error.message}`);
+      unavailableItems.push({ itemId: item.item_id, errorCode });
+    }
+  }
+
+  return { unavailableItems };
+}
+
+/**
+ * A user's outstanding debts with their real rates, for payoff math
+ * @param {string} userId - User ID
+ * @returns {Array} [{ accountId, name, type, balance, apr (fraction, e.g. 0.2299), minimumPayment }]
+ */
+export function liabilityDebts(userId) {
+  return findLiabilities(userId)
+    .filter(liability => liability.current_balance > 0)
+    .map(liability => ({
+      accountId: liability.account_id,
+      name: liability.account_name,
+      type: liability.liability_type,
+      balance: liability.current_balance,
+      apr: liability.apr_percentage !== null ? liability.apr_percentage / 100 : null,
+      minimumPayment: liability.minimum_payment,
+    }));
+}
+
+// The purchase APR is what ongoing card balances accrue; fall back to the highest listed
+function purchaseApr(aprs = []) {
+  const purchase = aprs.find(apr => apr.apr_type === 'purchase_apr');
+  if (purchase) return purchase.apr_percentage;
+  return aprs.length > 0 ? Math.max(...aprs.map(apr => apr.apr_percentage)) : null;
+}
@@ -0,0 +1,197 @@
+import OpenAI from 'openai';
+import {
+  purchaseInsightTemplate,
+  savingsRecommendationTemplate,
+  allocationExplanationTemplate,
+  allocationChangeTemplate,
+} from './llmTemplates.js';
+
+// Every provider exposes the same method:
+//
+//   complete({ useCase, messages, variables }) -> { content, model, usage }
+//
+// `messages` is the chat prompt sent to a real model. `variables` holds the
+// structured inputs behind it, used by the stub and for fallback text.
+// `usage` has prompt_tokens, completion_tokens and total_tokens.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Model settings per use case. Each can be overridden with
+// LLM_<PREFIX>_MODEL, LLM_<PREFIX>_TEMPERATURE and LLM_<PREFIX>_MAX_TOKENS
+export const LLM_USE_CASES = {
+  purchaseInsight: {
+    envPrefix: 'PURCHASE_INSIGHT',
+    temperature: 0.7,
+    maxTokens: 150,
+    template: purchaseInsightTemplate,
+  },
+  savingsRecommendation: {
+    envPrefix: 'SAVINGS_RECOMMENDATION',
+    temperature: 0.7,
+    maxTokens: 150,
+    template: savingsRecommendationTemplate,
+  },
+  allocationExplanation: {
+    envPrefix: 'ALLOCATION_EXPLANATION',
+    temperature: 0.7,
+    maxTokens: 120,
+    template: (variables) => allocationExplanationTemplate(variables.bucket, variables),
+  },
+  allocationChange: {
+    envPrefix: 'ALLOCATION_CHANGE',
+    temperature: 0.7,
+    maxTokens: 80,
+    template: allocationChangeTemplate,
+  },
+};
+
+/**
+ * Resolve the model, temperature and max tokens for a use case
+ * @param {string} useCase - Key of LLM_USE_CASES
+ * @param {object} env - Environment variables
+ * @returns {object} { model, temperature, maxTokens }
+ */
+export function resolveUseCaseConfig(useCase, env = process.env) {
+  const defaults = LLM_USE_CASES[useCase];
+  if (!defaults) {
+    throw new Error(`Unknown LLM use case: ${useCase}`);
+  }
+
+  const prefix = `LLM_${defaults.envPrefix}`;
+  return {
+    model: env[`${prefix}_MODEL`] || env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: readNumber(env, `${prefix}_TEMPERATURE`, defaults.temperature),
+    maxTokens: readNumber(env, `${prefix}_MAX_TOKENS`, defaults.maxTokens),
+  };
+}
+
+function readNumber(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') {
+    return fallback;
+  }
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number (got "${env[name]}")`);
+  }
+  return value;
+}
+
+/**
+ * Template text for a use case, shared by the stub and by callers' fallbacks
+ * @param {string} useCase - Key of LLM_USE_CASES
+ * @param {object} variables - Structured inputs for the template
+ * @returns {string} Generated text
+ */
+export function renderTemplate(useCase, variables) {
+  const definition = LLM_USE_CASES[useCase];
+  if (!definition) {
+    throw new Error(`Unknown LLM use case: ${useCase}`);
+  }
+  return definition.template(variables);
+}
+
+/**
+ * Provider backed by the OpenAI chat completions API, or any server that
+ * speaks the same protocol when baseURL is set (Ollama, LM Studio, vLLM...)
+ * @param {object} options - { name, apiKey, baseURL, timeout, env }
+ * @returns {object} LLM provider
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, timeout = DEFAULT_TIMEOUT_MS, env = process.env }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout });
+
+  return {
+    name,
+
+    async complete({ useCase, messages }) {
+      const { model, temperature, maxTokens } = resolveUseCaseConfig(useCase, env);
+
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`${name} returned an empty completion for ${useCase}`);
+      }
+
+      return {
+        content: content.trim(),
+        model: completion.model || model,
+        usage: {
+          // Some OpenAI-compatible servers omit usage
+          prompt_tokens: completion.usage?.prompt_tokens ?? 0,
+          completion_tokens: completion.usage?.completion_tokens ?? 0,
+          total_tokens: completion.usage?.total_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Deterministic provider that fills in templates instead of calling a model.
+ * Needs no API key, so the AI routes work offline and in tests
+ * @returns {object} LLM provider
+ */
+export function createStubLLMProvider() {
+  return {
+    name: 'stub',
+
+    async complete({ useCase, variables = {} }) {
+      return {
+        content: renderTemplate(useCase, variables),
+        model: 'stub',
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    },
+  };
+}
+
+/**
+ * Pick the provider from the environment. LLM_PROVIDER=openai talks to OpenAI,
+ * LLM_PROVIDER=openai-compatible talks to LLM_BASE_URL, LLM_PROVIDER=stub uses
+ * templates. Without LLM_PROVIDER, OpenAI is used when OPENAI_API_KEY is set
+ * and the stub otherwise
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} LLM provider
+ */
+export function createLLMProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub')).toLowerCase();
+  const timeout = readNumber(env, 'LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
+  // Fail at startup rather than on the first request
+  for (const useCase of Object.keys(LLM_USE_CASES)) {
+    resolveUseCaseConfig(useCase, env);
+  }
+
+  if (providerName === 'stub') {
+    return createStubLLMProvider();
+  }
+
+  if (providerName === 'openai') {
+    if (!env.OPENAI_API_KEY) {
+      throw new Error('LLM_PROVIDER=openai requires OPENAI_API_KEY');
+    }
+    return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, timeout, env });
+  }
+
+  if (providerName === 'openai-compatible') {
+    if (!env.LLM_BASE_URL) {
+      throw new Error('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL');
+    }
+    return createOpenAIProvider({
+      name: 'openai-compatible',
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: env.LLM_API_KEY || 'not-needed',
+      baseURL: env.LLM_BASE_URL,
+      timeout,
+      env,
+    });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected "openai", "openai-compatible" or "stub")`);
+}
@@ -0,0 +1,73 @@
+// Deterministic text for each LLM use case. The stub provider answers with
+// these, and the real providers fall back to them when a call fails or times out.
+
+/**
+ * @param {object} variables - { amount, merchantName, category, budgetStatus }
+ * @returns {string} Purchase insight
+ */
+export function purchaseInsightTemplate({ amount, merchantName, category, budgetStatus }) {
+  if (budgetStatus && typeof budgetStatus.remaining === 'number') {
+    const remainingAfter = budgetStatus.remaining - amount;
+    if (remainingAfter < 0) {
+      return `This $${amount} purchase at ${merchantName} would put you $${Math.round(-remainingAfter)} over your ${category} budget with ${budgetStatus.daysRemaining} days left this month. Consider waiting or trimming another category to cover it.`;
+    }
+    return `After this $${amount} purchase at ${merchantName}, you'll have $${Math.round(remainingAfter)} left in your ${category} budget for the next ${budgetStatus.daysRemaining} days.`;
+  }
+  return `This $${amount} purchase at ${merchantName} counts toward your ${category} spending. Check it against your monthly budget before you buy.`;
+}
+
+/**
+ * @param {object} variables - { surplusAmount, monthlyExpenses, currentSavings }
+ * @returns {string} Savings recommendation
+ */
+export function savingsRecommendationTemplate({ surplusAmount, monthlyExpenses, currentSavings }) {
+  if (monthlyExpenses) {
+    const target = monthlyExpenses * 6;
+    if ((currentSavings || 0) < target) {
+      return `Put your $${surplusAmount} surplus toward your emergency fund. You have $${currentSavings || 0} of the recommended $${target} (six months of expenses), so every dollar here adds safety.`;
+    }
+  }
+  return `Your emergency fund is on track, so put your $${surplusAmount} surplus toward your highest-priority goal or long-term investments.`;
+}
+
+/**
+ * @param {string} bucket - essential | emergencyFund | discretionary | investment | debt
+ * @param {object} variables - { allocations, emergencyFundTarget, targetMonths, savings, debt }
+ * @returns {string} Allocation explanation for the bucket
+ */
+export function allocationExplanationTemplate(bucket, { allocations, emergencyFundTarget, targetMonths, savings, debt }) {
+  const months = targetMonths || 6;
+
+  switch (bucket) {
+    case 'essential':
+      return `Allocating $${allocations.essential.amount} covers your necessary monthly expenses while leaving room for savings.`;
+    case 'emergencyFund': {
+      const essentialMonthlyTarget = Math.round(emergencyFundTarget / months);
+      return `Build a ${months}-month emergency fund covering your essential expenses of $${essentialMonthlyTarget}/month. At $${allocations.emergencyFund.amount}/month, you'll reach your $${emergencyFundTarget} target in ${Math.ceil((emergencyFundTarget - savings) / allocations.emergencyFund.amount)} months.`;
+    }
+    case 'discretionary':
+      return `Setting aside $${allocations.discretionary.amount} for discretionary spending allows you to enjoy life while staying financially responsible.`;
+    case 'investment':
+      return `Investing $${allocations.investment.amount} monthly helps build long-term wealth and prepares for retirement.`;
+    case 'debt':
+      return allocations.debt
+        ? `Paying down $${debt} in debt with $${allocations.debt.amount}/month saves on interest charges and improves financial flexibility.`
+        : 'Paying down debt saves money on interest charges and improves financial flexibility.';
+    default:
+      throw new Error(`Unknown allocation bucket: ${bucket}`);
+  }
+}
+
+/**
+ * @param {object} variables - { bucketType, oldAmount, newAmount, monthlyIncome }
+ * @returns {string} Explanation of an allocation change
+ */
+export function allocationChangeTemplate({ bucketType, oldAmount, newAmount, monthlyIncome }) {
+  const delta = newAmount - oldAmount;
+  const newPercentage = ((newAmount / monthlyIncome) * 100).toFixed(1);
+  if (delta === 0) {
+    return `Your ${bucketType} allocation stays at $${newAmount} (${newPercentage}% of income).`;
+  }
+  const direction = delta > 0 ? 'Increasing' : 'Reducing';
+  return `${direction} ${bucketType} by $${Math.abs(Math.round(delta))} brings it to $${newAmount}, ${newPercentage}% of your monthly income. The other buckets adjust to keep your plan balanced.`;
+}
@@ -0,0 +1,157 @@
+// Brute-force protection for sign-in. Failed attempts are counted per account
+// (the normalized email, registered or not, so the limits don't reveal which
+// emails exist) and per client IP; wrong two-factor codes count too. Past a
+// threshold each further failure makes the next attempt wait twice as long, and
+// enough failures lock the scope out for a while. A failure-free stretch as
+// long as the lockout starts the count over.
+
+import { ipKeyGenerator } from 'express-rate-limit';
+import { findAuthFailure, saveAuthFailure, clearAuthFailure } from '../db/database.js';
+
+// An IP sees many accounts' traffic (offices, carrier NAT), so it gets more room
+export const LOGIN_PROTECTION_LIMITS = {
+  account: { delayAfter: 3, lockAfter: 10 },
+  ip: { delayAfter: 10, lockAfter: 50 },
+};
+export const LOCKOUT_MINUTES = 15;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * The scopes an attempt counts against
+ * @param {object} attempt - { account, ip }: account is the email (or the user ID
+ *   for an account without one); either may be missing
+ * @returns {Array} [{ type: 'account'|'ip', key }]
+ */
+export function loginScopes({ account, ip }) {
+  const scopes = [];
+  if (account) scopes.push({ type: 'account', key: account.toLowerCase().trim() });
+  // IPv6 clients are grouped by subnet, since one client can hold a whole range.
+  // IPv4-mapped addresses (::ffff:203.0.113.7) are IPv4 clients, not one subnet
+  if (ip) scopes.push({ type: 'ip', key: ipKeyGenerator(ip.replace(/^::ffff:(?=\d+\.)/i, '')) });
+  return scopes;
+}
+
+/**
+ * Whether an attempt may go ahead now
+ * @param {Array} scopes - See loginScopes
+ * @param {object} options - { now: Date (defaults to now) }
+ * @returns {object|null} null when allowed, otherwise { retryAfterSeconds, locked }
+ */
+export function checkLoginAllowed(scopes, { now = new Date() } = {}) {
+  let blocked = null;
+  for (const scope of scopes) {
+    const failure = activeFailure(scope, now);
+    if (!failure) continue;
+
+    const waitUntil = failure.locked_until
+      ? new Date(failure.locked_until)
+      : new Date(new Date(failure.last_failed_at).getTime() + delaySeconds(scope.type, failure.failure_count) * 1000);
+    const retryAfterSeconds = Math.ceil((waitUntil - now) / 1000);
+    if (retryAfterSeconds > 0 && (!blocked || retryAfterSeconds > blocked.retryAfterSeconds)) {
+      blocked = { retryAfterSeconds, locked: Boolean(failure.locked_until) };
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Count a failed attempt against every scope
+ * @param {Array} scopes - See loginScopes
+ * @param {object} options - { now }
+ * @returns {Array} The scopes this failure locked out
+ */
+export function recordLoginFailure(scopes, { now = new Date() } = {}) {
+  const locked = [];
+  for (const scope of scopes) {
+    const failure = activeFailure(scope, now);
+    const failureCount = (failure?.failure_count || 0) + 1;
+    const lockedUntil = failureCount >= LOGIN_PROTECTION_LIMITS[scope.type].lockAfter
+      ? new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+      : null;
+
+    saveAuthFailure({
+      scopeType: scope.type,
+      scopeKey: scope.key,
+      failureCount,
+      firstFailedAt: failure?.first_failed_at || now.toISOString(),
+      lastFailedAt: now.toISOString(),
+      lockedUntil,
+    });
+
+    if (lockedUntil && !failure?.locked_until) {
+      locked.push(scope);
+    }
+  }
+  return locked;
+}
+
+/**
+ * Check an attempt and, when it may go ahead, count it as a failure straight
+ * away. Checking and counting happen together, before any password hashing is
+ * awaited, so concurrent attempts can't all pass the check ahead of the first
+ * failure being stored. Release the attempt if it turns out to succeed
+ * @param {Array} scopes - See loginScopes
+ * @param {object} options - { now }
+ * @returns {object} { blocked } (see checkLoginAllowed), and { locked } (see
+ *   recordLoginFailure) when the attempt went ahead
+ */
+export function reserveLoginAttempt(scopes, { now = new Date() } = {}) {
+  const blocked = checkLoginAllowed(scopes, { now });
+  if (blocked) return { blocked, locked: [] };
+  return { blocked: null, locked: recordLoginFailure(scopes, { now }) };
+}
+
+/**
+ * Take back the failure reserveLoginAttempt counted, once the attempt succeeded
+ * @param {Array} scopes - See loginScopes
+ * @param {object} options - { now }
+ */
+export function releaseLoginAttempt(scopes, { now = new Date() } = {}) {
+  for (const scope of scopes) {
+    const failure = activeFailure(scope, now);
+    if (!failure) continue;
+
+    const failureCount = failure.failure_count - 1;
+    if (failureCount <= 0) {
+      clearAuthFailure(scope.type, scope.key);
+      continue;
+    }
+    saveAuthFailure({
+      scopeType: scope.type,
+      scopeKey: scope.key,
+      failureCount,
+      firstFailedAt: failure.first_failed_at,
+      lastFailedAt: failure.last_failed_at,
+      lockedUntil: failureCount >= LOGIN_PROTECTION_LIMITS[scope.type].lockAfter ? failure.locked_until : null,
+    });
+  }
+}
+
+/**
+ * Forget an account's failures after a successful sign-in. The IP's count stays,
+ * so one working account can't reset it for guesses against others
+ * @param {string} account - See loginScopes
+ */
+export function clearAccountLoginFailures(account) {
+  clearAuthFailure('account', account.toLowerCase().trim());
+}
+
+// The stored failures for a scope, unless they've aged out
+function activeFailure(scope, now) {
+  const failure = findAuthFailure(scope.type, scope.key);
+  if (!failure) return null;
+
+  const lockedUntil = failure.locked_until && new Date(failure.locked_until);
+  const lastFailedAt = new Date(failure.last_failed_at);
+  const expired = lockedUntil
+    ? lockedUntil <= now
+    : now - lastFailedAt >= LOCKOUT_MINUTES * 60 * 1000;
+  return expired ? null : failure;
+}
+
+// 1s after the first failure past the threshold, then 2s, 4s, ... up to a minute
+function delaySeconds(scopeType, failureCount) {
+  const { delayAfter } = LOGIN_PROTECTION_LIMITS[scopeType];
+  if (failureCount < delayAfter) return 0;
+  return Math.min(2 ** (failureCount - delayAfter), MAX_DELAY_SECONDS);
+}
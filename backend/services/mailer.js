@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Every mailer exposes the same method:
+//
+//   send({ to, subject, text, html }) -> { messageId }
+//
+// `from` comes from MAIL_FROM. The file and console transports never deliver
+// anything, so development and tests can read the links out of the message.
+
+const DEFAULT_FROM = 'Financial Analyzer <no-reply@financialanalyzer.local>';
+const DEFAULT_MAIL_DIRECTORY = 'mail';
+
+/**
+ * Mailer that delivers through an SMTP server
+ * @param {object} options - { host, port, secure, user, pass, from }
+ * @returns {object} Mailer
+ */
+export function createSmtpMailer({ host, port = 587, secure = false, user, pass, from = DEFAULT_FROM }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      const info = await transport.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Mailer that writes each message to a JSON file instead of sending it
+ * @param {object} options - { directory, from }
+ * @returns {object} Mailer
+ */
+export function createFileMailer({ directory = DEFAULT_MAIL_DIRECTORY, from = DEFAULT_FROM }) {
+  return {
+    name: 'file',
+
+    async send({ to, subject, text, html }) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const file = path.join(directory, `${messageId}.json`);
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ messageId, from, to, subject, text, html, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`📧 [Mail] Wrote "${subject}" for ${to} to ${file}`);
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Mailer that prints each message to the console instead of sending it
+ * @param {object} options - { from }
+ * @returns {object} Mailer
+ */
+export function createConsoleMailer({ from = DEFAULT_FROM } = {}) {
+  return {
+    name: 'console',
+
+    async send({ to, subject, text }) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      console.log(`📧 [Mail] From: ${from}\n   To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Pick the mailer from the environment: MAIL_TRANSPORT=smtp sends through
+ * SMTP_HOST, MAIL_TRANSPORT=file writes messages to MAIL_DIRECTORY, and
+ * MAIL_TRANSPORT=console (the default) prints them
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} Mailer
+ */
+export function createMailer(env = process.env) {
+  const transportName = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  if (transportName === 'console') {
+    return createConsoleMailer({ from });
+  }
+
+  if (transportName === 'file') {
+    return createFileMailer({ directory: env.MAIL_DIRECTORY || DEFAULT_MAIL_DIRECTORY, from });
+  }
+
+  if (transportName === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    const port = env.SMTP_PORT ? Number(env.SMTP_PORT) : 587;
+    if (!Number.isInteger(port) || port <= 0) {
+      throw new Error(`SMTP_PORT must be a port number (got "${env.SMTP_PORT}")`);
+    }
+    return createSmtpMailer({
+      host: env.SMTP_HOST,
+      port,
+      // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from,
+    });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}" (expected "smtp", "file" or "console")`);
+}
@@ -0,0 +1,319 @@
+// Port of the iOS PaycheckDetectionService: groups income deposits by similar
+// amount, infers each group's frequency from the gaps between deposits and
+// scores confidence from deposit count and interval consistency.
+
+import { analysisWindow, isActualIncome } from './transactionAnalyzer.js';
+import { regenerateAllocationSchedule } from './allocationScheduler.js';
+import { findTransactions, findPaycheckSchedule, saveDetectedPaycheckSchedule } from '../db/database.js';
+
+const MINIMUM_PAYCHECK_AMOUNT = 500;
+const AMOUNT_TOLERANCE_PERCENTAGE = 0.10;
+const MINIMUM_OCCURRENCES = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frequency names match the iOS PaycheckFrequency raw values
+const FREQUENCY_DAYS = {
+  Weekly: 7,
+  'Bi-weekly': 14,
+  'Semi-monthly': 15,
+  Monthly: 30,
+};
+
+export const PAYCHECKS_PER_YEAR = {
+  Weekly: 52,
+  'Bi-weekly': 26,
+  'Semi-monthly': 24,
+  Monthly: 12,
+};
+
+const CONFIDENCE_RANK = { Low: 0, Medium: 1, High: 2 };
+
+/**
+ * Detect paycheck schedules in a list of Plaid transactions
+ * @param {Array} transactions - Plaid transactions
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } end of the six-month window (defaults to today)
+ * @returns {object} { candidates (best first), schedule (best candidate or null), confidence, message }
+ */
+export function detectPaycheckSchedules(transactions, { asOf } = {}) {
+  const { startDate, endDate } = analysisWindow(asOf);
+
+  const deposits = transactions
+    .filter(txn =>
+      isActualIncome(txn) &&
+      Math.abs(txn.amount) > MINIMUM_PAYCHECK_AMOUNT &&
+      txn.date >= startDate &&
+      txn.date <= endDate &&
+      !txn.pending
+    )
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (deposits.length === 0) {
+    return {
+      candidates: [],
+      schedule: null,
+      confidence: 'Low',
+      message: 'No income transactions found in the last 6 months',
+    };
+  }
+
+  const candidates = groupBySimilarAmounts(deposits)
+    .map(group => analyzeGroup(group, endDate))
+    .filter(Boolean)
+    .sort(compareCandidates);
+
+  if (candidates.length === 0) {
+    return {
+      candidates: [],
+      schedule: null,
+      confidence: 'Low',
+      message: "We couldn't detect a consistent paycheck pattern. Please set up manually.",
+    };
+  }
+
+  const best = candidates[0];
+  return {
+    candidates,
+    schedule: best,
+    confidence: best.confidence,
+    message: buildConfidenceMessage(best),
+  };
+}
+
+/**
+ * Run detection over a user's stored transactions, optionally saving the best schedule
+ * @param {string} userId - User ID
+ * @param {object} options - { asOf, persist }
+ * @returns {object} Detection result plus `persisted`
+ */
+export function detectUserPaycheckSchedule(userId, { asOf, persist = false } = {}) {
+  const { startDate, endDate } = analysisWindow(asOf);
+  const transactions = findTransactions(userId, { startDate, endDate }).map(row => JSON.parse(row.raw_json));
+
+  const result = detectPaycheckSchedules(transactions, { asOf: endDate });
+
+  let persisted = false;
+  if (persist && result.schedule) {
+    saveDetectedPaycheckSchedule(userId, {
+      ...result.schedule,
+      // iOS parses next_paycheck_date with ISO8601DateFormatter, which needs a time;
+      // midday UTC keeps the calendar day the same in US time zones
+      nextPaycheckDate: result.schedule.nextPaycheckDate && `${result.schedule.nextPaycheckDate}T12:00:00Z`,
+    });
+    regenerateAllocationSchedule(userId);
+    persisted = true;
+  }
+
+  return { ...result, persisted };
+}
+
+/**
+ * Re-run detection after new income arrives. Only a stored schedule that was
+ * detected and not yet confirmed is replaced; one the user set or confirmed is left alone
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the stored schedule was updated
+ */
+export function refreshDetectedPaycheckSchedule(userId) {
+  const stored = findPaycheckSchedule(userId);
+  if (!stored || stored.source !== 'detected' || stored.is_confirmed === 1) {
+    return false;
+  }
+
+  const result = detectUserPaycheckSchedule(userId, { persist: true });
+  if (result.persisted) {
+    console.log(`💵 [Paycheck] Re-detected schedule for user ${userId}: ${result.schedule.frequency}, $${Math.round(result.schedule.estimatedAmount)} (${result.schedule.confidence})`);
+  }
+  return result.persisted;
+}
+
+/**
+ * Whether any of the given transactions looks like a paycheck deposit
+ * @param {Array} transactions - Plaid transactions
+ * @returns {boolean}
+ */
+export function containsPaycheckIncome(transactions) {
+  return transactions.some(txn =>
+    !txn.pending && isActualIncome(txn) && Math.abs(txn.amount) > MINIMUM_PAYCHECK_AMOUNT
+  );
+}
+
+// Groups deposits whose amounts are within ±10% of a group's running average
+function groupBySimilarAmounts(deposits) {
+  const groups = [];
+
+  for (const txn of deposits) {
+    const amount = Math.abs(txn.amount);
+    const group = groups.find(candidate => {
+      const average = averageAmount(candidate);
+      return Math.abs(amount - average) <= average * AMOUNT_TOLERANCE_PERCENTAGE;
+    });
+
+    if (group) {
+      group.push(txn);
+    } else {
+      groups.push([txn]);
+    }
+  }
+
+  return groups.filter(group => group.length >= MINIMUM_OCCURRENCES);
+}
+
+function analyzeGroup(deposits, asOf) {
+  if (deposits.length < MINIMUM_OCCURRENCES) return null;
+
+  const intervals = [];
+  for (let i = 1; i < deposits.length; i++) {
+    intervals.push(daysBetween(deposits[i - 1].date, deposits[i].date));
+  }
+
+  const averageInterval = intervals.reduce((sum, days) => sum + days, 0) / intervals.length;
+  const frequency = determineFrequency(averageInterval);
+  const confidence = calculateConfidence(deposits.length, intervals, FREQUENCY_DAYS[frequency]);
+  const anchorDates = generateAnchorDates(deposits, frequency);
+  const estimatedAmount = averageAmount(deposits);
+  const lastDepositDate = deposits[deposits.length - 1].date;
+
+  return {
+    frequency,
+    estimatedAmount,
+    confidence,
+    employer: mostFrequent(deposits.map(txn => txn.merchant_name || txn.name).filter(Boolean)),
+    nextPaycheckDate: nextPaycheckDate(frequency, anchorDates, lastDepositDate, asOf),
+    lastPaycheckDate: lastDepositDate,
+    anchorDates,
+    averageMonthlyIncome: (estimatedAmount * PAYCHECKS_PER_YEAR[frequency]) / 12,
+    transactionCount: deposits.length,
+    intervals,
+    sourceTransactionIds: deposits.map(txn => txn.transaction_id),
+  };
+}
+
+function determineFrequency(averageInterval) {
+  if (averageInterval < 10) return 'Weekly';
+  if (averageInterval < 21) return 'Bi-weekly';
+  if (averageInterval < 28) return 'Semi-monthly';
+  return 'Monthly';
+}
+
+function calculateConfidence(transactionCount, intervals, expectedInterval) {
+  let countScore = 0.4;
+  if (transactionCount >= 6) {
+    countScore = 1.0;
+  } else if (transactionCount >= 4) {
+    countScore = 0.7;
+  }
+
+  const variance = intervals.reduce((sum, days) => sum + Math.abs(days - expectedInterval), 0) / intervals.length;
+  const variancePercentage = variance / expectedInterval;
+
+  let consistencyScore = 0.4;
+  if (variancePercentage < 0.05) {
+    consistencyScore = 1.0;
+  } else if (variancePercentage < 0.10) {
+    consistencyScore = 0.7;
+  }
+
+  const overallScore = (countScore + consistencyScore) / 2;
+  if (overallScore >= 0.85) return 'High';
+  if (overallScore >= 0.55) return 'Medium';
+  return 'Low';
+}
+
+// Anchors use the iOS DateComponents convention: weekday 1 = Sunday ... 7 = Saturday
+function generateAnchorDates(deposits, frequency) {
+  if (frequency === 'Weekly' || frequency === 'Bi-weekly') {
+    const weekdays = deposits.map(txn => parseDate(txn.date).getUTCDay() + 1);
+    return [{ weekday: mostFrequent(weekdays) ?? 6 }];
+  }
+
+  const days = deposits.map(txn => parseDate(txn.date).getUTCDate());
+
+  if (frequency === 'Semi-monthly') {
+    const sorted = [...days].sort((a, b) => a - b);
+    // First and middle approximates a 1st/15th pattern
+    return [{ day: sorted[0] }, { day: sorted[Math.floor(sorted.length / 2)] }];
+  }
+
+  return [{ day: mostFrequent(days) ?? 1 }];
+}
+
+// Next expected deposit after the last one seen, on or after asOf
+function nextPaycheckDate(frequency, anchorDates, lastDepositDate, asOf) {
+  if (frequency === 'Weekly' || frequency === 'Bi-weekly') {
+    const interval = FREQUENCY_DAYS[frequency];
+    let next = addDays(lastDepositDate, interval);
+    while (next < asOf) {
+      next = addDays(next, interval);
+    }
+    return next;
+  }
+
+  const anchorDays = anchorDates.map(anchor => anchor.day).sort((a, b) => a - b);
+  const start = parseDate(lastDepositDate);
+  for (let monthOffset = 0; monthOffset < 240; monthOffset++) {
+    for (const day of anchorDays) {
+      const date = dateInMonth(start.getUTCFullYear(), start.getUTCMonth() + monthOffset, day);
+      if (date > lastDepositDate && date >= asOf) {
+        return date;
+      }
+    }
+  }
+  return null;
+}
+
+function compareCandidates(a, b) {
+  const byConfidence = CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence];
+  if (byConfidence !== 0) return byConfidence;
+  return b.transactionCount - a.transactionCount;
+}
+
+function buildConfidenceMessage(candidate) {
+  const frequency = candidate.frequency.toLowerCase();
+  switch (candidate.confidence) {
+    case 'High':
+      return `We detected a consistent ${frequency} paycheck pattern with ${candidate.transactionCount} deposits averaging $${Math.round(candidate.estimatedAmount).toLocaleString('en-US')}.`;
+    case 'Medium':
+      return `We found a likely ${frequency} pattern with ${candidate.transactionCount} deposits. Please verify the details below.`;
+    default:
+      return `We detected a possible ${frequency} pattern, but with limited data. Please review and adjust as needed.`;
+  }
+}
+
+function averageAmount(deposits) {
+  return deposits.reduce((sum, txn) => sum + Math.abs(txn.amount), 0) / deposits.length;
+}
+
+function mostFrequent(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function parseDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((parseDate(endDate) - parseDate(startDate)) / DAY_MS);
+}
+
+function addDays(isoDate, days) {
+  return new Date(parseDate(isoDate).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Clamps the day to the month's length (a 31st anchor lands on Feb 28)
+function dateInMonth(year, monthIndex, day) {
+  const first = new Date(Date.UTC(year, monthIndex, 1));
+  const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(day, daysInMonth));
+  return first.toISOString().slice(0, 10);
+}
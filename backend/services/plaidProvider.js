@@ -0,0 +1,125 @@
+import { Configuration, PlaidApi, PlaidEnvironments } from 'plaid';
+import { createFakePlaidProvider } from './fakePlaidProvider.js';
+
+// Every provider implements the same methods and resolves with the response
+// body Plaid would return (the `data` of a PlaidApi call). Errors carry Plaid's
+// shape, `error.response.data.error_code`, so callers handle both alike.
+//
+//   createLinkToken(config)                      -> { link_token, expiration }
+//   exchangePublicToken(publicToken)             -> { access_token, item_id }
+//   getItem(accessToken)                         -> { item }
+//   getInstitution(institutionId)                -> { institution }
+//   getAccounts(accessToken)                     -> { accounts, item }
+//   getBalance(accessToken)                      -> { accounts, item }
+//   getLiabilities(accessToken)                  -> { accounts, liabilities: { credit, student, mortgage }, item }
+//   getTransactions(accessToken, start, end, options) -> { transactions, total_transactions, accounts }
+//   syncTransactions(accessToken, cursor, count) -> { added, modified, removed, next_cursor, has_more }
+//   refreshTransactions(accessToken)             -> { request_id }
+//   removeItem(accessToken)                      -> { request_id }
+//   getWebhookVerificationKey(keyId)             -> { key }
+//   createSandboxPublicToken(institutionId, products, options) -> { public_token }
+//   fireSandboxWebhook(accessToken, webhookCode) -> { webhook_fired }
+//   resetSandboxLogin(accessToken)               -> { reset_login }
+
+/**
+ * Provider backed by the real Plaid API
+ * @param {object} options - { env, clientId, secret }
+ * @returns {object} Plaid provider
+ */
+export function createPlaidApiProvider({ env, clientId, secret }) {
+  const client = new PlaidApi(new Configuration({
+    basePath: PlaidEnvironments[env || 'sandbox'],
+    baseOptions: {
+      headers: {
+        'PLAID-CLIENT-ID': clientId,
+        'PLAID-SECRET': secret,
+      },
+    },
+  }));
+
+  const data = (promise) => promise.then(response => response.data);
+
+  return {
+    name: 'plaid',
+
+    createLinkToken: (config) => data(client.linkTokenCreate(config)),
+
+    exchangePublicToken: (publicToken) => data(client.itemPublicTokenExchange({ public_token: publicToken })),
+
+    getItem: (accessToken) => data(client.itemGet({ access_token: accessToken })),
+
+    getInstitution: (institutionId) => data(client.institutionsGetById({
+      institution_id: institutionId,
+      country_codes: ['US'],
+      options: { include_optional_metadata: true },
+    })),
+
+    getAccounts: (accessToken) => data(client.accountsGet({ access_token: accessToken })),
+
+    getBalance: (accessToken) => data(client.accountsBalanceGet({ access_token: accessToken })),
+
+    getLiabilities: (accessToken) => data(client.liabilitiesGet({ access_token: accessToken })),
+
+    getTransactions: (accessToken, startDate, endDate, options = {}) => data(client.transactionsGet({
+      access_token: accessToken,
+      start_date: startDate,
+      end_date: endDate,
+      options,
+    })),
+
+    syncTransactions: (accessToken, cursor, count) => data(client.transactionsSync({
+      access_token: accessToken,
+      cursor,
+      count,
+    })),
+
+    refreshTransactions: (accessToken) => data(client.transactionsRefresh({ access_token: accessToken })),
+
+    removeItem: (accessToken) => data(client.itemRemove({ access_token: accessToken })),
+
+    getWebhookVerificationKey: (keyId) => data(client.webhookVerificationKeyGet({ key_id: keyId })),
+
+    // ins_109508 is Plaid's sandbox "First Platypus Bank"
+    createSandboxPublicToken: (institutionId = 'ins_109508', products = ['transactions', 'liabilities'], options) => data(client.sandboxPublicTokenCreate({
+      institution_id: institutionId,
+      initial_products: products,
+      options,
+    })),
+
+    fireSandboxWebhook: (accessToken, webhookCode) => data(client.sandboxItemFireWebhook({
+      access_token: accessToken,
+      webhook_code: webhookCode,
+    })),
+
+    resetSandboxLogin: (accessToken) => data(client.sandboxItemResetLogin({ access_token: accessToken })),
+  };
+}
+
+/**
+ * Pick the provider from the environment: PLAID_PROVIDER=fake serves fixture
+ * data offline, PLAID_PROVIDER=plaid (the default) talks to Plaid
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} Plaid provider
+ */
+export function createPlaidProvider(env = process.env) {
+  const providerName = (env.PLAID_PROVIDER || 'plaid').toLowerCase();
+
+  if (providerName === 'fake') {
+    return createFakePlaidProvider({
+      seedFile: env.PLAID_FAKE_SEED_FILE,
+      anchorDate: env.PLAID_FAKE_ANCHOR_DATE,
+      // Plaid posts to the URL set for the item; the fake posts back to this server
+      webhookUrl: env.PLAID_FAKE_WEBHOOK_URL || `http://localhost:${env.PORT || 3000}/api/plaid/webhook`,
+    });
+  }
+
+  if (providerName !== 'plaid') {
+    throw new Error(`Unknown PLAID_PROVIDER "${env.PLAID_PROVIDER}" (expected "plaid" or "fake")`);
+  }
+
+  return createPlaidApiProvider({
+    env: env.PLAID_ENV,
+    clientId: env.PLAID_CLIENT_ID,
+    secret: env.PLAID_SECRET,
+  });
+}
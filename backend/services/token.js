@@ -3,6 +3,9 @@ import crypto from 'crypto';
 
 const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
 const REFRESH_TOKEN_EXPIRY_DAYS = 30;
+export const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES = 60;
+export const EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS = 48;
+export const TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES = 5;
 
 function getJwtSecret() {
   const secret = process.env.JWT_SECRET;
@@ -12,10 +15,12 @@ function getJwtSecret() {
   return secret;
 }
 
-export function generateAccessToken(user) {
+// sid names the session the token was issued for, so a request knows which device it came from
+export function generateAccessToken(user, sessionId) {
   return jwt.sign(
     {
       sub: user.id,
+      sid: sessionId,
       email: user.email,
       displayName: user.display_name,
     },
@@ -42,6 +47,20 @@ export function getRefreshTokenExpiry() {
   return date.toISOString();
 }
 
+// Password reset links, email verification links and two-factor login challenges
+// carry a random token; only its hash is stored
+export function generateOneTimeToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function hashOneTimeToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function getOneTimeTokenExpiry(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
 export function decodeToken(token) {
   return jwt.decode(token);
 }
@@ -0,0 +1,697 @@
+// Port of the iOS TransactionAnalyzer. Works on Plaid-shaped transactions
+// (amount positive = money out, personal_finance_category, legacy category
+// array) and Plaid accounts, so results match what the app computes locally.
+
+const ANALYSIS_WINDOW_MONTHS = 6;
+
+// MARK: - Analysis Snapshot
+
+/**
+ * Date range the snapshot covers: the six months ending on asOf
+ * @param {string} asOf - 'YYYY-MM-DD' (defaults to today)
+ * @returns {object} { startDate, endDate }
+ */
+export function analysisWindow(asOf) {
+  const endDate = asOf || new Date().toISOString().slice(0, 10);
+  return { startDate: addMonths(endDate, -ANALYSIS_WINDOW_MONTHS), endDate };
+}
+
+/**
+ * Generate a complete analysis snapshot with monthly flow and financial position
+ * @param {Array} transactions - Plaid transactions from all connected items
+ * @param {Array} accounts - Plaid accounts (with item_id) from all connected items
+ * @param {object} options - { asOf: 'YYYY-MM-DD' } end of the analysis window (defaults to today),
+ *   { isEssential(txn) } decides which bucket an expense counts toward (defaults to isEssentialSpending)
+ * @returns {object} { monthlyFlow, position, metadata }
+ */
+export function generateAnalysisSnapshot(transactions, accounts, { asOf, isEssential } = {}) {
+  const { startDate, endDate } = analysisWindow(asOf);
+
+  const filteredTransactions = transactions.filter(txn =>
+    txn.date >= startDate && txn.date <= endDate && !txn.pending
+  );
+
+  const dates = filteredTransactions.map(txn => txn.date).sort();
+  const analysisStartDate = dates[0] || endDate;
+  const analysisEndDate = dates[dates.length - 1] || endDate;
+  const monthsAnalyzed = Math.max(wholeMonthsBetween(analysisStartDate, analysisEndDate), 1);
+
+  const monthlyFlow = calculateMonthlyFlow(filteredTransactions, accounts, monthsAnalyzed, { isEssential });
+  const position = calculateFinancialPosition(filteredTransactions, accounts, monthsAnalyzed);
+
+  const transactionsNeedingValidation = filteredTransactions.filter(needsValidation).length;
+  const validationRatio = filteredTransactions.length === 0
+    ? 0
+    : (filteredTransactions.length - transactionsNeedingValidation) / filteredTransactions.length;
+  const expenseConfidence = monthlyFlow.expenseBreakdown?.confidence ?? 0.5;
+
+  return {
+    monthlyFlow,
+    position,
+    metadata: {
+      monthsAnalyzed,
+      accountsConnected: new Set(accounts.map(account => account.item_id)).size,
+      transactionsAnalyzed: filteredTransactions.length,
+      transactionsNeedingValidation,
+      overallConfidence: (expenseConfidence + validationRatio) / 2,
+      analysisStartDate,
+      analysisEndDate,
+      lastUpdated: new Date().toISOString(),
+    },
+  };
+}
+
+// MARK: - Monthly Flow
+
+/**
+ * Average monthly income, essential expenses and debt minimums. `bucketSpending`
+ * splits the expenses between the Essential and Discretionary Spending buckets
+ * @param {Array} transactions - Plaid transactions inside the analysis window
+ * @param {Array} accounts - Plaid accounts
+ * @param {number} months - Number of months the transactions span
+ * @param {object} options - { isEssential(txn) } (defaults to isEssentialSpending)
+ * @returns {object} { income, expenseBreakdown, essentialExpenses, bucketSpending, debtMinimums, disposableIncome }
+ */
+export function calculateMonthlyFlow(transactions, accounts, months, { isEssential = isEssentialSpending } = {}) {
+  if (months <= 0) {
+    return {
+      income: 0,
+      expenseBreakdown: null,
+      essentialExpenses: 0,
+      bucketSpending: { essentialSpending: 0, discretionarySpending: 0 },
+      debtMinimums: 0,
+      disposableIncome: 0,
+    };
+  }
+
+  const incomeTransactions = transactions.filter(txn =>
+    isActualIncome(txn) && !isInvestmentContribution(txn)
+  );
+  const totalIncome = incomeTransactions.reduce((sum, txn) => sum + Math.abs(txn.amount), 0);
+  const income = totalIncome / months;
+
+  const expenseTransactions = transactions.filter(txn =>
+    isEssentialExpense(txn) && !isInvestmentContribution(txn)
+  );
+  const expenseBreakdown = categorizeEssentialExpenses(expenseTransactions, months);
+
+  const essentialTotal = expenseTransactions
+    .filter(txn => isEssential(txn))
+    .reduce((sum, txn) => sum + Math.abs(txn.amount), 0);
+  const bucketSpending = {
+    essentialSpending: essentialTotal / months,
+    discretionarySpending: expenseBreakdown.total - essentialTotal / months,
+  };
+
+  const debtMinimums = calculateDebtMinimums(accounts);
+
+  return {
+    income,
+    expenseBreakdown,
+    essentialExpenses: expenseBreakdown.total,
+    bucketSpending,
+    debtMinimums,
+    disposableIncome: income - expenseBreakdown.total - debtMinimums,
+  };
+}
+
+// MARK: - Financial Position
+
+/**
+ * Point-in-time balances plus the monthly investment contribution rate
+ * @param {Array} transactions - Plaid transactions inside the analysis window
+ * @param {Array} accounts - Plaid accounts
+ * @param {number} months - Number of months the transactions span
+ * @returns {object} { emergencyCash, debtBalances, investmentBalances, monthlyInvestmentContributions, totalDebt }
+ */
+export function calculateFinancialPosition(transactions, accounts, months) {
+  // Liquid depository accounts only (CDs are locked up)
+  const emergencyCash = accounts
+    .filter(account => account.type === 'depository' && account.subtype !== 'cd')
+    .reduce((sum, account) => sum + (account.balances?.available ?? account.balances?.current ?? 0), 0);
+
+  const debtBalances = accounts
+    .filter(account => account.type === 'credit' || account.type === 'loan')
+    .map(toDebtAccount);
+
+  const investmentBalances = accounts
+    .filter(isInvestmentAccount)
+    .reduce((sum, account) => sum + (account.balances?.current ?? 0), 0);
+
+  // Contributions are tracked separately, never as an expense
+  const totalContributions = transactions
+    .filter(isInvestmentContribution)
+    .reduce((sum, txn) => sum + Math.abs(txn.amount), 0);
+
+  return {
+    emergencyCash,
+    debtBalances,
+    investmentBalances,
+    monthlyInvestmentContributions: months > 0 ? totalContributions / months : 0,
+    totalDebt: debtBalances.reduce((sum, debt) => sum + debt.balance, 0),
+  };
+}
+
+// MARK: - Transaction Classification
+
+/**
+ * Whether a transaction is real income (not a transfer, refund or contribution)
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function isActualIncome(txn) {
+  // Negative amounts are money flowing into the account
+  if (!(txn.amount < 0)) return false;
+
+  const pfc = txn.personal_finance_category;
+  if (pfc) {
+    const primary = upper(pfc.primary);
+    const detailed = upper(pfc.detailed);
+    if (primary === 'INCOME') {
+      return true;
+    }
+    if (primary === 'TRANSFER_IN' && !detailed.includes('ACCOUNT')) {
+      return !(detailed.includes('INVESTMENT') || detailed.includes('RETIREMENT'));
+    }
+  }
+
+  const category = upper(firstCategory(txn));
+  if (category) {
+    const incomeCategories = [
+      'INCOME', 'PAYROLL', 'DIRECT_DEPOSIT', 'INTEREST',
+      'DIVIDEND', 'TAX_REFUND', 'UNEMPLOYMENT', 'SOCIAL_SECURITY',
+    ];
+    if (incomeCategories.some(term => category.includes(term))) {
+      return true;
+    }
+    if (category.includes('TRANSFER')) {
+      return false;
+    }
+  }
+
+  const nameLower = lower(txn.name);
+
+  const refundTerms = ['refund', 'return', 'reversal', 'adjustment', 'cashback'];
+  if (refundTerms.some(term => nameLower.includes(term))) {
+    return false;
+  }
+
+  const incomeMerchants = [
+    'payroll', 'direct dep', 'direct deposit', 'salary', 'wages',
+    'ach deposit', 'employer', 'dd ', 'paycheck', 'payment received',
+    'credit', 'deposit',
+  ];
+  if (incomeMerchants.some(term => nameLower.includes(term))) {
+    // "credit" and "deposit" are generic, so rule out transfers and payments
+    if ((nameLower.includes('credit') || nameLower.includes('deposit')) &&
+        (nameLower.includes('transfer') || nameLower.includes('payment to'))) {
+      return false;
+    }
+    return true;
+  }
+
+  if (nameLower.includes('interest') || nameLower.includes('dividend')) {
+    return true;
+  }
+
+  // Sandbox data often has no categories at all; treat large deposits as income
+  // unless the name says it's an internal move
+  if (!pfc && categoryList(txn).length === 0) {
+    const transferKeywords = [
+      'transfer', 'funding', 'buffer', 'emergency fund', 'savings',
+      'contribution', 'investment', '401k', 'ira', 'brokerage',
+    ];
+    if (transferKeywords.some(term => nameLower.includes(term))) {
+      return false;
+    }
+    if (Math.abs(txn.amount) > 500) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Whether a transaction moves money into investments or retirement savings
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function isInvestmentContribution(txn) {
+  const pfc = txn.personal_finance_category;
+  if (pfc && upper(pfc.primary) === 'TRANSFER_OUT') {
+    const detailed = upper(pfc.detailed);
+    if (detailed.includes('INVESTMENT') || detailed.includes('RETIREMENT') || detailed.includes('SAVINGS')) {
+      return true;
+    }
+  }
+
+  const category = upper(firstCategory(txn));
+  const investmentCategories = [
+    'TRANSFER_OUT_INVESTMENT', 'TRANSFER_OUT_RETIREMENT',
+    'TRANSFER_IN_INVESTMENT', 'TRANSFER_IN_RETIREMENT',
+    '401K', 'IRA', 'CONTRIBUTION', 'INVESTMENT',
+  ];
+  if (category && investmentCategories.some(term => category.includes(term))) {
+    return true;
+  }
+
+  const nameLower = lower(txn.name);
+  const investmentMerchants = [
+    'vanguard', 'fidelity', 'schwab', 'betterment', 'wealthfront',
+    'robinhood', 'etrade', 'td ameritrade', 'merrill', '401k',
+    'retirement', 'roth', 'ira',
+  ];
+  if (investmentMerchants.some(term => nameLower.includes(term))) {
+    const contributionTerms = ['contribution', 'transfer', 'deposit', 'buy', 'purchase'];
+    if (contributionTerms.some(term => nameLower.includes(term))) {
+      return true;
+    }
+    // Outflow from checking/savings to the brokerage
+    if (txn.amount > 0) {
+      return true;
+    }
+  }
+
+  return nameLower.includes('employee contribution') ||
+    nameLower.includes('employer match') ||
+    nameLower.includes('monthly contribution');
+}
+
+/**
+ * Whether a transaction moves money between the user's own accounts.
+ * Conservative: only same-institution transfers and debt payments qualify;
+ * cross-institution transfers are left for the user to review
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function isInternalTransfer(txn) {
+  const pfc = txn.personal_finance_category;
+  if (pfc) {
+    const detailed = upper(pfc.detailed);
+    if (detailed.includes('SAME_INSTITUTION') || detailed.includes('INTERNAL_ACCOUNT_TRANSFER')) {
+      return true;
+    }
+  }
+
+  const category = upper(firstCategory(txn));
+  if (category && ['TRANSFER_INTERNAL', 'TRANSFER_SAME_INSTITUTION'].some(term => category.includes(term))) {
+    return true;
+  }
+
+  // Paying off your own card or loan is not an expense
+  const nameLower = lower(txn.name);
+  const debtPaymentPatterns = [
+    'credit card payment', 'card payment', 'loan payment',
+    'autopay', 'auto pay', 'payment - chase', 'payment - citi',
+    'payment - amex', 'payment - discover', 'payment - capital one',
+    'payment thank you', 'automatic payment',
+  ];
+  return debtPaymentPatterns.some(term => nameLower.includes(term));
+}
+
+/**
+ * Transfers and contributions are excluded from budgets and expense totals
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function shouldExcludeFromBudget(txn) {
+  return isInvestmentContribution(txn) || isInternalTransfer(txn);
+}
+
+function isEssentialExpense(txn) {
+  // Positive amounts are money out
+  if (!(txn.amount > 0)) return false;
+  return !isInvestmentContribution(txn) && !isInternalTransfer(txn);
+}
+
+/**
+ * Whether an expense is essential (housing, utilities, groceries, healthcare, transit)
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function isEssentialSpending(txn) {
+  if (!isEssentialExpense(txn)) return false;
+
+  const pfc = txn.personal_finance_category;
+  if (pfc) {
+    return isEssentialCategory(pfc.primary, pfc.detailed);
+  }
+
+  const nameLower = lower(txn.name);
+  const essentialKeywords = [
+    'rent', 'mortgage', 'hoa', 'property management',
+    'electric', 'water', 'gas bill', 'pge', 'con edison',
+    'internet', 'comcast', 'verizon', 'at&t', 'spectrum',
+    'grocery', 'safeway', 'kroger', 'publix', 'whole foods', 'trader joe',
+    'walmart', 'target', 'costco', 'aldi',
+    'pharmacy', 'cvs', 'walgreens', 'medical', 'doctor', 'hospital',
+    'dental', 'vision', 'healthcare', 'clinic',
+    'insurance', 'geico', 'progressive', 'state farm',
+    'gas station', 'shell', 'chevron', 'exxon',
+    'parking', 'transit', 'metro', 'toll',
+  ];
+  return essentialKeywords.some(term => nameLower.includes(term));
+}
+
+/**
+ * Whether a Plaid personal_finance_category counts as essential spending
+ * @param {string} primary - PFC primary (e.g. FOOD_AND_DRINK)
+ * @param {string} detailed - PFC detailed (e.g. FOOD_AND_DRINK_GROCERIES), optional
+ * @returns {boolean}
+ */
+export function isEssentialCategory(primary, detailed) {
+  primary = upper(primary);
+  detailed = upper(detailed);
+
+  if (['RENT_AND_UTILITIES', 'LOAN_PAYMENTS', 'BANK_FEES', 'GOVERNMENT_AND_NON_PROFIT', 'MEDICAL'].includes(primary)) {
+    return true;
+  }
+  if (primary === 'FOOD_AND_DRINK') {
+    return ['GROCERIES', 'SUPERMARKET', 'WAREHOUSE_CLUB'].some(term => detailed.includes(term));
+  }
+  if (primary === 'TRANSPORTATION') {
+    return !['AIRLINE', 'HOTEL', 'VACATION', 'CRUISE', 'RESORT'].some(term => detailed.includes(term));
+  }
+  if (primary === 'TRAVEL' || primary === 'ENTERTAINMENT') {
+    return false;
+  }
+  if (primary === 'GENERAL_MERCHANDISE') {
+    return ['PHARMACY', 'HEALTHCARE', 'PET_FOOD'].some(term => detailed.includes(term));
+  }
+  if (primary === 'GENERAL_SERVICES') {
+    return ['CHILDCARE', 'EDUCATION', 'VETERINARY', 'AUTOMOTIVE'].some(term => detailed.includes(term));
+  }
+  if (primary === 'HOME_IMPROVEMENT') {
+    return true;
+  }
+  return detailed.includes('INSURANCE');
+}
+
+/**
+ * Whether an expense is discretionary (anything that isn't essential)
+ * @param {object} txn - Plaid transaction
+ * @returns {boolean}
+ */
+export function isDiscretionarySpending(txn) {
+  return isEssentialExpense(txn) && !isEssentialSpending(txn);
+}
+
+function needsValidation(txn) {
+  const confidence = txn.personal_finance_category?.confidence_level;
+  if (!confidence) return true;
+  return confidence === 'LOW' || confidence === 'UNKNOWN';
+}
+
+// MARK: - Expense Categorization
+
+/**
+ * Split expenses into monthly averages per category with a confidence score
+ * @param {Array} transactions - Expense transactions
+ * @param {number} months - Number of months the transactions span
+ * @returns {object} Monthly amounts per category plus confidence and total
+ */
+export function categorizeEssentialExpenses(transactions, months) {
+  const totals = {
+    housing: 0,
+    food: 0,
+    transportation: 0,
+    utilities: 0,
+    insurance: 0,
+    subscriptions: 0,
+    healthcare: 0,
+    other: 0,
+  };
+  let highConfidenceCount = 0;
+
+  for (const txn of transactions) {
+    const amount = Math.abs(txn.amount);
+    const pfc = txn.personal_finance_category;
+
+    if (pfc) {
+      if (pfc.confidence_level === 'HIGH' || pfc.confidence_level === 'VERY_HIGH') {
+        highConfidenceCount++;
+      }
+      totals[expenseCategoryForPFC(upper(pfc.primary), upper(pfc.detailed))] += amount;
+    } else {
+      totals[expenseCategoryForLegacy(txn)] += amount;
+    }
+  }
+
+  const divisor = months > 0 ? months : 1;
+  const breakdown = {};
+  for (const [key, value] of Object.entries(totals)) {
+    breakdown[key] = value / divisor;
+  }
+  breakdown.confidence = transactions.length > 0 ? highConfidenceCount / transactions.length : 0.5;
+  breakdown.total = Object.keys(totals).reduce((sum, key) => sum + breakdown[key], 0);
+
+  return breakdown;
+}
+
+function expenseCategoryForPFC(primary, detailed) {
+  switch (primary) {
+    case 'RENT_AND_UTILITIES':
+      return detailed.includes('RENT') || detailed.includes('MORTGAGE') ? 'housing' : 'utilities';
+    case 'FOOD_AND_DRINK':
+      return 'food';
+    case 'TRANSPORTATION':
+    case 'TRAVEL':
+      return 'transportation';
+    case 'HOME_IMPROVEMENT':
+      return 'housing';
+    case 'MEDICAL':
+      return detailed.includes('INSURANCE') ? 'insurance' : 'healthcare';
+    case 'ENTERTAINMENT':
+    case 'GENERAL_SERVICES':
+      return ['SUBSCRIPTION', 'STREAMING', 'MUSIC', 'VIDEO', 'MEMBERSHIP', 'GYM'].some(term => detailed.includes(term))
+        ? 'subscriptions'
+        : 'other';
+    default:
+      return 'other';
+  }
+}
+
+function expenseCategoryForLegacy(txn) {
+  const categoryString = categoryList(txn).join(' ').toLowerCase();
+  const nameLower = lower(txn.name);
+  const has = (...terms) => terms.some(term => categoryString.includes(term));
+
+  if (has('rent', 'mortgage', 'housing')) return 'housing';
+  if (has('groceries', 'food', 'restaurant', 'dining')) return 'food';
+  if (has('gas', 'uber', 'lyft', 'transit', 'parking', 'auto')) return 'transportation';
+  if (has('electric', 'utility', 'water', 'internet', 'phone')) return 'utilities';
+  if (has('insurance')) return 'insurance';
+  if (has('subscription') || ['netflix', 'spotify', 'gym'].some(term => nameLower.includes(term))) return 'subscriptions';
+  if (has('medical', 'pharmacy', 'healthcare')) return 'healthcare';
+  return 'other';
+}
+
+// MARK: - Debt
+
+/**
+ * Total minimum monthly payment across credit and loan accounts
+ * @param {Array} accounts - Plaid accounts
+ * @returns {number} Monthly minimums
+ */
+export function calculateDebtMinimums(accounts) {
+  return accounts
+    .filter(account => account.type === 'credit' || account.type === 'loan')
+    .reduce((sum, account) => sum + (account.minimum_payment ?? estimateAccountMinimumPayment(account)), 0);
+}
+
+function estimateAccountMinimumPayment(account) {
+  const balance = account.balances?.current;
+  if (!balance || balance <= 0) return 0;
+
+  if (account.type === 'credit') {
+    return Math.max(balance * 0.025, 25);
+  }
+
+  const subtype = lower(account.subtype);
+  if (subtype.includes('student')) return balance / 120;
+  if (subtype.includes('auto')) return balance / 60;
+  if (subtype.includes('mortgage')) return (balance / 360) * 1.5;
+  if (subtype.includes('personal')) return balance / 36;
+  return balance * 0.015;
+}
+
+const DEFAULT_APR_BY_DEBT_TYPE = {
+  credit_card: 0.20,
+  student_loan: 0.06,
+  auto_loan: 0.07,
+  personal_loan: 0.12,
+  mortgage: 0.07,
+  other: 0.10,
+};
+
+function debtTypeFor(subtypeOrType) {
+  switch (lower(subtypeOrType)) {
+    case 'credit card':
+    case 'credit_card':
+      return 'credit_card';
+    case 'student':
+    case 'student loan':
+    case 'student_loan':
+      return 'student_loan';
+    case 'auto':
+    case 'auto loan':
+    case 'auto_loan':
+    case 'vehicle':
+      return 'auto_loan';
+    case 'personal':
+    case 'personal loan':
+    case 'personal_loan':
+      return 'personal_loan';
+    case 'mortgage':
+    case 'home':
+      return 'mortgage';
+    default:
+      return 'other';
+  }
+}
+
+function estimateDebtMinimumPayment(balance, type) {
+  switch (type) {
+    case 'credit_card': return Math.max(balance * 0.025, 25);
+    case 'student_loan': return balance / 120;
+    case 'auto_loan': return balance / 60;
+    case 'personal_loan': return balance / 36;
+    case 'mortgage': return (balance / 360) * 1.5;
+    default: return Math.max(balance * 0.02, 25);
+  }
+}
+
+function toDebtAccount(account) {
+  const type = debtTypeFor(account.subtype || account.type);
+  const balance = Math.abs(account.balances?.current ?? 0);
+  return {
+    id: account.account_id,
+    name: account.name,
+    type,
+    balance,
+    apr: account.apr ?? DEFAULT_APR_BY_DEBT_TYPE[type],
+    minimumPayment: account.minimum_payment ?? estimateDebtMinimumPayment(balance, type),
+  };
+}
+
+function isInvestmentAccount(account) {
+  return account.type === 'investment' || account.type === 'brokerage';
+}
+
+// MARK: - Bucket Mapping
+
+/**
+ * Map a transaction to one of the high-level buckets the app displays
+ * @param {object} txn - Plaid transaction
+ * @returns {string} income | expenses | debt | invested | cash
+ */
+export function categorizeToBucket(txn) {
+  if (isActualIncome(txn) && !isInvestmentContribution(txn)) return 'income';
+  if (isInvestmentContribution(txn)) return 'invested';
+  if (isInternalTransfer(txn)) return 'cash';
+
+  const pfc = txn.personal_finance_category;
+  if (pfc) {
+    return mapPFCToBucket(upper(pfc.primary), upper(pfc.detailed), txn.amount);
+  }
+  return legacyCategorizeToBucket(txn.amount, categoryList(txn));
+}
+
+function mapPFCToBucket(primary, detailed, amount) {
+  switch (primary) {
+    case 'INCOME':
+      return 'income';
+    case 'TRANSFER_IN':
+      return detailed.includes('ACCOUNT') ? 'cash' : 'income';
+    case 'TRANSFER_OUT':
+      if (detailed.includes('INVESTMENT') || detailed.includes('RETIREMENT') || detailed.includes('SAVINGS')) {
+        return 'invested';
+      }
+      if (detailed.includes('LOAN') || detailed.includes('CREDIT')) {
+        return 'debt';
+      }
+      return 'expenses';
+    case 'LOAN_PAYMENTS':
+      return 'debt';
+    case 'BANK_FEES':
+    case 'RENT_AND_UTILITIES':
+    case 'FOOD_AND_DRINK':
+    case 'GENERAL_MERCHANDISE':
+    case 'HOME_IMPROVEMENT':
+    case 'MEDICAL':
+    case 'PERSONAL_CARE':
+    case 'GENERAL_SERVICES':
+    case 'GOVERNMENT_AND_NON_PROFIT':
+    case 'TRANSPORTATION':
+    case 'TRAVEL':
+    case 'ENTERTAINMENT':
+      return 'expenses';
+    default:
+      return amount < 0 ? 'income' : 'expenses';
+  }
+}
+
+function legacyCategorizeToBucket(amount, categories) {
+  const primaryUpper = upper(categories[0]);
+  const primaryLower = lower(categories[0]);
+
+  if (primaryUpper.includes('TRANSFER') &&
+      ['INVESTMENT', '401K', 'IRA', 'RETIREMENT'].some(term => primaryUpper.includes(term))) {
+    return 'invested';
+  }
+
+  if (amount < 0) {
+    return primaryUpper.includes('TRANSFER') ? 'invested' : 'income';
+  }
+
+  if (['credit card', 'loan payments', 'mortgage'].some(term => primaryLower.includes(term))) {
+    return 'debt';
+  }
+
+  if (primaryLower.includes('transfer') &&
+      ['investment', 'brokerage', 'retirement'].some(term => primaryLower.includes(term))) {
+    return 'invested';
+  }
+
+  return 'expenses';
+}
+
+// MARK: - Helpers
+
+function categoryList(txn) {
+  return Array.isArray(txn.category) ? txn.category : [];
+}
+
+function firstCategory(txn) {
+  return categoryList(txn)[0] || '';
+}
+
+function upper(value) {
+  return (value || '').toUpperCase();
+}
+
+function lower(value) {
+  return (value || '').toLowerCase();
+}
+
+// Calendar-style month arithmetic on YYYY-MM-DD strings, clamping the day
+// to the target month's length (Jan 31 - 1 month = Dec 31, Mar 31 - 1 = Feb 28)
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, daysInMonth));
+  return target.toISOString().slice(0, 10);
+}
+
+// Whole calendar months from start to end, like Calendar.dateComponents([.month])
+function wholeMonthsBetween(startDate, endDate) {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+  let months = (endYear - startYear) * 12 + (endMonth - startMonth);
+  if (endDay < startDay) {
+    months -= 1;
+  }
+  return months;
+}
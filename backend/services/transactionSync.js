@@ -0,0 +1,127 @@
+import { decrypt } from './encryption.js';
+import {
+  applyTransactionSync,
+  recordPlaidItemSyncSuccess,
+  recordPlaidItemError,
+  updatePlaidItemStatus,
+} from '../db/database.js';
+import { containsPaycheckIncome, refreshDetectedPaycheckSchedule } from './paycheckDetection.js';
+import { evaluateUserAlerts } from './alertRules.js';
+
+const SYNC_PAGE_SIZE = 500;
+const MAX_PAGINATION_RESTARTS = 3;
+
+// Syncs currently in progress, keyed by item_id, so concurrent callers
+// (a client request and a webhook, say) share one pass over Plaid
+const inFlightSyncs = new Map();
+
+/**
+ * Pull all pending /transactions/sync deltas for a Plaid item and store them
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {object} plaidItem - plaid_items row (needs user_id, item_id, access_token_encrypted, transactions_cursor)
+ * @returns {Promise<object>} Counts of added, modified and removed transactions plus the new cursor
+ */
+export function syncItemTransactions(plaidProvider, plaidItem) {
+  const existing = inFlightSyncs.get(plaidItem.item_id);
+  if (existing) {
+    return existing;
+  }
+
+  const sync = runSync(plaidProvider, plaidItem).finally(() => {
+    inFlightSyncs.delete(plaidItem.item_id);
+  });
+  inFlightSyncs.set(plaidItem.item_id, sync);
+  return sync;
+}
+
+async function runSync(plaidProvider, plaidItem) {
+  const accessToken = decrypt(plaidItem.access_token_encrypted);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await fetchAllPages(plaidProvider, accessToken, plaidItem.transactions_cursor);
+
+      applyTransactionSync({
+        userId: plaidItem.user_id,
+        itemId: plaidItem.item_id,
+        ...result,
+      });
+      recordPlaidItemSyncSuccess(plaidItem.item_id);
+
+      console.log(`🔄 [Sync] Item ${plaidItem.item_id}: +${result.added.length} ~${result.modified.length} -${result.removed.length}`);
+
+      if (containsPaycheckIncome(result.added.concat(result.modified))) {
+        redetectPaycheckSchedule(plaidItem.user_id);
+      }
+      if (result.added.length > 0) {
+        await evaluateAlerts(plaidProvider, plaidItem.user_id, result.added);
+      }
+
+      return {
+        added: result.added.length,
+        modified: result.modified.length,
+        removed: result.removed.length,
+        cursor: result.cursor,
+      };
+    } catch (error) {
+      // Plaid asks us to restart from the original cursor if data changed mid-pagination
+      const errorCode = error.response?.data?.error_code;
+      if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempt < MAX_PAGINATION_RESTARTS) {
+        console.warn(`⚠️ [Sync] Item ${plaidItem.item_id} changed during pagination, restarting`);
+        continue;
+      }
+      recordSyncFailure(plaidItem.item_id, errorCode);
+      throw error;
+    }
+  }
+}
+
+// The transactions are already stored, so a detection failure must not fail the sync
+function redetectPaycheckSchedule(userId) {
+  try {
+    refreshDetectedPaycheckSchedule(userId);
+  } catch (error) {
+    console.error(`❌ [Sync] Paycheck re-detection failed for user ${userId}:`, error.message);
+  }
+}
+
+// Same as above: alerts are best-effort on top of a sync that has already succeeded
+async function evaluateAlerts(plaidProvider, userId, transactions) {
+  try {
+    await evaluateUserAlerts(plaidProvider, userId, { transactions });
+  } catch (error) {
+    console.error(`❌ [Sync] Alert evaluation failed for user ${userId}:`, error.message);
+  }
+}
+
+function recordSyncFailure(itemId, errorCode) {
+  // PRODUCT_NOT_READY just means the initial pull is still running
+  if (!errorCode || errorCode === 'PRODUCT_NOT_READY') {
+    return;
+  }
+  if (errorCode === 'ITEM_LOGIN_REQUIRED') {
+    updatePlaidItemStatus(itemId, 'login_required', errorCode);
+  } else {
+    recordPlaidItemError(itemId, errorCode);
+  }
+}
+
+async function fetchAllPages(plaidProvider, accessToken, startCursor) {
+  let cursor = startCursor || undefined;
+  let added = [];
+  let modified = [];
+  let removed = [];
+  let hasMore = true;
+
+  while (hasMore) {
+    const data = await plaidProvider.syncTransactions(accessToken, cursor, SYNC_PAGE_SIZE);
+
+    added = added.concat(data.added);
+    modified = modified.concat(data.modified);
+    removed = removed.concat(data.removed);
+    hasMore = data.has_more;
+    cursor = data.next_cursor;
+  }
+
+  return { added, modified, removed, cursor };
+}
@@ -0,0 +1,143 @@
+// TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30-second
+// steps, the defaults every authenticator app supports) and recovery codes.
+// Secrets are stored encrypted, recovery codes only as hashes.
+
+import crypto from 'crypto';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+export const RECOVERY_CODE_COUNT = 10;
+const SECRET_BYTES = 20;
+// Accept the previous and next step too, for clock drift between phone and server
+const DRIFT_STEPS = 1;
+const ISSUER = 'Financial Analyzer';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Random base32 secret for an authenticator app
+ * @returns {string} Base32 secret (no padding)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * The otpauth:// URI an authenticator app scans as a QR code
+ * @param {object} options - { secret, accountName }
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, accountName }) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * The code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since the epoch / period)
+ * @returns {string} Zero-padded code
+ */
+export function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {object} options - { now: Date in ms (defaults to Date.now()) }
+ * @returns {number|null} The matching step (callers reject steps already used), or null
+ */
+export function verifyTotpCode(secret, code, { now = Date.now() } = {}) {
+  if (!isTotpCode(code)) return null;
+  const normalized = String(code).replace(/\s/g, '');
+
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a code looks like a TOTP code rather than a recovery code
+ * @param {string} code - Code the user typed
+ * @returns {boolean}
+ */
+export function isTotpCode(code) {
+  return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code).replace(/\s/g, ''));
+}
+
+/**
+ * Fresh recovery codes, shown to the user once
+ * @returns {Array} Codes like "a1b2c-3d4e5"
+ */
+export function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code the way it's stored, ignoring case, spaces and dashes
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  const clean = encoded.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
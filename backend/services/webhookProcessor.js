@@ -0,0 +1,190 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createWebhookEvent,
+  findWebhookEventById,
+  findDueWebhookEvents,
+  markWebhookEventProcessing,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  markAbandonedWebhookEventFailed,
+  resetWebhookEvent,
+  findPlaidItemByItemIdOnly,
+  deletePlaidItemByItemId,
+  updatePlaidItemStatus,
+} from '../db/database.js';
+import { syncItemTransactions } from './transactionSync.js';
+import { refreshItemLiabilities } from './liabilities.js';
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 60s, 2m, 4m between attempts
+// An event still processing (or never started) after this long was abandoned
+// by a crash or restart, and the retry loop picks it up again
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+async function handleTransactionsUpdate(plaidProvider, event) {
+  const plaidItem = findPlaidItemByItemIdOnly(event.item_id);
+  if (!plaidItem) {
+    console.log(`📝 [Webhook] Item ${event.item_id} not linked, skipping sync`);
+    return;
+  }
+  await syncItemTransactions(plaidProvider, plaidItem);
+}
+
+async function handleLiabilitiesUpdate(plaidProvider, event) {
+  const plaidItem = findPlaidItemByItemIdOnly(event.item_id);
+  if (!plaidItem) {
+    console.log(`📝 [Webhook] Item ${event.item_id} not linked, skipping liabilities refresh`);
+    return;
+  }
+  await refreshItemLiabilities(plaidProvider, plaidItem);
+}
+
+async function handleLoginRequired(plaidProvider, event) {
+  console.log(`⚠️ [Webhook] Item ${event.item_id} requires re-authentication`);
+  updatePlaidItemStatus(event.item_id, 'login_required', 'ITEM_LOGIN_REQUIRED');
+}
+
+async function handleLoginRepaired(plaidProvider, event) {
+  console.log(`✅ [Webhook] Item ${event.item_id} login repaired automatically`);
+  updatePlaidItemStatus(event.item_id, 'active');
+}
+
+async function handlePermissionRevoked(plaidProvider, event) {
+  console.log(`🚫 [Webhook] User revoked permission for item ${event.item_id}`);
+  deletePlaidItemByItemId(event.item_id);
+  console.log(`✅ [Webhook] Removed item ${event.item_id} from storage`);
+}
+
+async function handlePendingExpiration(plaidProvider, event, payload) {
+  console.log(`⏳ [Webhook] Item ${event.item_id} consent expires at ${payload.consent_expiration_time}`);
+  updatePlaidItemStatus(event.item_id, 'pending_expiration');
+}
+
+async function handleNewAccountsAvailable(plaidProvider, event) {
+  console.log(`✨ [Webhook] New accounts available for item ${event.item_id}`);
+  updatePlaidItemStatus(event.item_id, 'new_accounts_available');
+}
+
+// ITEM/ERROR carries the actual error code in the payload
+async function handleItemError(plaidProvider, event, payload) {
+  const errorCode = payload.error?.error_code || null;
+  if (errorCode === 'ITEM_LOGIN_REQUIRED') {
+    return handleLoginRequired(plaidProvider, event);
+  }
+  console.log(`⚠️ [Webhook] Item ${event.item_id} error: ${errorCode}`);
+  updatePlaidItemStatus(event.item_id, 'error', errorCode);
+}
+
+// Keyed by webhook_type, then webhook_code: several types share codes
+// (TRANSACTIONS, LIABILITIES, HOLDINGS and INVESTMENTS_TRANSACTIONS all send DEFAULT_UPDATE)
+const HANDLERS = {
+  TRANSACTIONS: {
+    SYNC_UPDATES_AVAILABLE: handleTransactionsUpdate,
+    DEFAULT_UPDATE: handleTransactionsUpdate,
+  },
+  LIABILITIES: {
+    DEFAULT_UPDATE: handleLiabilitiesUpdate,
+  },
+  ITEM: {
+    ITEM_LOGIN_REQUIRED: handleLoginRequired,
+    ERROR: handleItemError,
+    PENDING_EXPIRATION: handlePendingExpiration,
+    NEW_ACCOUNTS_AVAILABLE: handleNewAccountsAvailable,
+    LOGIN_REPAIRED: handleLoginRepaired,
+    USER_PERMISSION_REVOKED: handlePermissionRevoked,
+  },
+};
+
+/**
+ * Persist a verified webhook before any processing happens
+ * @param {object} payload - Verified webhook body
+ * @returns {object} Stored webhook_events row
+ */
+export function recordWebhookEvent(payload) {
+  return createWebhookEvent({
+    id: uuidv4(),
+    itemId: payload.item_id || null,
+    webhookType: payload.webhook_type || null,
+    webhookCode: payload.webhook_code || null,
+    payload,
+  });
+}
+
+/**
+ * Run the handler for a stored webhook event, scheduling a retry or
+ * dead-lettering it on failure
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} eventId - webhook_events id
+ * @returns {Promise<object>} Updated webhook_events row
+ */
+export async function processWebhookEvent(plaidProvider, eventId) {
+  const event = findWebhookEventById(eventId);
+  if (!event) {
+    return null;
+  }
+
+  const handler = HANDLERS[event.webhook_type]?.[event.webhook_code];
+  if (!markWebhookEventProcessing(event.id, new Date(Date.now() + PROCESSING_LEASE_MS).toISOString(), MAX_ATTEMPTS)) {
+    // A run that crashed the process never reaches the failure path below, so an
+    // event that keeps doing that is dead-lettered here instead of retried forever
+    if (markAbandonedWebhookEventFailed(event.id, MAX_ATTEMPTS, 'Processing was abandoned (crash or restart)')) {
+      console.error(`❌ [Webhook] Event ${event.id} (${event.webhook_code}) dead-lettered after ${event.attempts} abandoned attempts`);
+      return findWebhookEventById(event.id);
+    }
+    console.log(`📝 [Webhook] Event ${event.id} is already being processed`);
+    return event;
+  }
+
+  try {
+    if (handler) {
+      await handler(plaidProvider, event, JSON.parse(event.payload));
+    } else {
+      console.log(`📝 [Webhook] Unhandled webhook: ${event.webhook_type} ${event.webhook_code}`);
+    }
+    markWebhookEventProcessed(event.id);
+  } catch (error) {
+    const attempts = event.attempts + 1;
+    const message = error.response?.data?.error_code || error.message;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      console.error(`❌ [Webhook] Event ${event.id} (${event.webhook_code}) dead-lettered after ${attempts} attempts: ${message}`);
+      markWebhookEventFailed(event.id, message, null);
+    } else {
+      const delay = BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1);
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`⚠️ [Webhook] Event ${event.id} (${event.webhook_code}) failed, retrying at ${nextAttemptAt}: ${message}`);
+      markWebhookEventFailed(event.id, message, nextAttemptAt);
+    }
+  }
+
+  return findWebhookEventById(event.id);
+}
+
+/**
+ * Retry every failed event whose backoff has elapsed, and every event a crash
+ * or restart left pending or processing
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @returns {Promise<number>} Number of events retried
+ */
+export async function retryDueWebhookEvents(plaidProvider) {
+  const now = Date.now();
+  const due = findDueWebhookEvents(new Date(now).toISOString(), new Date(now - PROCESSING_LEASE_MS).toISOString());
+  for (const event of due) {
+    await processWebhookEvent(plaidProvider, event.id);
+  }
+  return due.length;
+}
+
+/**
+ * Reset an event (including dead-lettered ones) and process it again
+ * @param {object} plaidProvider - Plaid provider (see plaidProvider.js)
+ * @param {string} eventId - webhook_events id
+ * @returns {Promise<object|null>} Updated row, or null if the event does not exist
+ */
+export async function replayWebhookEvent(plaidProvider, eventId) {
+  if (!findWebhookEventById(eventId)) {
+    return null;
+  }
+  resetWebhookEvent(eventId);
+  return processWebhookEvent(plaidProvider, eventId);
+}
@@ -0,0 +1,163 @@
+// Smoke test for offline mode: starts the server with the fake Plaid provider
+// and a throwaway database, links an item, and checks that a sandbox webhook
+// travels through the real webhook endpoint (signature check included) and
+// syncs new transactions. Also covers the allocation recommendation without
+// linked liabilities, signing up with a registered email, and concurrent
+// sign-in throttling. Run with `npm test`.
+
+import assert from 'assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = process.env.SMOKE_PORT || 3917;
+const BASE_URL = `http://localhost:${PORT}`;
+const TIMEOUT_MS = 10 * 1000;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'financial-analyzer-smoke-'));
+let serverLog = '';
+
+const server = spawn(process.execPath, ['server.js'], {
+  cwd: path.join(__dirname, '..'),
+  env: {
+    ...process.env,
+    PORT: String(PORT),
+    DATABASE_PATH: path.join(tempDir, 'app.db'),
+    PLAID_PROVIDER: 'fake',
+    PLAID_FAKE_SEED_FILE: '',
+    PLAID_FAKE_WEBHOOK_URL: '',
+    JWT_SECRET: 'smoke-test-jwt-secret',
+    ENCRYPTION_KEY: 'smoke-test-encryption-key',
+    LLM_PROVIDER: 'stub',
+    MAIL_TRANSPORT: 'console',
+    NODE_ENV: 'test',
+  },
+  stdio: ['ignore', 'pipe', 'pipe'],
+});
+server.stdout.on('data', chunk => { serverLog += chunk; });
+server.stderr.on('data', chunk => { serverLog += chunk; });
+
+async function request(method, urlPath, { token, body } = {}) {
+  const response = await fetch(`${BASE_URL}${urlPath}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+// Retry until check returns a truthy value or the timeout passes
+async function waitFor(description, check) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+async function run() {
+  await waitFor('the server to start', async () => (await request('GET', '/health')).status === 200);
+
+  const credentials = { email: 'smoke@example.com', password: 'smoke-password-123' };
+  const registered = await request('POST', '/auth/register', { body: credentials });
+  assert.equal(registered.status, 200, `register: ${JSON.stringify(registered.body)}`);
+
+  // Signing up again with a registered email gets the same answer
+  const registeredAgain = await request('POST', '/auth/register', {
+    body: { ...credentials, password: 'another-password-456' },
+  });
+  assert.deepEqual(registeredAgain, registered);
+
+  const loggedIn = await request('POST', '/auth/login', { body: credentials });
+  assert.equal(loggedIn.status, 200, `login: ${JSON.stringify(loggedIn.body)}`);
+  const token = loggedIn.body.accessToken;
+
+  // Without linked liabilities, debt payoff falls back to one balance at the default APR
+  for (const caller of [{}, { token }]) {
+    const allocation = await request('POST', '/api/ai/allocation-recommendation', {
+      ...caller,
+      body: { monthlyIncome: 5000, monthlyExpenses: 3000, currentSavings: 2000, totalDebt: 8000 },
+    });
+    assert.equal(allocation.status, 200, `allocation-recommendation: ${JSON.stringify(allocation.body)}`);
+    const { payoffTimeline } = allocation.body.allocations.debtPaydown;
+    assert.equal(typeof payoffTimeline.recommended.coversMinimums, 'boolean');
+  }
+
+  const publicToken = await request('POST', '/api/plaid/sandbox/public-token', {
+    body: { institution_id: 'ins_fake_chase' },
+  });
+  assert.equal(publicToken.status, 200);
+  const exchanged = await request('POST', '/api/plaid/exchange_public_token', {
+    token,
+    body: { public_token: publicToken.body.public_token },
+  });
+  assert.equal(exchanged.status, 200, `exchange: ${JSON.stringify(exchanged.body)}`);
+  const itemId = exchanged.body.item_id;
+
+  const items = await request('GET', '/api/plaid/items', { token });
+  assert.equal(items.body.items[0].institution.name, 'Chase');
+
+  // The sandbox endpoints take the raw access token, which the API never hands
+  // out; the fake derives it from the public token
+  const accessToken = publicToken.body.public_token.replace(/^public-fake-/, 'access-fake-');
+
+  const added = await request('POST', '/api/plaid/sandbox/create-transaction', {
+    body: { access_token: accessToken, amount: 12.34, merchant_name: 'SMOKE TEST COFFEE', date: '2025-10-30' },
+  });
+  assert.equal(added.status, 200, `create-transaction: ${JSON.stringify(added.body)}`);
+
+  const fired = await request('POST', '/api/plaid/sandbox/fire-webhook', {
+    body: { access_token: accessToken, webhook_code: 'SYNC_UPDATES_AVAILABLE' },
+  });
+  assert.equal(fired.status, 200, `fire-webhook: ${JSON.stringify(fired.body)}`);
+
+  await waitFor('the webhook to sync the new transaction', async () => {
+    const result = await request('GET', `/api/transactions?item_id=${itemId}&limit=500`, { token });
+    return result.body.transactions.some(transaction => transaction.name === 'SMOKE TEST COFFEE');
+  });
+
+  const unknownCode = await request('POST', '/api/plaid/sandbox/fire-webhook', {
+    body: { access_token: accessToken, webhook_code: 'NOT_A_CODE' },
+  });
+  assert.notEqual(unknownCode.status, 200);
+
+  await request('POST', '/api/plaid/sandbox/fire-webhook', {
+    body: { access_token: accessToken, webhook_code: 'ITEM_LOGIN_REQUIRED' },
+  });
+  await waitFor('the item to need attention', async () => {
+    const result = await request('GET', '/api/plaid/items', { token });
+    return result.body.items[0].status === 'login_required';
+  });
+
+  // Parallel wrong passwords can't all slip past the check before any failure is
+  // stored: delays start after 3 failures, so the rest must be turned away. Last,
+  // since it leaves this IP and account throttled
+  const attempts = await Promise.all(Array.from({ length: 25 }, () => request('POST', '/auth/login', {
+    body: { email: 'smoke@example.com', password: 'wrong-password' },
+  })));
+  const statuses = attempts.map(attempt => attempt.status);
+  assert.equal(statuses.filter(status => status === 401).length, 3, `parallel logins: ${statuses}`);
+  assert.equal(statuses.filter(status => status === 429).length, 22, `parallel logins: ${statuses}`);
+}
+
+try {
+  await run();
+  console.log('✅ Offline smoke test passed');
+} catch (error) {
+  console.error('❌ Offline smoke test failed:', error);
+  console.error('--- Server output ---');
+  console.error(serverLog);
+  process.exitCode = 1;
+} finally {
+  server.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}